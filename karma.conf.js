@@ -12,8 +12,8 @@ export default function configKarma(karma : Object) {
     });
 
     karmaConfig.files = [
-        'test/lib/react_v16.0.0.js',
-        'test/lib/react-dom_v16.0.0.js',
+        'test/lib/react_v16.14.0.js',
+        'test/lib/react-dom_v16.14.0.js',
         'test/lib/angular.min.js',
         'test/lib/vue_v2.5.16.runtime.min.js',
 
@@ -5,7 +5,7 @@ import { on } from 'post-robot/src';
 import { type CrossDomainWindowType } from 'cross-domain-utils/src';
 
 import { copyProp, eventEmitter, type EventEmitterType, stringifyError, noop } from '../lib';
-import type { CancelableType } from '../types';
+import type { CancelableType, DomainCallbackType } from '../types';
 
 import type { Component } from './component';
 
@@ -126,10 +126,14 @@ export class BaseComponent<P> {
         copyProp(options, this, name, def);
     }
 
-    on(eventName : string, handler : () => void) : CancelableType {
+    on(eventName : string, handler : Function) : CancelableType {
         return this.event.on(eventName, handler);
     }
 
+    once(eventName : string, handler : Function) : CancelableType {
+        return this.event.once(eventName, handler);
+    }
+
     listeners() {
         throw new Error(`Expected listeners to be implemented`);
     }
@@ -147,7 +151,7 @@ export class BaseComponent<P> {
         All post-messaging is done using post-robot.
     */
 
-    listen(win : CrossDomainWindowType, domain : string | RegExp) {
+    listen(win : CrossDomainWindowType, domain : string | RegExp | DomainCallbackType) {
 
         if (!win) {
             throw this.component.createError(`window to listen to not set`);
@@ -171,6 +175,33 @@ export class BaseComponent<P> {
                 this.error(err);
             };
 
+            // Domain callbacks can not be passed to post-robot, so we accept messages from any domain and check the
+            // origin of each one ourselves
+
+            if (typeof domain === 'function') {
+                let callback = domain;
+
+                let callbackListener = on(listenerName, { window: win, errorHandler }, ({ source, origin, data }) => {
+                    return this.component.isDomainAllowed(callback, origin).then(allowed => {
+
+                        if (!allowed) {
+                            this.component.logError(`unexpected_listener_${ name }`, { origin, domain: 'callback' });
+                            this.error(new Error(`Unexpected ${ name } message from domain ${ origin } -- not allowed by domain callback`));
+                            return;
+                        }
+
+                        this.component.log(`listener_${ name }`);
+                        return listeners[listenerName].call(this, source, data);
+                    });
+                });
+
+                this.clean.register(() => {
+                    callbackListener.cancel();
+                });
+
+                continue;
+            }
+
             let listener = on(listenerName, { window: win, domain, errorHandler }, ({ source, data }) => {
                 this.component.log(`listener_${ name }`);
                 return listeners[listenerName].call(this, source, data);
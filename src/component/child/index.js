@@ -7,10 +7,11 @@ import { send } from 'post-robot/src';
 import { ZalgoPromise } from 'zalgo-promise/src';
 
 import { BaseComponent } from '../base';
-import { getParentComponentWindow, getComponentMeta, getParentDomain, getParentRenderWindow } from '../window';
+import { getParentComponentWindow, getComponentMeta, getParentDomain, getParentRenderWindow, getAncestorDomains } from '../window';
 import { extend, deserializeFunctions, get, onDimensionsChange, trackDimensions, dimensionsMatchViewport, stringify,
-    cycle, globalFor, setLogLevel, getElement, documentReady, noop, stringifyError } from '../../lib';
-import { POST_MESSAGE, CONTEXT_TYPES, CLOSE_REASONS, INITIAL_PROPS } from '../../constants';
+    cycle, globalFor, setLogLevel, getElement, documentReady, noop, stringifyError, addEventListener, isEscapeKey } from '../../lib';
+import { POST_MESSAGE, CONTEXT_TYPES, CLOSE_REASONS, INITIAL_PROPS, WILDCARD, EVENTS, USER_INTERACTION_EVENTS, EVENT_NAMES,
+    VISIBILITY_REPORT_TOLERANCE } from '../../constants';
 import { RenderError } from '../../error';
 import type { Component } from '../component';
 import type { BuiltInPropsType } from '../component/props';
@@ -20,7 +21,8 @@ import { normalizeChildProps } from './props';
 
 export type ChildExportsType<P> = {
     updateProps : (props : (BuiltInPropsType & P)) => ZalgoPromise<void>,
-    close : () => ZalgoPromise<void>
+    close : () => ZalgoPromise<void>,
+    exports : { [string] : (...args : Array<mixed>) => ZalgoPromise<mixed> }
 };
 
 /*  Child Component
@@ -40,26 +42,36 @@ export class ChildComponent<P> extends BaseComponent<P> {
     context : string
 
     onPropHandlers : Array<(BuiltInPropsType & P) => void>
+    exportedMethods : { [string] : Function }
     onInit : ZalgoPromise<ChildComponent<P>>
+    onConfirmNonce : ZalgoPromise<void>
+    nonceConfirmed : boolean
     watchingForResize : boolean
     autoResize : { width : boolean, height : boolean, element? : string }
+    visibleSince : ?number
+    lastVisibleReport : number
 
     constructor(component : Component<P>) {
         super();
         this.component = component;
 
-        if (!this.hasValidParentDomain()) {
-            this.error(new RenderError(`Can not be rendered by domain: ${ this.getParentDomain() }`));
+        if (!this.hasValidAncestorDomains()) {
+            this.error(new RenderError(`Can not be rendered in a frame whose ancestors include a domain which is not allowed`));
             return;
         }
 
         this.component.log(`construct_child`);
 
+        this.clean.register(() => {
+            this.component.unregisterSensitiveProps(this);
+        });
+
         // The child can specify some default props if none are passed from the parent. This often makes integrations
         // a little more seamless, as applicaiton code can call props.foo() without worrying about whether the parent
         // has provided them or not, and fall-back to some default behavior.
 
         this.onPropHandlers = [];
+        this.exportedMethods = {};
 
         for (let item of [ this.component, window ]) {
             for (let [ name, getter ] of [ [ 'xchild', () => this ], [ 'xprops', () => this.props ] ]) {
@@ -67,9 +79,13 @@ export class ChildComponent<P> extends BaseComponent<P> {
                 Object.defineProperty(item, name, {
                     configurable: true,
                     get:          () => {
-                        if (!this.props) {
+                        if (!this.props && !this.usesPropsToken()) {
                             this.setProps(this.getInitialProps(), getParentDomain());
                         }
+                        // Until the props token has been exchanged there are no props to read, so leave the getter in place
+                        if (name === 'xprops' && !this.props) {
+                            return;
+                        }
                         // $FlowFixMe
                         delete item[name];
                         // $FlowFixMe
@@ -85,7 +101,7 @@ export class ChildComponent<P> extends BaseComponent<P> {
 
         this.setWindows();
 
-        this.listenForResize();
+        this.watchForClickjacking();
 
         // Send an init message to our parent. This gives us an initial set of data to use that we can use to function.
         //
@@ -94,9 +110,28 @@ export class ChildComponent<P> extends BaseComponent<P> {
         // - What context are we
         // - What props has the parent specified
 
-        this.onInit = this.sendToParent(POST_MESSAGE.INIT, {
+        // Before we expose any props, or listen for any messages, confirm that our parent is on an allowed domain and
+        // really did create our window name. Static domain patterns resolve synchronously here.
+
+        this.onConfirmNonce = this.hasValidParentDomain().then(valid => {
+
+            if (!valid) {
+                throw new RenderError(`Can not be rendered by domain: ${ this.getParentDomain() }`);
+            }
+
+            this.listen(getParentComponentWindow(), getParentDomain());
+
+            this.listenForResize();
+
+            return this.confirmNonce();
+        });
 
-            exports: this.exports()
+        this.onInit = this.onConfirmNonce.then(() => {
+            return this.fetchInitialProps();
+        }).then(() => {
+            return this.sendToParent(POST_MESSAGE.INIT, {
+                exports: this.exports()
+            });
 
         }).then(({ origin, data }) => {
 
@@ -104,6 +139,7 @@ export class ChildComponent<P> extends BaseComponent<P> {
             this.setProps(data.props, origin);
 
             this.watchForResize();
+            this.watchForEscape();
 
             return this;
 
@@ -123,8 +159,45 @@ export class ChildComponent<P> extends BaseComponent<P> {
         }
     }
 
-    hasValidParentDomain() : boolean {
-        return matchDomain(this.component.allowedParentDomains, this.getParentDomain());
+    hasValidParentDomain() : ZalgoPromise<boolean> {
+        return this.component.isDomainAllowed(this.component.allowedParentDomains, this.getParentDomain());
+    }
+
+    /*  Has Valid Ancestor Domains
+        --------------------------
+
+        Make sure every ancestor frame up to the top window is on an allowed domain, so we can not be framed inside a
+        malicious page. If the domain of any ancestor can not be observed, we fail closed.
+    */
+
+    hasValidAncestorDomains() : boolean {
+        let allowedAncestorDomains = this.component.allowedAncestorDomains;
+
+        if (allowedAncestorDomains === WILDCARD) {
+            return true;
+        }
+
+        let domains = getAncestorDomains();
+
+        if (!domains) {
+            this.component.logError(`ancestor_domains_unavailable`, {});
+            return false;
+        }
+
+        for (let domain of domains) {
+            // Fail closed: a callback must return exactly true, so a promise or any other truthy value is rejected
+
+            let allowed = (typeof allowedAncestorDomains === 'function')
+                ? allowedAncestorDomains(domain)
+                : matchDomain(allowedAncestorDomains, domain);
+
+            if (allowed !== true) {
+                this.component.logError(`invalid_ancestor_domain`, { domain });
+                return false;
+            }
+        }
+
+        return true;
     }
 
     init() : ZalgoPromise<ChildComponent<P>> {
@@ -197,10 +270,90 @@ export class ChildComponent<P> extends BaseComponent<P> {
     }
 
 
+    /*  Confirm Nonce
+        -------------
+
+        Our window name includes a nonce generated by the parent. If we can reach into the parent window, we check it
+        directly; otherwise we ask the parent to confirm it over post-message. A mismatch means some other page opened
+        us with a crafted window name. Props can be read before this resolves, but function props can not be called.
+
+        Parents running a version of zoid from before the nonce was introduced do not send one, so when it is missing
+        we log a warning and fall back to the parent domain check alone.
+    */
+
+    confirmNonce() : ZalgoPromise<void> {
+        let nonce = getComponentMeta().nonce;
+
+        if (!nonce) {
+            this.component.logWarning(`window_name_nonce_missing`, {});
+            return ZalgoPromise.resolve();
+        }
+
+        return ZalgoPromise.try(() => {
+            let parentComponentWindow = getParentComponentWindow();
+
+            if (isSameDomain(parentComponentWindow)) {
+                let global = globalFor(parentComponentWindow);
+
+                if (!global || !global.nonces || !global.nonces[nonce]) {
+                    throw new RenderError(`Window name nonce was not created by parent window`);
+                }
+
+                return;
+            }
+
+            return this.sendToParent(POST_MESSAGE.CONFIRM_NONCE, { nonce }).then(noop, err => {
+                throw new RenderError(`Window name nonce could not be confirmed by parent window: ${ stringifyError(err) }`);
+            });
+
+        }).then(() => {
+            this.nonceConfirmed = true;
+        }, err => {
+            this.component.logError(`window_name_nonce_mismatch`, { error: stringifyError(err) });
+            throw err;
+        });
+    }
+
+    /*  Uses Props Token
+        ----------------
+
+        If our parent component window is on another domain, we can not look our props up by uid. If the parent gave us
+        a one-time token, we exchange it for our props instead.
+    */
+
+    usesPropsToken() : boolean {
+        let initialProps = getComponentMeta().props;
+
+        return initialProps.type === INITIAL_PROPS.UID && Boolean(initialProps.token) && !isSameDomain(getParentComponentWindow());
+    }
+
+    /*  Fetch Initial Props
+        -------------------
+
+        Exchange our one-time token with the parent for our initial props. post-robot makes sure the response comes from
+        the parent domain we expect.
+    */
+
+    fetchInitialProps() : ZalgoPromise<void> {
+        return ZalgoPromise.try(() => {
+
+            if (!this.usesPropsToken()) {
+                return;
+            }
+
+            let { token } = getComponentMeta().props;
+
+            return this.sendToParent(POST_MESSAGE.GET_PROPS, { token }).then(({ origin, data }) => {
+                this.setProps(data.props, origin);
+            });
+        });
+    }
+
     setProps(props : (BuiltInPropsType & P), origin : string, required : boolean = true) {
         // $FlowFixMe
         this.props = this.props || {};
         let normalizedProps = normalizeChildProps(this.component, props, origin, required);
+        this.component.registerSensitiveProps(this, normalizedProps);
         extend(this.props, normalizedProps);
         if (this.props.logLevel) {
             setLogLevel(this.props.logLevel);
@@ -277,6 +430,129 @@ export class ChildComponent<P> extends BaseComponent<P> {
         this.watchForClose();
     }
 
+    /*  Watch For Clickjacking
+        ----------------------
+
+        With clickjacking protection enabled, ignore any user interactions until the parent has reported that our frame
+        has been visible and unobscured for long enough
+    */
+
+    watchForClickjacking() {
+
+        if (!this.component.getClickjackingProtection()) {
+            return;
+        }
+
+        this.lastVisibleReport = 0;
+
+        let handler = (event : Event) => {
+            if (!this.isVisible()) {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+            }
+        };
+
+        for (let eventName of USER_INTERACTION_EVENTS) {
+            window.addEventListener(eventName, handler, true);
+        }
+
+        this.clean.register('destroyClickjackingListeners', () => {
+            for (let eventName of USER_INTERACTION_EVENTS) {
+                window.removeEventListener(eventName, handler, true);
+            }
+        });
+    }
+
+    isVisible() : boolean {
+
+        let protection = this.component.getClickjackingProtection();
+
+        // Popup windows can't be overlaid by the parent page, so there's nothing to protect against
+
+        if (!protection || this.context === CONTEXT_TYPES.POPUP) {
+            return true;
+        }
+
+        let now = Date.now();
+        let visibleSince = this.visibleSince;
+
+        return Boolean(visibleSince && !this.visibilityReportExpired(now) && (now - visibleSince) >= protection.delay);
+    }
+
+    /*  Visibility Report Expired
+        -------------------------
+
+        Reports expire if the parent stops sending them. Browsers throttle timers in background tabs, so we allow reports
+        to arrive late by a tolerance on top of the interval, rather than flicker between visible and obscured.
+    */
+
+    visibilityReportExpired(now : number) : boolean {
+
+        let protection = this.component.getClickjackingProtection();
+
+        if (!protection) {
+            return false;
+        }
+
+        return (now - this.lastVisibleReport) > (protection.interval + VISIBILITY_REPORT_TOLERANCE);
+    }
+
+    setVisible(visible : boolean) {
+
+        let protection = this.component.getClickjackingProtection();
+
+        if (!protection) {
+            return;
+        }
+
+        let wasVisible = this.isVisible();
+        let now = Date.now();
+
+        if (!visible) {
+            this.visibleSince = null;
+            this.lastVisibleReport = 0;
+
+        } else {
+
+            // If the last report expired, we start counting again from this one
+
+            if (!this.visibleSince || this.visibilityReportExpired(now)) {
+                this.visibleSince = now;
+            }
+
+            this.lastVisibleReport = now;
+        }
+
+        if (this.isVisible() !== wasVisible) {
+            this.component.log(`visibility_${ this.isVisible() ? 'visible' : 'obscured' }`);
+            this.event.trigger(EVENTS.VISIBILITY, this.isVisible());
+        }
+    }
+
+    /*  Watch For Escape
+        ----------------
+
+        Keydown events inside our frame never reach the parent document, so in the modal context we forward escape
+        presses to the parent, which dismisses the topmost modal.
+    */
+
+    watchForEscape() {
+
+        if (this.context !== CONTEXT_TYPES.MODAL) {
+            return;
+        }
+
+        let listener = addEventListener(window, EVENT_NAMES.KEYDOWN, (event : Event) => {
+            if (isEscapeKey(event)) {
+                this.sendToParent(POST_MESSAGE.ESCAPE, {}, { fireAndForget: true });
+            }
+        });
+
+        this.clean.register('destroyEscapeListener', () => {
+            listener.cancel();
+        });
+    }
+
     watchForClose() {
         window.addEventListener('unload', () => this.checkClose());
     }
@@ -361,6 +637,26 @@ export class ChildComponent<P> extends BaseComponent<P> {
 
         let self = this;
 
+        let exported = {};
+
+        for (let name of this.component.exports) {
+            exported[name] = function exportedMethod() : ZalgoPromise<mixed> {
+                let args = arguments;
+
+                return ZalgoPromise.try(() => {
+                    let method = self.exportedMethods[name];
+
+                    if (!method) {
+                        throw new Error(`Child has not exported method: ${ name }`);
+                    }
+
+                    self.component.log(`call_export_${ name }`);
+
+                    return method.apply(self, args);
+                });
+            };
+        }
+
         return {
             updateProps(props : (BuiltInPropsType & P)) : ZalgoPromise<void> {
                 return ZalgoPromise.try(() => self.setProps(props, this.origin, false));
@@ -368,11 +664,75 @@ export class ChildComponent<P> extends BaseComponent<P> {
 
             close() : ZalgoPromise<void> {
                 return ZalgoPromise.try(() => self.destroy());
+            },
+
+            exports: exported
+        };
+    }
+
+
+    /*  Export
+        ------
+
+        Export methods which the parent can call. Methods must be declared in the component's exports option.
+    */
+
+    export(methods : { [string] : Function }) {
+
+        for (let name of Object.keys(methods)) {
+
+            if (this.component.exports.indexOf(name) === -1) {
+                throw this.component.createError(`Can not export undeclared method: ${ name }`);
+            }
+
+            if (typeof methods[name] !== 'function') {
+                throw this.component.createError(`Expected exported ${ name } to be a function`);
+            }
+
+            this.exportedMethods[name] = methods[name];
+        }
+    }
+
+
+    /*  Listeners
+        ---------
+
+        Post-robot listeners to the parent component window
+    */
+
+    listeners() : { [string] : (CrossDomainWindowType, Object) => mixed } {
+        return {
+
+            // The parent emitted a custom event
+
+            [ POST_MESSAGE.EVENT ](source : CrossDomainWindowType, data : Object) {
+                this.component.validateEvent(data.name);
+                this.event.trigger(data.name, data.data);
+            },
+
+            // The parent checked whether our frame is visible, for clickjacking protection
+
+            [ POST_MESSAGE.VISIBILITY ](source : CrossDomainWindowType, data : Object) {
+                this.setVisible(Boolean(data.visible));
             }
         };
     }
 
 
+    /*  Emit
+        ----
+
+        Send a custom event to the parent component
+    */
+
+    emit(name : string, data : mixed) : ZalgoPromise<void> {
+        return ZalgoPromise.try(() => {
+            this.component.validateEvent(name);
+            return this.sendToParent(POST_MESSAGE.EVENT, { name, data });
+        }).then(noop);
+    }
+
+
     /*  Resize
         ------
 
@@ -443,6 +803,26 @@ export class ChildComponent<P> extends BaseComponent<P> {
         return this.sendToParent(POST_MESSAGE.SHOW).then(noop);
     }
 
+    /*  Resolve
+        -------
+
+        Return a result to a parent which rendered us using prompt()
+    */
+
+    resolve(value : mixed) : ZalgoPromise<void> {
+        return this.sendToParent(POST_MESSAGE.RESOLVE, { value }).then(noop);
+    }
+
+    // The message and stack are sent separately, so the parent can rebuild the error with the original message. The
+    // stringified error is still sent for parents on older versions.
+
+    reject(err : mixed) : ZalgoPromise<void> {
+        let message = (err instanceof Error) ? err.message : stringifyError(err);
+        let stack = (err instanceof Error) ? err.stack : undefined;
+
+        return this.sendToParent(POST_MESSAGE.REJECT, { message, stack, error: stringifyError(err) }).then(noop);
+    }
+
     userClose() : void {
         return this.close(CLOSE_REASONS.USER_CLOSED);
     }
@@ -491,7 +871,7 @@ export class ChildComponent<P> extends BaseComponent<P> {
     /*  Error
         -----
 
-        Send an error back to the parent
+        Send an error back to the parent, flagging render errors so the parent can raise them as a RenderError
     */
 
     error(err : mixed) : ZalgoPromise<void> {
@@ -501,7 +881,8 @@ export class ChildComponent<P> extends BaseComponent<P> {
         this.component.logError(`error`, { error: stringifiedError });
 
         return this.sendToParent(POST_MESSAGE.ERROR, {
-            error: stringifiedError
+            error:       stringifiedError,
+            renderError: err instanceof RenderError
         }).then(noop);
     }
 }
@@ -4,6 +4,8 @@ import { getDomain } from 'cross-domain-utils/src';
 
 import type { Component } from '../component';
 import type { BuiltInPropsType, MixedPropDefinitionType } from '../component/props';
+import { validatePropValue } from '../component/schema';
+import { PROP_TYPES } from '../../constants';
 
 export function normalizeChildProp<T, P>(component : Component<P>, props : (BuiltInPropsType & P), key : string, value : T) : ?T  {
 
@@ -18,6 +20,17 @@ export function normalizeChildProp<T, P>(component : Component<P>, props : (Buil
         }
     }
 
+    // Dates are serialized to iso strings when they are passed down, so we need to turn them back into dates
+
+    if (prop.type === PROP_TYPES.DATE && (typeof value === 'string' || typeof value === 'number')) {
+        // $FlowFixMe
+        value = new Date(value);
+    }
+
+    if (value !== null && value !== undefined) {
+        validatePropValue(prop, key, value);
+    }
+
     if (typeof prop.childDecorate === 'function') {
         return prop.childDecorate(value);
     }
@@ -30,6 +43,8 @@ export function normalizeChildProps<P>(component : Component<P>, props : (BuiltI
 
     let result = {};
 
+    component.validateUnknownProps(props);
+
     for (let key of Object.keys(props)) {
 
         let prop = component.getProp(key);
@@ -44,6 +59,20 @@ export function normalizeChildProps<P>(component : Component<P>, props : (BuiltI
         if (prop && prop.alias && !result[prop.alias]) {
             result[prop.alias] = value;
         }
+
+        // Deprecated props may still be passed by parents on older versions, so we map them to their replacement
+
+        let deprecated = prop && prop.deprecated;
+
+        if (deprecated) {
+            component.warnDeprecatedProp(key);
+
+            let replacement = deprecated.replacement;
+
+            if (replacement && !props.hasOwnProperty(replacement)) {
+                result[replacement] = normalizeChildProp(component, props, replacement, value);
+            }
+        }
     }
 
     if (required) {
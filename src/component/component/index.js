@@ -9,17 +9,21 @@ import { BaseComponent } from '../base';
 import { ChildComponent } from '../child';
 import { ParentComponent, type RenderOptionsType } from '../parent';
 import { DelegateComponent, type DelegateOptionsType } from '../delegate';
+import { isContextRegistered } from '../parent/drivers';
 import { isZoidComponentWindow, getComponentMeta } from '../window';
-import { CONTEXT_TYPES, POST_MESSAGE, WILDCARD } from '../../constants';
-import { angular, angular2, glimmer, react, vue, script } from '../../drivers/index';
-import { info, error, warn, setLogLevel, memoize } from '../../lib';
-import type { EnvStringRegExp, CssDimensionsType, StringMatcherType, ElementRefType, EnvString } from '../../types';
+import { CONTEXT_TYPES, POST_MESSAGE, WILDCARD, DEFAULT_SANDBOX_TOKENS, DEFAULT_CLICKJACKING_PROTECTION } from '../../constants';
+import { angular, angular2, glimmer, react, vue, vue3, webcomponent, script } from '../../drivers/index';
+import { info, error, warn, setLogLevel, memoize, closestMatch, compareVersions, getSensitiveValues, redactPayload } from '../../lib';
+import { RenderError } from '../../error';
+import type { EnvStringRegExp, CssDimensionsType, DomainMatcherType, DomainCallbackType, AsyncDomainMatcherType, ElementRefType, EnvString,
+    EnvSandbox, ClickjackingProtectionType, ClickjackingProtectionOptionsType } from '../../types';
 
 import { validate } from './validate';
 import { defaultContainerTemplate, defaultPrerenderTemplate } from './templates';
-import { getInternalProps, type UserPropsDefinitionType, type BuiltInPropsDefinitionType, type PropsType, type BuiltInPropsType, type MixedPropDefinitionType } from './props';
+import { getInternalProps, type UserPropsDefinitionType, type BuiltInPropsDefinitionType, type PropsType, type BuiltInPropsType, type MixedPropDefinitionType,
+    type PropCallType } from './props';
 
-const drivers = { angular, angular2, glimmer, react, vue, script };
+const drivers = { angular, angular2, glimmer, react, vue, vue3, webcomponent, script };
 
 /*  Component
     ---------
@@ -38,7 +42,7 @@ export type ComponentOptionsType<P> = {
     url? : EnvString,
     buildUrl? : (BuiltInPropsType & P) => string | ZalgoPromise<string>,
 
-    domain? : EnvStringRegExp,
+    domain? : EnvStringRegExp | DomainCallbackType,
     bridgeUrl? : EnvString,
     bridgeDomain? : EnvString,
 
@@ -46,16 +50,21 @@ export type ComponentOptionsType<P> = {
 
     dimensions? : CssDimensionsType,
     scrolling? : boolean,
+    sandbox? : EnvSandbox,
+    allow? : EnvString,
+    attributes? : { iframe? : { [string] : string }, popup? : { [string] : string | number } },
+    inlineScripts? : boolean,
     autoResize? : boolean | { width? : boolean, height? : boolean, element? : string },
     listenForResize? : boolean,
 
     defaultLogLevel? : string,
-    allowedParentDomains? : StringMatcherType,
+    allowedParentDomains? : AsyncDomainMatcherType,
+    allowedAncestorDomains? : DomainMatcherType,
 
     version? : string,
     defaultEnv? : string,
 
-    contexts? : { iframe? : boolean, popup? : boolean },
+    contexts? : { [string] : boolean },
     defaultContext? : string,
 
     containerTemplate? : (RenderOptionsType) => HTMLElement,
@@ -63,6 +72,15 @@ export type ComponentOptionsType<P> = {
 
     validate? : (Component<P>, PropsType) => void,
 
+    exports? : Array<string>,
+    events? : Array<string>,
+
+    strictProps? : boolean | 'warn',
+
+    onPropCall? : (PropCallType) => void,
+
+    clickjackingProtection? : boolean | ClickjackingProtectionOptionsType,
+
     unsafeRenderTo? : boolean
 };
 
@@ -75,11 +93,12 @@ export class Component<P> extends BaseComponent<P> {
 
     name : string
     looseProps : boolean
+    strictProps : boolean | 'warn'
 
     tag : string
     url : EnvString
 
-    domain : EnvStringRegExp
+    domain : EnvStringRegExp | DomainCallbackType
     bridgeUrl : EnvString
     bridgeDomain : EnvString
 
@@ -88,17 +107,22 @@ export class Component<P> extends BaseComponent<P> {
 
     dimensions : CssDimensionsType
     scrolling : boolean
+    sandbox : ?EnvSandbox
+    allow : ?EnvString
+    attributes : { iframe? : { [string] : string }, popup? : { [string] : string | number } }
+    inlineScripts : boolean
     autoResize : ?(boolean | { width? : boolean, height? : boolean, element? : string })
     listenForResize : ?boolean
 
     defaultLogLevel : string
-    allowedParentDomains : StringMatcherType
+    allowedParentDomains : AsyncDomainMatcherType
+    allowedAncestorDomains : DomainMatcherType
 
     version : string
     defaultEnv : string
     buildUrl : (BuiltInPropsType & P) => string | ZalgoPromise<string>
 
-    contexts : { iframe? : boolean, popup? : boolean }
+    contexts : { [string] : boolean }
     defaultContext : string
 
     containerTemplate : (RenderOptionsType) => HTMLElement
@@ -106,9 +130,19 @@ export class Component<P> extends BaseComponent<P> {
 
     validate : (Component<P>, (PropsType & P)) => void
 
+    exports : Array<string>
+    events : Array<string>
+
+    onPropCall : ?(PropCallType) => void
+
+    clickjackingProtection : boolean | ClickjackingProtectionOptionsType
+
     unsafeRenderTo : ?boolean
 
     driverCache : { [string] : mixed }
+    deprecationWarnings : { [string] : boolean }
+    sensitiveValues : Array<{ owner : Object, values : Array<string> }>
+    domainMatchCache : Array<{ callback : DomainCallbackType, results : { [string] : ZalgoPromise<boolean> } }>
 
     xchild : ?ChildComponent<P>
     xprops : ?P
@@ -126,6 +160,10 @@ export class Component<P> extends BaseComponent<P> {
 
         this.addProp(options, 'allowedParentDomains', WILDCARD);
 
+        this.domainMatchCache = [];
+
+        this.addProp(options, 'allowedAncestorDomains', WILDCARD);
+
         // initially set log level to default log level configured when creating component
         setLogLevel(this.defaultLogLevel);
 
@@ -142,15 +180,29 @@ export class Component<P> extends BaseComponent<P> {
 
         this.builtinProps = getInternalProps();
         this.props = options.props || {};
+        this.deprecationWarnings = {};
+
+        // Values of sensitive props, per parent or child instance, which are redacted from this component's logs
+
+        this.sensitiveValues = [];
 
         if (!options.props) {
             this.looseProps = true;
         }
 
+        // Whether to throw an error (true) or log a warning ('warn') when props are passed which are not defined above
+
+        this.addProp(options, 'strictProps', false);
+
         // The dimensions of the component, e.g. { width: '300px', height: '150px' }
 
         this.addProp(options, 'dimensions');
         this.addProp(options, 'scrolling');
+
+        // The sandbox flags and permissions policy for iframe components, e.g. { sandbox: true, allow: 'payment' }
+
+        this.addProp(options, 'sandbox');
+        this.addProp(options, 'allow');
         this.addProp(options, 'listenForResize');
 
         this.addProp(options, 'version', 'latest');
@@ -191,14 +243,34 @@ export class Component<P> extends BaseComponent<P> {
         this.addProp(options, 'containerTemplate', defaultContainerTemplate);
         this.addProp(options, 'prerenderTemplate', defaultPrerenderTemplate);
 
+        // Whether our templates and prefetched html may use inline scripts, for pages with a strict Content-Security-Policy
+
+        this.addProp(options, 'inlineScripts', true);
+
         // Validation
 
         this.addProp(options, 'validate');
 
+        // Names of the methods the child may export for the parent to call
+
+        this.addProp(options, 'exports', []);
+
+        // Names of the custom events which may be sent between the parent and the child
+
+        this.addProp(options, 'events', []);
+
+        // Audit hook, called with the details of every call to a function prop
+
+        this.addProp(options, 'onPropCall');
+
         // Security
 
         this.addProp(options, 'unsafeRenderTo', false);
 
+        // Whether the child should ignore user interactions until the parent reports the component is visible
+
+        this.addProp(options, 'clickjackingProtection', false);
+
         // A mapping of tag->component so we can reference components by string tag name
 
         Component.components[this.tag] = this;
@@ -230,6 +302,141 @@ export class Component<P> extends BaseComponent<P> {
         return this.props[name] || this.builtinProps[name];
     }
 
+    getUnknownPropNames(props : Object) : Array<string> {
+        let propNames = this.getPropNames();
+        let aliases = [];
+
+        for (let key of propNames) {
+            let prop = this.getProp(key);
+
+            if (prop && prop.alias) {
+                aliases.push(prop.alias);
+            }
+        }
+
+        return Object.keys(props).filter(key => propNames.indexOf(key) === -1 && aliases.indexOf(key) === -1);
+    }
+
+    /*  Register Sensitive Props
+        ------------------------
+
+        Make sure the values of any sensitive props are redacted from our logs, until the instance which passed them is
+        destroyed
+    */
+
+    registerSensitiveProps(owner : Object, props : Object) {
+        let values = [];
+
+        for (let key of Object.keys(props)) {
+            let prop = this.getProp(key);
+
+            if (prop && prop.sensitive) {
+                getSensitiveValues(props[key], values);
+            }
+        }
+
+        if (!values.length) {
+            return;
+        }
+
+        let entry = this.sensitiveValues.filter(item => item.owner === owner)[0];
+
+        if (!entry) {
+            entry = { owner, values: [] };
+            this.sensitiveValues.push(entry);
+        }
+
+        for (let value of values) {
+            if (entry.values.indexOf(value) === -1) {
+                entry.values.push(value);
+            }
+        }
+    }
+
+    unregisterSensitiveProps(owner : Object) {
+        this.sensitiveValues = this.sensitiveValues.filter(item => item.owner !== owner);
+    }
+
+    getSensitiveValues() : Array<string> {
+        let result = [];
+
+        for (let { values } of this.sensitiveValues) {
+            result.push(...values);
+        }
+
+        return result;
+    }
+
+    /*  Warn Deprecated Prop
+        --------------------
+
+        Log a warning, once per prop, when a deprecated prop is used
+    */
+
+    warnDeprecatedProp(key : string) {
+        let prop = this.getProp(key);
+        let deprecated = prop && prop.deprecated;
+
+        if (!deprecated || this.deprecationWarnings[key]) {
+            return;
+        }
+
+        this.deprecationWarnings[key] = true;
+
+        let { since, message, replacement } = deprecated;
+
+        this.logWarning(`deprecated_prop_${ key }`, {
+            since:       since || '',
+            message:     message || `Prop ${ key } is deprecated${ replacement ? `, use ${ replacement } instead` : '' }`,
+            replacement: replacement || ''
+        });
+    }
+
+    isPropRemoved(key : string) : boolean {
+        let prop = this.getProp(key);
+        let removedIn = prop && prop.deprecated && prop.deprecated.removedIn;
+
+        if (!removedIn) {
+            return false;
+        }
+
+        let comparison = compareVersions(this.version, removedIn);
+        return typeof comparison === 'number' && comparison >= 0;
+    }
+
+    /*  Validate Unknown Props
+        ----------------------
+
+        In strict props mode, error out (or warn) when we're passed props which are not defined for the component
+    */
+
+    validateUnknownProps(props : Object) {
+
+        if (!this.strictProps) {
+            return;
+        }
+
+        let unknownPropNames = this.getUnknownPropNames(props);
+
+        if (!unknownPropNames.length) {
+            return;
+        }
+
+        let propNames = this.getPropNames();
+
+        let description = unknownPropNames.map(key => {
+            let suggestion = closestMatch(key, propNames);
+            return suggestion ? `${ key } (did you mean ${ suggestion }?)` : key;
+        }).join(', ');
+
+        if (this.strictProps === 'warn') {
+            this.logWarning(`unknown_props`, { props: description });
+            return;
+        }
+
+        throw new RenderError(`Unknown props: ${ description }`);
+    }
+
     registerDrivers() {
         this.driverCache = {};
 
@@ -273,22 +480,29 @@ export class Component<P> extends BaseComponent<P> {
 
         on(`${ POST_MESSAGE.DELEGATE }_${ this.name }`, ({ source, origin, data }) => {
 
-            let domain = this.getDomain(null, data.env || this.defaultEnv);
+            let domain = this.getDomainMatcher(data.env || this.defaultEnv);
 
             if (!domain) {
                 throw new Error(`Could not determine domain to allow remote render`);
             }
 
-            if (!matchDomain(domain, origin)) {
-                throw new Error(`Can not render from ${ origin } - expected ${ domain.toString() }`);
-            }
+            return this.isDomainAllowed(domain, origin).then(allowed => {
 
-            let delegate = this.delegate(source, data.options);
+                if (!allowed) {
+                    throw new Error(`Can not render from ${ origin } - expected ${ domain ? domain.toString() : '' }`);
+                }
+
+                if (!isContextRegistered(data.context)) {
+                    throw new Error(`Can not render to unregistered context: ${ data.context }`);
+                }
 
-            return {
-                overrides: delegate.getOverrides(data.context),
-                destroy:   () => delegate.destroy()
-            };
+                let delegate = this.delegate(source, data.options);
+
+                return {
+                    overrides: delegate.getOverrides(data.context),
+                    destroy:   () => delegate.destroy()
+                };
+            });
         });
     }
 
@@ -332,7 +546,9 @@ export class Component<P> extends BaseComponent<P> {
 
     getDomain(url : ?string, env : string) : ?(string | RegExp) {
 
-        let domain = this.getForEnv(this.domain, env);
+        // A domain callback can only be used to check origins, so in that case we fall back to the domain of the url
+
+        let domain = (typeof this.domain === 'function') ? null : this.getForEnv(this.domain, env);
 
         if (domain) {
             return domain;
@@ -357,6 +573,118 @@ export class Component<P> extends BaseComponent<P> {
         }
     }
 
+    /*  Get Domain Matcher
+        ------------------
+
+        Get the pattern or callback used to check the origin of messages from the child
+    */
+
+    getDomainMatcher(env : string) : ?(string | RegExp | DomainCallbackType) {
+        if (typeof this.domain === 'function') {
+            return this.domain;
+        }
+
+        return this.getDomain(null, env);
+    }
+
+    /*  Is Domain Allowed
+        -----------------
+
+        Check an origin against a domain pattern. Patterns may also be callbacks, returning a boolean or a promise for a
+        boolean, for allowlists which are maintained server-side. Callback results are cached per origin.
+    */
+
+    isDomainAllowed(matcher : ?(AsyncDomainMatcherType | RegExp), origin : string) : ZalgoPromise<boolean> {
+
+        if (!matcher) {
+            return ZalgoPromise.resolve(false);
+        }
+
+        if (typeof matcher !== 'function') {
+            return ZalgoPromise.resolve(matchDomain(matcher, origin));
+        }
+
+        let callback = matcher;
+        let entry = this.domainMatchCache.filter(item => item.callback === callback)[0];
+
+        if (!entry) {
+            entry = { callback, results: {} };
+            this.domainMatchCache.push(entry);
+        }
+
+        let results = entry.results;
+
+        if (results[origin]) {
+            return results[origin];
+        }
+
+        let result = ZalgoPromise.try(() => callback(origin)).then(Boolean);
+        results[origin] = result;
+
+        // Failed lookups are not cached, so the callback is called again next time
+
+        result.catch(() => {
+            if (results[origin] === result) {
+                delete results[origin];
+            }
+        });
+
+        return result;
+    }
+
+    /*  Get Sandbox
+        -----------
+
+        Get the value for the iframe sandbox attribute in the given env. Passing sandbox: true uses the default flags,
+        which keep messaging, popups and forms working in the child.
+    */
+
+    getSandbox(env : ?string) : ?string {
+
+        let sandbox = this.sandbox;
+
+        if (sandbox && typeof sandbox === 'object') {
+            sandbox = sandbox[env || this.defaultEnv];
+        }
+
+        if (sandbox === true) {
+            return DEFAULT_SANDBOX_TOKENS.join(' ');
+        }
+
+        if (typeof sandbox === 'string') {
+            return sandbox;
+        }
+    }
+
+    getPermissionsPolicy(env : ?string) : ?string {
+        // $FlowFixMe
+        return this.getForEnv(this.allow, env);
+    }
+
+    /*  Get Clickjacking Protection
+        ---------------------------
+
+        Get the clickjacking protection settings, with defaults filled in, or nothing if protection is not enabled
+    */
+
+    getClickjackingProtection() : ?ClickjackingProtectionType {
+
+        let protection = this.clickjackingProtection;
+
+        if (!protection) {
+            return;
+        }
+
+        let {
+            minWidth = DEFAULT_CLICKJACKING_PROTECTION.MIN_WIDTH,
+            minHeight = DEFAULT_CLICKJACKING_PROTECTION.MIN_HEIGHT,
+            interval = DEFAULT_CLICKJACKING_PROTECTION.INTERVAL,
+            delay = DEFAULT_CLICKJACKING_PROTECTION.DELAY
+        } = (typeof protection === 'object') ? protection : {};
+
+        return { minWidth, minHeight, interval, delay };
+    }
+
     getBridgeUrl(env : string) : ?string {
         // $FlowFixMe
         return this.getForEnv(this.bridgeUrl, env);
@@ -419,6 +747,12 @@ export class Component<P> extends BaseComponent<P> {
         throw new Error(`Unable to get url`);
     }
 
+    validateEvent(name : string) {
+        if (this.events.indexOf(name) === -1) {
+            throw this.createError(`Unknown event: ${ name }`);
+        }
+    }
+
     isZoidComponent() : boolean {
         return isZoidComponentWindow();
     }
@@ -465,6 +799,14 @@ export class Component<P> extends BaseComponent<P> {
             return CONTEXT_TYPES.IFRAME;
         } else if (this.contexts[CONTEXT_TYPES.POPUP]) {
             return CONTEXT_TYPES.POPUP;
+        } else if (this.contexts[CONTEXT_TYPES.MODAL]) {
+            return CONTEXT_TYPES.MODAL;
+        }
+
+        for (let context of Object.keys(this.contexts)) {
+            if (this.contexts[context] && isContextRegistered(context)) {
+                return context;
+            }
         }
 
         throw new Error(`Can not determine default context`);
@@ -501,6 +843,24 @@ export class Component<P> extends BaseComponent<P> {
         });
     }
 
+    /*  Prompt
+        ------
+
+        Render the component, and resolve with the value the child returns using xchild.resolve()
+    */
+
+    prompt(props : (PropsType & P), element : ?ElementRefType) : ZalgoPromise<mixed> {
+        return ZalgoPromise.try(() => {
+            return new ParentComponent(this, this.getRenderContext(null, element), { props }).prompt(element);
+        });
+    }
+
+    renderModal(props : (PropsType & P)) : ZalgoPromise<ParentComponent<P>> {
+        return ZalgoPromise.try(() => {
+            return new ParentComponent(this, this.getRenderContext(CONTEXT_TYPES.MODAL), { props }).render();
+        });
+    }
+
     renderTo(win : CrossDomainWindowType, props : (PropsType & P), element : ?ElementRefType) : ZalgoPromise<ParentComponent<P>> {
         return ZalgoPromise.try(() => {
             return new ParentComponent(this, this.getRenderContext(null, element), { props }).renderTo(win, element);
@@ -519,6 +879,12 @@ export class Component<P> extends BaseComponent<P> {
         });
     }
 
+    renderModalTo(win : CrossDomainWindowType, props : (PropsType & P)) : ZalgoPromise<ParentComponent<P>> {
+        return ZalgoPromise.try(() => {
+            return new ParentComponent(this, this.getRenderContext(CONTEXT_TYPES.MODAL), { props }).renderTo(win);
+        });
+    }
+
     prerender(props : (PropsType & P), element : ElementRefType) : { render : ((PropsType & P), ElementRefType) => ZalgoPromise<ParentComponent<P>>, renderTo : (CrossDomainWindowType, (PropsType & P), ElementRefType) => ZalgoPromise<ParentComponent<P>> } {
         let instance = new ParentComponent(this, this.getRenderContext(null, element), { props });
         instance.prefetch();
@@ -557,7 +923,7 @@ export class Component<P> extends BaseComponent<P> {
     */
 
     log(event : string, payload : { [ string ] : string } = {}) {
-        info(this.name, event, payload);
+        info(this.name, event, redactPayload(payload, this.getSensitiveValues()));
     }
 
 
@@ -568,7 +934,7 @@ export class Component<P> extends BaseComponent<P> {
     */
 
     logWarning(event : string, payload : { [ string ] : string }) {
-        warn(this.name, event, payload);
+        warn(this.name, event, redactPayload(payload, this.getSensitiveValues()));
     }
 
 
@@ -579,7 +945,7 @@ export class Component<P> extends BaseComponent<P> {
     */
 
     logError(event : string, payload : { [ string ] : string }) {
-        error(this.name, event, payload);
+        error(this.name, event, redactPayload(payload, this.getSensitiveValues()));
     }
 
     static components : { [string] : Component<*> } = {}
@@ -3,7 +3,30 @@
 import { type ZalgoPromise } from 'zalgo-promise/src';
 
 import { uniqueID } from '../../lib';
-import { type DimensionsType } from '../../types';
+import { type DimensionsType, type AsyncDomainMatcherType } from '../../types';
+
+import { type PropSchemaType } from './schema';
+
+export type PropDeprecationType = {
+    since? : string,
+    message? : string,
+    replacement? : string,
+    removedIn? : string
+};
+
+export type PropRateLimitType = {
+    calls : number,
+    perMs : number
+};
+
+export type PropCallType = {
+    key : string,
+    args : Array<mixed>,
+    origin : ?string,
+    duration : number,
+    result? : mixed,
+    error? : mixed
+};
 
 type PropDefinitionType<T, P, S : string> = {
     type : S,
@@ -24,7 +47,13 @@ type PropDefinitionType<T, P, S : string> = {
     sameDomain? : boolean,
     serialization? : 'json' | 'dotify',
     childDecorate? : (T) => ?T,
-    denodeify? : boolean
+    denodeify? : boolean,
+    values? : Array<mixed>,
+    schema? : PropSchemaType,
+    deprecated? : PropDeprecationType,
+    sensitive? : boolean,
+    allowedDomains? : AsyncDomainMatcherType,
+    rateLimit? : PropRateLimitType
 };
 
 export type BooleanPropDefinitionType<T : boolean, P> = PropDefinitionType<T, P, 'boolean'>;
@@ -32,8 +61,12 @@ export type StringPropDefinitionType<T : string, P> = PropDefinitionType<T, P, '
 export type NumberPropDefinitionType<T : number, P> = PropDefinitionType<T, P, 'number'>;
 export type FunctionPropDefinitionType<T : Function, P> = PropDefinitionType<T, P, 'function'>;
 export type ObjectPropDefinitionType<T : Object, P> = PropDefinitionType<T, P, 'object'>;
+export type ArrayPropDefinitionType<T : Array<mixed>, P> = PropDefinitionType<T, P, 'array'>;
+export type DatePropDefinitionType<T : Date, P> = PropDefinitionType<T, P, 'date'>;
+export type EnumPropDefinitionType<T, P> = PropDefinitionType<T, P, 'enum'>;
 
-export type MixedPropDefinitionType<P> = BooleanPropDefinitionType<*, P> | StringPropDefinitionType<*, P> | NumberPropDefinitionType<*, P> | FunctionPropDefinitionType<*, P> | ObjectPropDefinitionType<*, P>;
+export type MixedPropDefinitionType<P> = BooleanPropDefinitionType<*, P> | StringPropDefinitionType<*, P> | NumberPropDefinitionType<*, P> | FunctionPropDefinitionType<*, P> | ObjectPropDefinitionType<*, P> |
+    ArrayPropDefinitionType<*, P> | DatePropDefinitionType<*, P> | EnumPropDefinitionType<*, P>;
 
 export type UserPropsDefinitionType<P> = {
     [string] : MixedPropDefinitionType<P>
@@ -47,6 +80,7 @@ type urlPropType = string;
 type versionPropType = string;
 type timeoutPropType = number;
 type logLevelPropType = string;
+type cspNoncePropType = string;
 type dimensionsPropType = DimensionsType;
 
 type onDisplayPropType = EventHandlerType<void>;
@@ -64,6 +98,7 @@ export type BuiltInPropsType = {
     timeout? : timeoutPropType,
     logLevel : logLevelPropType,
     dimensions? : dimensionsPropType,
+    cspNonce? : cspNoncePropType,
 
     onDisplay : onDisplayPropType,
     onEnter : onEnterPropType,
@@ -81,6 +116,7 @@ export type PropsType = {
     timeout? : timeoutPropType,
     logLevel? : logLevelPropType,
     dimensions? : dimensionsPropType,
+    cspNonce? : cspNoncePropType,
 
     onDisplay? : onDisplayPropType,
     onEnter? : onEnterPropType,
@@ -98,6 +134,7 @@ export type BuiltInPropsDefinitionType<P> = {
     timeout : NumberPropDefinitionType<timeoutPropType, P>,
     logLevel : StringPropDefinitionType<logLevelPropType, P>,
     dimensions : ObjectPropDefinitionType<dimensionsPropType, P>,
+    cspNonce : StringPropDefinitionType<cspNoncePropType, P>,
 
     onDisplay : FunctionPropDefinitionType<onDisplayPropType, P>,
     onEnter : FunctionPropDefinitionType<onEnterPropType, P>,
@@ -168,6 +205,14 @@ export function getInternalProps<P>() : BuiltInPropsDefinitionType<P> {
             }
         },
 
+        // A csp nonce to add to the styles and scripts in our templates, overriding the one set using zoid.setCspNonce()
+
+        cspNonce: {
+            type:        'string',
+            required:    false,
+            sendToChild: false
+        },
+
         // A millisecond timeout before onTimeout is called
 
         timeout: {
@@ -0,0 +1,137 @@
+/* @flow */
+
+import { PROP_TYPES } from '../../constants';
+
+export type PropSchemaType = {
+    type? : string,
+    values? : Array<mixed>,
+    required? : Array<string>,
+    properties? : { [string] : PropSchemaType },
+    items? : PropSchemaType,
+    min? : number,
+    max? : number
+};
+
+function isDate(value : mixed) : boolean {
+    return value instanceof Date && !isNaN(value.getTime());
+}
+
+function validateType(type : ?string, key : string, value : mixed, values : ?Array<mixed>) {
+
+    if (type === PROP_TYPES.STRING && typeof value !== 'string') {
+        throw new TypeError(`Prop is not of type string: ${ key }`);
+    }
+
+    if (type === PROP_TYPES.NUMBER && (typeof value !== 'number' || isNaN(value))) {
+        throw new TypeError(`Prop is not a number: ${ key }`);
+    }
+
+    if (type === PROP_TYPES.BOOLEAN && typeof value !== 'boolean') {
+        throw new TypeError(`Prop is not of type boolean: ${ key }`);
+    }
+
+    if (type === PROP_TYPES.OBJECT && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        throw new TypeError(`Prop is not of type object: ${ key }`);
+    }
+
+    if (type === PROP_TYPES.ARRAY && !Array.isArray(value)) {
+        throw new TypeError(`Prop is not of type array: ${ key }`);
+    }
+
+    if (type === PROP_TYPES.DATE && !isDate(value)) {
+        throw new TypeError(`Prop is not a valid date: ${ key }`);
+    }
+
+    if (type === PROP_TYPES.ENUM) {
+        if (!values || values.indexOf(value) === -1) {
+            throw new TypeError(`Prop is not one of ${ values ? values.map(String).join(', ') : '' }: ${ key }`);
+        }
+    }
+}
+
+function validateRange(schema : PropSchemaType, key : string, value : mixed) {
+
+    let size;
+
+    if (typeof value === 'number') {
+        size = value;
+    } else if (typeof value === 'string' || Array.isArray(value)) {
+        size = value.length;
+    } else {
+        return;
+    }
+
+    if (typeof schema.min === 'number' && size < schema.min) {
+        throw new RangeError(`Expected ${ key } to be at least ${ schema.min }`);
+    }
+
+    if (typeof schema.max === 'number' && size > schema.max) {
+        throw new RangeError(`Expected ${ key } to be at most ${ schema.max }`);
+    }
+}
+
+
+/*  Validate Schema
+    ---------------
+
+    Recursively validate a value against a prop schema. Objects are checked for required keys and typed properties,
+    arrays for their item types, and numbers, strings and arrays against min and max.
+*/
+
+export function validateSchema(schema : PropSchemaType, key : string, value : mixed) {
+
+    validateType(schema.type, key, value, schema.values);
+    validateRange(schema, key, value);
+
+    if (schema.required || schema.properties) {
+
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw new TypeError(`Prop is not of type object: ${ key }`);
+        }
+
+        let obj = value;
+
+        for (let name of schema.required || []) {
+            if (obj[name] === null || obj[name] === undefined) {
+                throw new Error(`Prop is missing required key: ${ key }.${ name }`);
+            }
+        }
+
+        let properties = schema.properties || {};
+
+        for (let name of Object.keys(properties)) {
+            if (obj[name] !== null && obj[name] !== undefined) {
+                validateSchema(properties[name], `${ key }.${ name }`, obj[name]);
+            }
+        }
+    }
+
+    if (schema.items) {
+
+        if (!Array.isArray(value)) {
+            throw new TypeError(`Prop is not of type array: ${ key }`);
+        }
+
+        for (let i = 0; i < value.length; i++) {
+            validateSchema(schema.items, `${ key }[${ i }]`, value[i]);
+        }
+    }
+}
+
+/*  Validate Prop Value
+    -------------------
+
+    Validate the array, date and enum prop types, and any schema defined for the prop. Used both in the parent before
+    the props are sent, and in the child once they are received.
+*/
+
+export function validatePropValue(prop : { +type : string, +values? : Array<mixed>, +schema? : PropSchemaType }, key : string, value : mixed) {
+
+    if (prop.type === PROP_TYPES.ARRAY || prop.type === PROP_TYPES.DATE || prop.type === PROP_TYPES.ENUM) {
+        validateType(prop.type, key, value, prop.values);
+    }
+
+    if (prop.schema) {
+        validateSchema(prop.schema, key, value);
+    }
+}
@@ -1,21 +1,166 @@
 /* @flow */
 
-import { PROP_TYPES_LIST, CONTEXT_TYPES_LIST } from '../../constants';
+import { PROP_TYPES, PROP_TYPES_LIST, CONTEXT_TYPES_LIST, WILDCARD, EVENTS_LIST, SANDBOX_TOKENS, SANDBOX_TOKENS_LIST,
+    REQUIRED_SANDBOX_TOKENS } from '../../constants';
 import { isPerc, isPx } from '../../lib';
+import { isContextRegistered } from '../parent/drivers';
 
 import type { ComponentOptionsType } from './index';
 
+function validateDomainMatcher(name : string, matcher : mixed) {
+
+    if (matcher === undefined) {
+        return;
+    }
+
+    if (typeof matcher !== 'string' && typeof matcher !== 'function' && !(matcher instanceof RegExp) && !Array.isArray(matcher)) {
+        throw new TypeError(`Expected options.${ name } to be a string, RegExp, array or function`);
+    }
+}
+
+function validateSandboxTokens(name : string, sandbox : mixed) {
+
+    if (sandbox === undefined || typeof sandbox === 'boolean') {
+        return;
+    }
+
+    if (typeof sandbox !== 'string') {
+        throw new TypeError(`Expected options.${ name } to be a boolean or a string of sandbox flags`);
+    }
+
+    let tokens = sandbox.split(/\s+/).filter(Boolean);
+
+    for (let token of tokens) {
+        if (SANDBOX_TOKENS_LIST.indexOf(token) === -1) {
+            throw new Error(`Unknown sandbox flag in options.${ name }: ${ token }`);
+        }
+    }
+
+    for (let token of REQUIRED_SANDBOX_TOKENS) {
+        if (tokens.indexOf(token) === -1) {
+            throw new Error(`Expected options.${ name } to include ${ token }, which zoid needs to communicate with the child`);
+        }
+    }
+
+    if (tokens.indexOf(SANDBOX_TOKENS.POPUPS_TO_ESCAPE_SANDBOX) !== -1 && tokens.indexOf(SANDBOX_TOKENS.POPUPS) === -1) {
+        throw new Error(`Expected options.${ name } to include ${ SANDBOX_TOKENS.POPUPS } when ${ SANDBOX_TOKENS.POPUPS_TO_ESCAPE_SANDBOX } is set`);
+    }
+}
+
+function validateSandbox<P>(options : ComponentOptionsType<P>) {
+
+    let sandbox = options.sandbox;
+
+    if (sandbox && typeof sandbox === 'object') {
+        for (let env of Object.keys(sandbox)) {
+            validateSandboxTokens(`sandbox.${ env }`, sandbox[env]);
+        }
+    } else {
+        validateSandboxTokens('sandbox', sandbox);
+    }
+
+    let allow = options.allow;
+
+    if (allow !== undefined && typeof allow !== 'string' && !(allow && typeof allow === 'object')) {
+        throw new TypeError(`Expected options.allow to be a string or an object mapping env->string`);
+    }
+
+    let iframeAttributes = options.attributes && options.attributes.iframe;
+
+    if (iframeAttributes && ((sandbox !== undefined && iframeAttributes.sandbox) || (allow !== undefined && iframeAttributes.allow))) {
+        throw new Error(`Can not pass both options.sandbox or options.allow and the same attribute in options.attributes.iframe`);
+    }
+}
+
+function validateClickjackingProtection(protection : mixed) {
+
+    if (protection === undefined || typeof protection === 'boolean') {
+        return;
+    }
+
+    if (!protection || typeof protection !== 'object') {
+        throw new TypeError(`Expected options.clickjackingProtection to be a boolean or an object`);
+    }
+
+    for (let key of [ 'minWidth', 'minHeight', 'interval', 'delay' ]) {
+        let value = protection[key];
+
+        if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+            throw new TypeError(`Expected options.clickjackingProtection.${ key } to be a non-negative number`);
+        }
+    }
+
+    if (protection.interval === 0) {
+        throw new Error(`Expected options.clickjackingProtection.interval to be greater than zero`);
+    }
+}
+
+function validateRateLimit(key : string, prop : Object) {
+
+    if (prop.type !== PROP_TYPES.FUNCTION) {
+        throw new Error(`Expected options.props.${ key }.rateLimit to only be set for function props`);
+    }
+
+    let { calls, perMs } = prop.rateLimit || {};
+
+    if (typeof calls !== 'number' || calls < 1 || typeof perMs !== 'number' || perMs < 1) {
+        throw new TypeError(`Expected options.props.${ key }.rateLimit to be an object with positive calls and perMs numbers`);
+    }
+}
+
+function validatePropOptions(key : string, prop : Object, props : Object) {
+
+    if (prop.type === PROP_TYPES.ENUM && (!Array.isArray(prop.values) || !prop.values.length)) {
+        throw new Error(`Expected options.props.${ key }.values to be a non-empty array`);
+    }
+
+    if (prop.schema && !(typeof prop.schema === 'object')) {
+        throw new Error(`Expected options.props.${ key }.schema to be an object`);
+    }
+
+    if (prop.sensitive && prop.queryParam) {
+        throw new Error(`Sensitive prop can not be passed as a query param: ${ key }`);
+    }
+
+    if (prop.allowedDomains !== undefined) {
+        if (prop.type !== PROP_TYPES.FUNCTION) {
+            throw new Error(`Expected options.props.${ key }.allowedDomains to only be set for function props`);
+        }
+
+        validateDomainMatcher(`props.${ key }.allowedDomains`, prop.allowedDomains);
+    }
+
+    if (prop.rateLimit !== undefined) {
+        validateRateLimit(key, prop);
+    }
+
+    if (prop.deprecated) {
+
+        if (typeof prop.deprecated !== 'object') {
+            throw new TypeError(`Expected options.props.${ key }.deprecated to be an object`);
+        }
+
+        let replacement = prop.deprecated.replacement;
+
+        if (replacement && !props[replacement]) {
+            throw new Error(`Expected options.props.${ key }.deprecated.replacement to be a defined prop: ${ replacement }`);
+        }
+    }
+}
+
 function validatePropDefinitions<P>(options : ComponentOptionsType<P>) {
 
     if (options.props && !(typeof options.props === 'object')) {
         throw new Error(`Expected options.props to be an object`);
     }
 
-    if (options.props) {
-        for (let key of Object.keys(options.props)) {
+    let props = options.props;
+
+    if (props) {
+        for (let key of Object.keys(props)) {
 
             // $FlowFixMe
-            let prop = options.props[key];
+            let prop = props[key];
 
             if (!prop || !(typeof prop === 'object')) {
                 throw new Error(`Expected options.props.${ key } to be an object`);
@@ -32,6 +177,8 @@ function validatePropDefinitions<P>(options : ComponentOptionsType<P>) {
             if (prop.required && prop.def) {
                 throw new Error(`Required prop can not have a default value`);
             }
+
+            validatePropOptions(key, prop, props);
         }
     }
 }
@@ -49,6 +196,20 @@ export function validate<P>(options : ?ComponentOptionsType<P>) { // eslint-igno
 
     validatePropDefinitions(options);
 
+    if (options.strictProps !== undefined && typeof options.strictProps !== 'boolean' && options.strictProps !== 'warn') {
+        throw new Error(`Expected options.strictProps to be a boolean or 'warn'`);
+    }
+
+    if (options.onPropCall !== undefined && typeof options.onPropCall !== 'function') {
+        throw new TypeError(`Expected options.onPropCall to be a function`);
+    }
+
+    validateDomainMatcher('allowedParentDomains', options.allowedParentDomains);
+    validateDomainMatcher('allowedAncestorDomains', options.allowedAncestorDomains);
+
+    validateSandbox(options);
+    validateClickjackingProtection(options.clickjackingProtection);
+
     if (options.dimensions) {
         if (options.dimensions && !isPx(options.dimensions.width) && !isPerc(options.dimensions.width)) {
             throw new Error(`Expected options.dimensions.width to be a px or % string value`);
@@ -69,7 +230,7 @@ export function validate<P>(options : ?ComponentOptionsType<P>) { // eslint-igno
 
         for (let context of Object.keys(options.contexts)) {
 
-            if (CONTEXT_TYPES_LIST.indexOf(context) === -1) {
+            if (CONTEXT_TYPES_LIST.indexOf(context) === -1 && !isContextRegistered(context)) {
                 throw new Error(`Unsupported context type: ${ context }`);
             }
 
@@ -83,8 +244,10 @@ export function validate<P>(options : ?ComponentOptionsType<P>) { // eslint-igno
         }
     }
 
-    if (options.defaultContext) {
-        if (CONTEXT_TYPES_LIST.indexOf(options.defaultContext) === -1) {
+    let defaultContext = options.defaultContext;
+
+    if (defaultContext) {
+        if (CONTEXT_TYPES_LIST.indexOf(defaultContext) === -1 && !isContextRegistered(defaultContext)) {
             throw new Error(`Unsupported context type: ${ options.defaultContext || 'unknown' }`);
         }
 
@@ -124,6 +287,34 @@ export function validate<P>(options : ?ComponentOptionsType<P>) { // eslint-igno
         }
     }
 
+    if (options.exports) {
+        if (!Array.isArray(options.exports)) {
+            throw new TypeError(`Expected options.exports to be an array of method names`);
+        }
+
+        for (let name of options.exports) {
+            if (typeof name !== 'string' || !name.match(/^[a-zA-Z_$][a-zA-Z0-9_$]*$/)) {
+                throw new Error(`Invalid export name: ${ name }`);
+            }
+        }
+    }
+
+    if (options.events) {
+        if (!Array.isArray(options.events)) {
+            throw new TypeError(`Expected options.events to be an array of event names`);
+        }
+
+        for (let name of options.events) {
+            if (typeof name !== 'string' || !name || name === WILDCARD) {
+                throw new Error(`Invalid event name: ${ name }`);
+            }
+
+            if (EVENTS_LIST.indexOf(name) !== -1) {
+                throw new Error(`Event name is reserved by zoid: ${ name }`);
+            }
+        }
+    }
+
     if (options.prerenderTemplate && typeof options.prerenderTemplate !== 'function') {
         throw new Error(`Expected options.prerenderTemplate to be a function`);
     }
@@ -131,4 +322,8 @@ export function validate<P>(options : ?ComponentOptionsType<P>) { // eslint-igno
     if (options.containerTemplate && typeof options.containerTemplate !== 'function') {
         throw new Error(`Expected options.containerTemplate to be a function`);
     }
+
+    if (options.inlineScripts !== undefined && typeof options.inlineScripts !== 'boolean') {
+        throw new TypeError(`Expected options.inlineScripts to be a boolean`);
+    }
 }
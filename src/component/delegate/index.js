@@ -12,6 +12,7 @@ import type { CancelableType, DimensionsType } from '../../types';
 
 export type DelegatePropsType = {
     uid : string,
+    env : string,
     dimensions : DimensionsType,
     onClose : () => ?ZalgoPromise<void>,
     onDisplay : () => ?ZalgoPromise<void>
@@ -54,6 +55,7 @@ export class DelegateComponent<P> extends BaseComponent<P> {
 
         this.props = {
             uid:        options.props.uid,
+            env:        options.props.env,
             dimensions: options.props.dimensions,
             onClose:    options.props.onClose,
             onDisplay:  options.props.onDisplay
@@ -1,4 +1,5 @@
 /* @flow */
+/* eslint max-lines: 0 */
 
 import { ZalgoPromise } from 'zalgo-promise/src';
 import { cleanUpWindow } from 'post-robot/src';
@@ -6,9 +7,12 @@ import { findFrameByName, isSameDomain } from 'cross-domain-utils/src';
 
 import { iframe, popup, toCSS, showElement, hideElement,
     destroyElement, normalizeDimension, watchElementForClose,
-    awaitFrameWindow, addClass, removeClass, noop } from '../../lib';
-import { CONTEXT_TYPES, DELEGATE, CLOSE_REASONS, CLASS_NAMES, DEFAULT_DIMENSIONS } from '../../constants';
+    awaitFrameWindow, addClass, removeClass, noop, createElement,
+    appendChild, addEventListener, setOverflow, isEscapeKey } from '../../lib';
+import { CONTEXT_TYPES, DELEGATE, CLOSE_REASONS, CLASS_NAMES, DEFAULT_DIMENSIONS, EVENT_NAMES, EVENTS } from '../../constants';
 import { getPosition, getParentComponentWindow } from '../window';
+import type { Component } from '../component';
+import type { CancelableType } from '../../types';
 
 
 export type ContextDriverType = {
@@ -30,7 +34,8 @@ export type ContextDriverType = {
     },
 
     openPrerender : () => ZalgoPromise<void>,
-    switchPrerender? : () => void
+    switchPrerender? : () => void,
+    openContainer? : () => void
 };
 
 /*  Render Drivers
@@ -51,6 +56,35 @@ export type ContextDriverType = {
 
 export let RENDER_DRIVERS : { [string] : ContextDriverType } = {};
 
+/*  Get Iframe Attributes
+    ---------------------
+
+    Get the attributes for the component and prerender iframes, including the sandbox flags and permissions policy for
+    the env we're rendering to. Both frames get the same restrictions, so the prerender template can't do anything the
+    child can't.
+*/
+
+function getIframeAttributes(component : Component<*>, env : ?string) : { [string] : string } {
+
+    let attributes = {};
+
+    let sandbox = component.getSandbox(env);
+    let allow = component.getPermissionsPolicy(env);
+
+    if (sandbox) {
+        attributes.sandbox = sandbox;
+    }
+
+    if (allow) {
+        attributes.allow = allow;
+    }
+
+    return {
+        ...attributes,
+        ...(component.attributes.iframe || {})
+    };
+}
+
 // Iframe context is rendered inline on the page, without any kind of parent template. It's the one context that is designed
 // to feel like a native element on the page.
 
@@ -64,7 +98,7 @@ RENDER_DRIVERS[CONTEXT_TYPES.IFRAME] = {
 
     open(url : ?string) : ZalgoPromise<void> {
 
-        let attributes = this.component.attributes.iframe || {};
+        let attributes = getIframeAttributes(this.component, this.props.env);
 
         this.iframe = iframe({
             url,
@@ -86,6 +120,7 @@ RENDER_DRIVERS[CONTEXT_TYPES.IFRAME] = {
 
             let detectClose = () => {
                 return ZalgoPromise.try(() => {
+                    this.event.triggerOnce(EVENTS.CLOSE, CLOSE_REASONS.CLOSE_DETECTED);
                     return this.props.onClose(CLOSE_REASONS.CLOSE_DETECTED);
                 }).finally(() => {
                     return this.destroy();
@@ -114,7 +149,7 @@ RENDER_DRIVERS[CONTEXT_TYPES.IFRAME] = {
 
     openPrerender() : ZalgoPromise<void> {
 
-        let attributes = this.component.attributes.iframe || {};
+        let attributes = getIframeAttributes(this.component, this.props.env);
 
         this.prerenderIframe = iframe({
             attributes: {
@@ -191,6 +226,15 @@ RENDER_DRIVERS[CONTEXT_TYPES.IFRAME] = {
                     }
                 });
             };
+        },
+
+        // The delegate owns the iframe, so it's the only one which can check whether the iframe is obscured. Delegates
+        // from older versions can't, so we fall back to reporting the iframe as visible from here.
+
+        watchForVisibility(original : () => void, override : ?() => ZalgoPromise<void>) : () => mixed {
+            return function overrideWatchForVisibility() : mixed {
+                return override ? override.apply(this, arguments) : original.apply(this, arguments);
+            };
         }
     },
 
@@ -220,6 +264,170 @@ RENDER_DRIVERS[CONTEXT_TYPES.IFRAME] = {
     }
 };
 
+// Modal context renders the iframe into a full-viewport overlay with a backdrop. Scrolling on the parent page is locked
+// while the modal is open, and the user can dismiss it with the escape key or by clicking on the backdrop. Focus is kept
+// inside the topmost modal, and given back to whatever had it before, once the modal closes.
+
+/*  Open Modal
+    ----------
+
+    Keep a stack of the open modals, most recently opened last, so pressing escape only dismisses the topmost one. A
+    single set of document listeners is shared by every modal, and removed when the last one closes.
+*/
+
+type ModalType = {
+    overlay : HTMLElement,
+    dismiss : () => mixed
+};
+
+let openModals : Array<ModalType> = [];
+let modalListeners : ?Array<CancelableType>;
+
+function getTopmostModal() : ?ModalType {
+    return openModals[openModals.length - 1];
+}
+
+// Escape presses inside the child frame never reach our document, so the child forwards them to us
+
+export function dismissTopmostModal() {
+    let topmost = getTopmostModal();
+
+    if (topmost) {
+        topmost.dismiss();
+    }
+}
+
+function openModal(modal : ModalType) : CancelableType {
+
+    let previousFocus = document.activeElement;
+
+    openModals.push(modal);
+
+    if (!modalListeners) {
+        modalListeners = [
+            addEventListener(document, EVENT_NAMES.KEYDOWN, (event : Event) => {
+                if (isEscapeKey(event)) {
+                    dismissTopmostModal();
+                }
+            }),
+
+            addEventListener(document, EVENT_NAMES.FOCUSIN, (event : Event) => {
+                let topmost = getTopmostModal();
+
+                // $FlowFixMe
+                if (topmost && !topmost.overlay.contains(event.target)) {
+                    topmost.overlay.focus();
+                }
+            })
+        ];
+    }
+
+    modal.overlay.focus();
+
+    return {
+        cancel() {
+            let index = openModals.indexOf(modal);
+
+            if (index === -1) {
+                return;
+            }
+
+            let wasTopmost = (index === openModals.length - 1);
+
+            openModals.splice(index, 1);
+
+            if (!openModals.length && modalListeners) {
+                for (let listener of modalListeners) {
+                    listener.cancel();
+                }
+                modalListeners = null;
+            }
+
+            if (wasTopmost && previousFocus && previousFocus.focus && document.body && document.body.contains(previousFocus)) {
+                previousFocus.focus();
+            }
+        }
+    };
+}
+
+RENDER_DRIVERS[CONTEXT_TYPES.MODAL] = {
+
+    ...RENDER_DRIVERS[CONTEXT_TYPES.IFRAME],
+
+    openContainer() {
+
+        let body = document.body;
+
+        if (!body) {
+            throw new Error(`Expected document.body to be present to render ${ CONTEXT_TYPES.MODAL }`);
+        }
+
+        let overlay = this.overlay = createElement('div', {
+            class:      [ CLASS_NAMES.MODAL ],
+            attributes: {
+                'role':       'dialog',
+                'aria-modal': 'true',
+                'tabindex':   '-1'
+            },
+            style:      {
+                position:        'fixed',
+                top:             '0',
+                left:            '0',
+                width:           '100%',
+                height:          '100%',
+                display:         'flex',
+                alignItems:      'center',
+                justifyContent:  'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.6)',
+                zIndex:          '2147483647'
+            }
+        }, body);
+
+        appendChild(overlay, this.container);
+
+        let overflow = setOverflow(body, 'hidden');
+        addClass(body, CLASS_NAMES.MODAL_OPEN);
+
+        let dismiss = () => {
+            return this.userClose(CLOSE_REASONS.MODAL_DISMISSED);
+        };
+
+        let backdropListener = addEventListener(overlay, EVENT_NAMES.CLICK, (event : Event) => {
+            if (event.target === overlay) {
+                dismiss();
+            }
+        });
+
+        let modal = openModal({ overlay, dismiss });
+
+        this.clean.register('destroyContainerEvents', () => {
+            backdropListener.cancel();
+            modal.cancel();
+        });
+
+        this.clean.register('destroyContainerTemplate', () => {
+            overflow.reset();
+            removeClass(body, CLASS_NAMES.MODAL_OPEN);
+            destroyElement(overlay);
+            delete this.overlay;
+        });
+    },
+
+    show() {
+        if (this.overlay) {
+            showElement(this.overlay);
+        }
+        showElement(this.element);
+    },
+
+    hide() {
+        if (this.overlay) {
+            hideElement(this.overlay);
+        }
+        hideElement(this.element);
+    }
+};
+
 if (__ZOID__.__POPUP_SUPPORT__) {
 
     // Popup context opens up a centered popup window on the page.
@@ -336,3 +544,52 @@ if (__ZOID__.__POPUP_SUPPORT__) {
         }
     };
 }
+
+const REQUIRED_DRIVER_METHODS = [ 'open', 'openPrerender', 'resize', 'show', 'hide', 'loadUrl' ];
+
+export function isContextRegistered(name : string) : boolean {
+    return RENDER_DRIVERS.hasOwnProperty(name);
+}
+
+/*  Register Context
+    ----------------
+
+    Register a custom render driver, so components can be rendered to contexts other than the built-in ones. The driver
+    needs to be registered in every window which needs to know about the context -- the parent, the child, and any window
+    which renders the component using renderTo -- before any component using it is created.
+*/
+
+export function registerContext(name : string, driver : ContextDriverType) {
+
+    if (!name || typeof name !== 'string' || !name.match(/^[a-z0-9-]+$/)) {
+        throw new Error(`Invalid context name: ${ name }`);
+    }
+
+    if (isContextRegistered(name)) {
+        throw new Error(`Context already registered: ${ name }`);
+    }
+
+    if (!driver || typeof driver !== 'object') {
+        throw new Error(`Expected driver for context ${ name } to be an object`);
+    }
+
+    for (let method of REQUIRED_DRIVER_METHODS) {
+        // $FlowFixMe
+        if (typeof driver[method] !== 'function') {
+            throw new TypeError(`Expected driver for context ${ name } to implement ${ method }()`);
+        }
+    }
+
+    if (!driver.delegateOverrides || typeof driver.delegateOverrides !== 'object') {
+        throw new Error(`Expected driver for context ${ name } to specify delegateOverrides`);
+    }
+
+    RENDER_DRIVERS[name] = {
+        focusable:                     false,
+        renderedIntoContainerTemplate: false,
+        allowResize:                   false,
+        openOnClick:                   false,
+        needsBridge:                   false,
+        ...driver
+    };
+}
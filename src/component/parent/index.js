@@ -13,20 +13,76 @@ import { addEventListener, uniqueID, elementReady, writeElementToWindow,
     addClass, extend, serializeFunctions, extendUrl, jsxDom,
     setOverflow, elementStoppedMoving, getElement, memoized, appendChild,
     global, writeToWindow, setLogLevel, once,
-    prefetchPage, awaitFrameLoad, stringify, stringifyError } from '../../lib';
-import { POST_MESSAGE, CONTEXT_TYPES, CLASS_NAMES, ANIMATION_NAMES, CLOSE_REASONS, DELEGATE, INITIAL_PROPS, WINDOW_REFERENCES, EVENTS, DEFAULT_DIMENSIONS } from '../../constants';
-import { RenderError } from '../../error';
+    prefetchPage, awaitFrameLoad, stringify, stringifyError, getCspNonce, safeInterval, getElementVisibilityError,
+    htmlAttributeEncode } from '../../lib';
+import { POST_MESSAGE, CONTEXT_TYPES, CLASS_NAMES, ANIMATION_NAMES, CLOSE_REASONS, DELEGATE, INITIAL_PROPS, WINDOW_REFERENCES, EVENTS, DEFAULT_DIMENSIONS,
+    EVENT_NAMES } from '../../constants';
+import { RenderError, CloseError } from '../../error';
 import type { Component } from '../component';
 import type { PropsType, BuiltInPropsType } from '../component/props';
 import type { ChildExportsType } from '../child';
 import type { CancelableType, Jsx, DimensionsType, ElementRefType } from '../../types';
 
-import { RENDER_DRIVERS, type ContextDriverType } from './drivers';
+import { RENDER_DRIVERS, dismissTopmostModal, type ContextDriverType } from './drivers';
 import { validateProps } from './validate';
 import { propsToQuery, normalizeProps } from './props';
 
 global.props = global.props || {};
 global.windows = global.windows || {};
+global.nonces = global.nonces || {};
+
+/*  Bind JSX Dom
+    ------------
+
+    Bind jsxDom to the document we're rendering a template into, with the csp nonce to use for styles and scripts --
+    either passed for this render, or set globally using zoid.setCspNonce(). This is a function rather than a method, so
+    it can also be used when the prerender template is rendered by a delegate.
+*/
+
+function bindJsxDom<P>(component : Component<P>, props : Object, doc : Document) : Jsx<HTMLElement> {
+    return jsxDom.bind({
+        document:      doc,
+        nonce:         props.cspNonce || getCspNonce(),
+        inlineScripts: component.inlineScripts !== false
+    });
+}
+
+/*  Check Visibility
+    ----------------
+
+    For components with clickjacking protection, check whether the component iframe is visible and unobscured, and report
+    the result to the child. This is a function rather than a method, since it's called from methods which may also be
+    run by a delegate.
+
+    If the iframe isn't in this window, and there's no delegate to measure it for us, we have no way to tell whether it's
+    obscured -- so we report it as visible, rather than leave the child ignoring every interaction.
+*/
+
+function checkVisibility(instance : Object) : ZalgoPromise<void> {
+    return ZalgoPromise.try(() => {
+
+        let protection = instance.component.getClickjackingProtection();
+
+        if (!protection || !instance.window) {
+            return;
+        }
+
+        let reason = instance.iframe ? getElementVisibilityError(instance.iframe, protection) : null;
+        let visible = !reason;
+
+        if (visible !== instance.visible) {
+            instance.visible = visible;
+            instance.component.log(`visibility_${ visible ? 'visible' : 'obscured' }`, { reason: reason || '' });
+        }
+
+        return instance.getDomain().then(domain => {
+            return send(instance.window, POST_MESSAGE.VISIBILITY, { visible, reason }, { domain, fireAndForget: true });
+        });
+
+    }).then(noop, err => {
+        instance.component.logWarning(`visibility_check_error`, { error: stringifyError(err) });
+    });
+}
 
 export type RenderOptionsType = {
     id : string,
@@ -71,22 +127,31 @@ export class ParentComponent<P> extends BaseComponent<P> {
     container : HTMLElement
     element : HTMLElement
     outlet : HTMLElement;
+    overlay : ?HTMLElement
     iframe : HTMLIFrameElement
 
     prerenderIframe : HTMLIFrameElement
     prerenderWindow : SameDomainWindowType
 
     childExports : ?ChildExportsType<P>
+    onResult : ?ZalgoPromise<mixed>
+    propsToken : ?string
+    childWindowNonce : ?string
+    onValidParentDomain : ZalgoPromise<void>
+    exports : { [string] : (...args : Array<mixed>) => ZalgoPromise<mixed> }
     timeout : ?TimeoutID
+    visible : ?boolean
+    propCallTimes : { [string] : Array<number> }
 
     constructor(component : Component<P>, context : string, { props } : { props : (PropsType & P) }) {
         super();
 
         this.component = component;
 
-        this.validateParentDomain();
+        let onValidParentDomain = this.validateParentDomain();
 
         this.context = context;
+        this.propCallTimes = {};
         this.setProps(props);
 
         if (this.props.logLevel) {
@@ -104,11 +169,55 @@ export class ParentComponent<P> extends BaseComponent<P> {
 
         this.watchForUnload();
 
+        this.clean.register(() => {
+            this.component.unregisterSensitiveProps(this);
+        });
+
         this.onInit = new ZalgoPromise();
 
         this.onInit.catch(err => {
             return this.error(err);
         });
+
+        this.onValidParentDomain = onValidParentDomain;
+
+        this.onValidParentDomain.catch(err => {
+            this.onInit.reject(err);
+        });
+
+        this.exports = this.buildExports();
+    }
+
+
+    /*  Build Exports
+        -------------
+
+        Build a promise-returning proxy for each method the child may export. Calls made before the child has initialized
+        are queued until it sends us its exports.
+    */
+
+    buildExports() : { [string] : (...args : Array<mixed>) => ZalgoPromise<mixed> } {
+
+        let result = {};
+
+        for (let name of this.component.exports) {
+            result[name] = (...args) => {
+                return this.onInit.then(() => {
+
+                    let childExports = this.childExports;
+
+                    if (!childExports || !childExports.exports || !childExports.exports[name]) {
+                        throw new Error(`Child did not export method: ${ name }`);
+                    }
+
+                    this.component.log(`call_child_export_${ name }`);
+
+                    return childExports.exports[name](...args);
+                });
+            };
+        }
+
+        return result;
     }
 
     render(element : ElementRefType, loadUrl : boolean = true) : ZalgoPromise<ParentComponent<P>> {
@@ -122,7 +231,11 @@ export class ParentComponent<P> extends BaseComponent<P> {
 
             tasks.getDomain = this.getDomain();
 
-            tasks.elementReady = ZalgoPromise.try(() => {
+            // Nothing is shown or loaded until we know we're allowed to render from this domain
+
+            let onValidParentDomain = this.onValidParentDomain;
+
+            tasks.elementReady = onValidParentDomain.then(() => {
                 if (element) {
                     return this.elementReady(element);
                 }
@@ -149,13 +262,17 @@ export class ParentComponent<P> extends BaseComponent<P> {
                 : tasks.openContainer.then(() => this.open());
 
             tasks.listen = ZalgoPromise.all([ tasks.getDomain, tasks.open ]).then(([ domain ]) => {
-                this.listen(this.window, domain);
+                this.listen(this.window, (typeof this.component.domain === 'function') ? this.component.domain : domain);
             });
 
             tasks.watchForClose = tasks.open.then(() => {
                 return this.watchForClose();
             });
 
+            tasks.watchForVisibility = ZalgoPromise.all([ tasks.open, this.onInit ]).then(() => {
+                return this.watchForVisibility();
+            });
+
             tasks.linkDomain = ZalgoPromise.all([ tasks.getDomain, tasks.open ]).then(([ domain ]) => {
                 if (bridge && typeof domain === 'string') {
                     return bridge.linkUrl(this.window, domain);
@@ -177,7 +294,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
             });
 
             if (this.html) {
-                tasks.loadHTML = tasks.open.then(() => {
+                tasks.loadHTML = ZalgoPromise.all([ tasks.open, onValidParentDomain ]).then(() => {
                     return this.loadHTML();
                 });
 
@@ -210,6 +327,42 @@ export class ParentComponent<P> extends BaseComponent<P> {
         });
     }
 
+    /*  Prompt
+        ------
+
+        Render the component, and wait for the child to resolve or reject with a result. The component is closed once
+        the result is available. If the component is closed first, we reject with a CloseError.
+    */
+
+    prompt(element : ElementRefType) : ZalgoPromise<mixed> {
+
+        let onResult = this.onResult = new ZalgoPromise();
+
+        this.on(EVENTS.CLOSE, (reason : string) => {
+            onResult.reject(new CloseError(`Component closed before returning a result: ${ reason }`, reason));
+        });
+
+        this.clean.register(() => {
+            onResult.reject(new CloseError(`Component destroyed before returning a result`, CLOSE_REASONS.PARENT_CALL));
+        });
+
+        this.render(element).catch(err => {
+            onResult.reject(err);
+        });
+
+        return onResult.then(value => {
+            return this.close().then(() => value);
+        }, err => {
+            if (err instanceof CloseError) {
+                throw err;
+            }
+
+            return this.close().then(() => {
+                throw err;
+            });
+        });
+    }
+
     @memoized
     getOutlet() : HTMLElement {
         let outlet = document.createElement('div');
@@ -217,11 +370,30 @@ export class ParentComponent<P> extends BaseComponent<P> {
         return outlet;
     }
 
-    validateParentDomain() {
+    /*  Validate Parent Domain
+        ----------------------
+
+        Static domain patterns are checked straight away. Domain callbacks may be asynchronous, in which case we return a
+        promise, and hold off rendering until it resolves.
+    */
+
+    validateParentDomain() : ZalgoPromise<void> {
         let domain = getDomain();
-        if (!matchDomain(this.component.allowedParentDomains, domain)) {
-            throw new RenderError(`Can not be rendered by domain: ${ domain }`);
+        let allowedParentDomains = this.component.allowedParentDomains;
+
+        if (typeof allowedParentDomains !== 'function') {
+            if (!matchDomain(allowedParentDomains, domain)) {
+                throw new RenderError(`Can not be rendered by domain: ${ domain }`);
+            }
+
+            return ZalgoPromise.resolve();
         }
+
+        return this.component.isDomainAllowed(allowedParentDomains, domain).then(allowed => {
+            if (!allowed) {
+                throw new RenderError(`Can not be rendered by domain: ${ domain }`);
+            }
+        });
     }
 
     renderTo(win : CrossDomainWindowType, element : ?string) : ZalgoPromise<ParentComponent<P>> {
@@ -239,15 +411,16 @@ export class ParentComponent<P> extends BaseComponent<P> {
                 throw new Error(`Element passed to renderTo must be a string selector, got ${ typeof element } ${ element }`);
             }
 
-            this.checkAllowRenderTo(win);
+            return this.checkAllowRenderTo(win).then(() => {
 
-            this.component.log(`render_${ this.context }_to_win`, { element: stringify(element), context: this.context });
+                this.component.log(`render_${ this.context }_to_win`, { element: stringify(element), context: this.context });
 
-            this.childWindowName = this.buildChildWindowName({ renderTo: win });
+                this.childWindowName = this.buildChildWindowName({ renderTo: win });
 
-            this.delegate(win);
+                this.delegate(win);
 
-            return this.render(element);
+                return this.render(element);
+            });
         });
     }
 
@@ -260,12 +433,24 @@ export class ParentComponent<P> extends BaseComponent<P> {
                     let host = `${ url.split('/').slice(0, 3).join('/') }`;
                     let uri = `/${ url.split('/').slice(3).join('/') }`;
 
+                    // Without inline scripts, we update the history from the parent window in loadHTML() instead
+
+                    if (this.component.inlineScripts === false) {
+                        return `
+                            <base href="${ host }">
+
+                            ${ html }
+                        `;
+                    }
+
+                    let nonce = this.props.cspNonce || getCspNonce();
+
                     return `
                         <base href="${ host }">
 
                         ${ html }
 
-                        <script>
+                        <script${ nonce ? ` nonce="${ htmlAttributeEncode(nonce) }"` : '' }>
                             if (window.history && window.history.pushState) {
                                 window.history.pushState({}, '', '${ uri }');
                             }
@@ -284,34 +469,50 @@ export class ParentComponent<P> extends BaseComponent<P> {
             }
 
             return this.html.then(html => {
+
+                let inlineScripts = (this.component.inlineScripts !== false);
+
                 // $FlowFixMe
-                return writeToWindow(this.window, html);
+                writeToWindow(this.window, html, inlineScripts);
+
+                if (!inlineScripts) {
+                    return this.buildUrl().then(url => {
+                        // $FlowFixMe
+                        let history = this.window.history;
+
+                        if (history && history.pushState) {
+                            history.pushState({}, '', `/${ url.split('/').slice(3).join('/') }`);
+                        }
+                    });
+                }
             });
         });
     }
 
-    checkAllowRenderTo(win : CrossDomainWindowType) {
-
-        if (!win) {
-            throw this.component.createError(`Must pass window to renderTo`);
-        }
+    checkAllowRenderTo(win : CrossDomainWindowType) : ZalgoPromise<void> {
+        return ZalgoPromise.try(() => {
 
-        if (isSameDomain(win)) {
-            return;
-        }
+            if (!win) {
+                throw this.component.createError(`Must pass window to renderTo`);
+            }
 
-        let origin = getDomain();
-        let domain = this.component.getDomain(null, this.props.env);
+            if (isSameDomain(win)) {
+                return;
+            }
 
-        if (!domain) {
-            throw new Error(`Could not determine domain to allow remote render`);
-        }
+            let origin = getDomain();
+            let domain = this.component.getDomainMatcher(this.props.env);
 
-        if (matchDomain(domain, origin)) {
-            return;
-        }
+            if (!domain) {
+                throw new Error(`Could not determine domain to allow remote render`);
+            }
 
-        throw new Error(`Can not render remotely to ${ domain.toString() } - can only render to ${ origin }`);
+            return this.component.isDomainAllowed(domain, origin).then(allowed => {
+                if (!allowed) {
+                    throw new Error(`Can not render remotely to ${ domain ? domain.toString() : '' } - can only render to ${ origin }`);
+                }
+            });
+        });
     }
 
     registerActiveComponent() {
@@ -323,7 +524,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
     }
 
 
-    getComponentParentRef(renderToWindow : CrossDomainWindowType = window) : { ref : string, uid? : string, distance? : number } {
+    getComponentParentRef(renderToWindow : CrossDomainWindowType = window) : { ref : string, uid? : string, distance? : number, name? : string } {
 
         if (this.context === CONTEXT_TYPES.POPUP) {
             return { ref: WINDOW_REFERENCES.OPENER };
@@ -345,10 +546,14 @@ export class ParentComponent<P> extends BaseComponent<P> {
             delete global.windows[uid];
         });
 
-        return { ref: WINDOW_REFERENCES.GLOBAL, uid };
+        // A child on another domain can not look us up by uid, so we also pass our frame name, if we have one
+
+        return window.name
+            ? { ref: WINDOW_REFERENCES.GLOBAL, uid, name: window.name }
+            : { ref: WINDOW_REFERENCES.GLOBAL, uid };
     }
 
-    getRenderParentRef(renderToWindow : CrossDomainWindowType = window) : { ref : string, uid? : string, distance? : number } {
+    getRenderParentRef(renderToWindow : CrossDomainWindowType = window) : { ref : string, uid? : string, distance? : number, name? : string } {
 
         if (renderToWindow === window) {
             return this.getComponentParentRef(renderToWindow);
@@ -370,17 +575,32 @@ export class ParentComponent<P> extends BaseComponent<P> {
 
         let uid    = uniqueID();
         let tag    = this.component.tag;
-        let sProps = serializeFunctions(this.getPropsForChild());
+
+        // Sensitive props are left out of the window name, and only passed to the child in the init handshake
+
+        let sProps = serializeFunctions(this.getPropsForChild({ sensitive: false }));
 
         let componentParent = this.getComponentParentRef(renderTo);
         let renderParent    = this.getRenderParentRef(renderTo);
 
         let secureProps = !sameDomain && !this.component.unsafeRenderTo;
 
-        let props = secureProps
+        let props : Object = secureProps
             ? { type: INITIAL_PROPS.UID, uid }
             : { type: INITIAL_PROPS.RAW, value: sProps };
 
+        // If the child may not be able to reach into this window to look up its props by uid, we also give it a
+        // one-time token, which it can exchange for its props over post-message. Children from before the token was
+        // introduced ignore it, and look the props up by uid as they always have.
+
+        let childDomain = this.component.getDomain(null, this.props.env);
+        let childSameDomain = (typeof childDomain === 'string') && childDomain === getDomain();
+
+        if (secureProps && !childSameDomain) {
+            this.propsToken = uniqueID();
+            props.token = this.propsToken;
+        }
+
         if (props.type === INITIAL_PROPS.UID) {
             global.props[uid] = JSON.stringify(sProps);
 
@@ -389,7 +609,21 @@ export class ParentComponent<P> extends BaseComponent<P> {
             });
         }
 
-        return buildChildWindowName(this.component.name, this.component.version, { uid, tag, componentParent, renderParent, props });
+        // The nonce lets the child confirm that the window it thinks is its parent really did create it, so a page can
+        // not impersonate us by opening the child with a crafted window name
+
+        if (this.childWindowNonce) {
+            delete global.nonces[this.childWindowNonce];
+        }
+
+        let nonce = this.childWindowNonce = uniqueID();
+        global.nonces[nonce] = true;
+
+        this.clean.register(() => {
+            delete global.nonces[nonce];
+        });
+
+        return buildChildWindowName(this.component.name, this.component.version, { uid, tag, componentParent, renderParent, props, nonce });
     }
 
 
@@ -429,6 +663,8 @@ export class ParentComponent<P> extends BaseComponent<P> {
         this.props = this.props || {};
 
         extend(this.props, normalizeProps(this.component, this, props));
+
+        this.component.registerSensitiveProps(this, this.props);
     }
 
 
@@ -499,13 +735,17 @@ export class ParentComponent<P> extends BaseComponent<P> {
         });
     }
 
-    getPropsForChild() : (BuiltInPropsType & P) {
+    getPropsForChild({ sensitive = true } : { sensitive? : boolean } = {}) : (BuiltInPropsType & P) {
 
         let result = {};
 
         for (let key of Object.keys(this.props)) {
             let prop = this.component.getProp(key);
 
+            if (prop && prop.sensitive && !sensitive) {
+                continue;
+            }
+
             if (!prop || prop.sendToChild !== false) {
                 result[key] = this.props[key];
             }
@@ -523,9 +763,10 @@ export class ParentComponent<P> extends BaseComponent<P> {
     */
 
     updateProps(props : (PropsType & P)) : ZalgoPromise<void> {
-        this.setProps(props, false);
-
-        return this.onInit.then(() => {
+        return ZalgoPromise.try(() => {
+            this.setProps(props, false);
+            return this.onInit;
+        }).then(() => {
             if (this.childExports) {
                 return this.childExports.updateProps(this.getPropsForChild());
             } else {
@@ -616,7 +857,13 @@ export class ParentComponent<P> extends BaseComponent<P> {
             throw new Error('Context not set');
         }
 
-        return RENDER_DRIVERS[this.context];
+        let driver = RENDER_DRIVERS[this.context];
+
+        if (!driver) {
+            throw new Error(`No render driver registered for context: ${ this.context }`);
+        }
+
+        return driver;
     }
 
     elementReady(element : ElementRefType) : ZalgoPromise<void> {
@@ -630,6 +877,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
 
         let props = {
             uid:        this.props.uid,
+            env:        this.props.env,
             dimensions: this.props.dimensions,
             onClose:    this.props.onClose,
             onDisplay:  this.props.onDisplay
@@ -658,7 +906,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
 
                 overrides: {
                     focus:                () => this.focus(),
-                    userClose:            () => this.userClose(),
+                    userClose:            (reason) => this.userClose(reason),
                     getDomain:            () => this.getDomain(),
 
                     error: (err) => this.error(err),
@@ -720,6 +968,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
             this.component.log(`detect_close_child`);
 
             return ZalgoPromise.try(() => {
+                this.event.triggerOnce(EVENTS.CLOSE, CLOSE_REASONS.CLOSE_DETECTED);
                 return this.props.onClose(CLOSE_REASONS.CLOSE_DETECTED);
             }).finally(() => {
                 return this.destroy();
@@ -746,6 +995,42 @@ export class ParentComponent<P> extends BaseComponent<P> {
     }
 
 
+    /*  Watch For Visibility
+        --------------------
+
+        For components with clickjacking protection, regularly check that the component iframe is visible and unobscured,
+        and report the result to the child, which ignores user interactions until it is told the iframe is visible.
+
+        This protects against elements on the page being placed over the component -- not against the parent itself, whose
+        domain should be restricted using allowedParentDomains.
+    */
+
+    watchForVisibility() {
+
+        let protection = this.component.getClickjackingProtection();
+
+        if (!protection || this.context === CONTEXT_TYPES.POPUP) {
+            return;
+        }
+
+        let check = () => {
+            checkVisibility(this);
+        };
+
+        let interval = safeInterval(check, protection.interval);
+        let scrollListener = addEventListener(window, EVENT_NAMES.SCROLL, check);
+        let resizeListener = addEventListener(window, EVENT_NAMES.RESIZE, check);
+
+        this.clean.register('destroyVisibilityWatcher', () => {
+            interval.cancel();
+            scrollListener.cancel();
+            resizeListener.cancel();
+        });
+
+        check();
+    }
+
+
     /*  Load Url
         --------
 
@@ -820,6 +1105,14 @@ export class ParentComponent<P> extends BaseComponent<P> {
 
                 this.childExports = data.exports;
 
+                let childExportNames = Object.keys((data.exports && data.exports.exports) || {});
+
+                for (let name of childExportNames) {
+                    if (this.component.exports.indexOf(name) === -1) {
+                        this.component.logWarning(`unexpected_child_export`, { name });
+                    }
+                }
+
                 this.onInit.resolve(this);
 
                 if (this.timeout) {
@@ -855,7 +1148,14 @@ export class ParentComponent<P> extends BaseComponent<P> {
             },
 
             [ POST_MESSAGE.ONRESIZE ]() {
-                this.event.trigger('resize');
+                this.event.trigger(EVENTS.RESIZE);
+            },
+
+            // The child emitted a custom event
+
+            [ POST_MESSAGE.EVENT ](source : CrossDomainWindowType, data : Object) {
+                this.component.validateEvent(data.name);
+                this.event.trigger(data.name, data.data);
             },
 
 
@@ -867,16 +1167,93 @@ export class ParentComponent<P> extends BaseComponent<P> {
                 this.show();
             },
 
+            // Escape was pressed inside a modal child, where our own keydown listener can not see it
+
+            [ POST_MESSAGE.ESCAPE ]() {
+                if (this.context === CONTEXT_TYPES.MODAL) {
+                    dismissTopmostModal();
+                }
+            },
+
+
+            // The child wants to confirm that we created its window name
+
+            [ POST_MESSAGE.CONFIRM_NONCE ](source : CrossDomainWindowType, data : Object) {
+                if (!this.childWindowNonce || data.nonce !== this.childWindowNonce) {
+                    throw new Error(`Invalid window name nonce`);
+                }
+            },
+
+            // The child has exchanged its one-time token for its initial props. This only happens for cross-domain
+            // renderTo, where the props can not be safely passed in the window name.
+
+            [ POST_MESSAGE.GET_PROPS ](source : CrossDomainWindowType, data : Object) : { props : BuiltInPropsType & P } {
+
+                if (!this.propsToken || data.token !== this.propsToken) {
+                    throw new Error(`Invalid props token`);
+                }
+
+                delete this.propsToken;
+
+                return {
+                    props: this.getPropsForChild({ sensitive: false })
+                };
+            },
+
+            // The child returned a result, for components rendered using prompt()
+
+            [ POST_MESSAGE.RESOLVE ](source : CrossDomainWindowType, data : Object) {
+                if (this.onResult) {
+                    this.onResult.resolve(data.value);
+                }
+            },
+
+            [ POST_MESSAGE.REJECT ](source : CrossDomainWindowType, data : Object) {
+                if (this.onResult) {
+                    let err = new Error((typeof data.message === 'string') ? data.message : data.error);
+
+                    if (data.stack) {
+                        err.stack = data.stack;
+                    }
+
+                    this.onResult.reject(err);
+                }
+            },
 
             // The child encountered an error
 
             [ POST_MESSAGE.ERROR ](source : CrossDomainWindowType, data : Object) {
-                this.error(new Error(data.error));
+                this.error(data.renderError ? new RenderError(data.error) : new Error(data.error));
             }
         };
     }
 
 
+    /*  Emit
+        ----
+
+        Send a custom event to the child component, once it has initialized
+    */
+
+    emit(name : string, data : mixed) : ZalgoPromise<void> {
+        return ZalgoPromise.try(() => {
+
+            this.component.validateEvent(name);
+            return this.onInit;
+
+        }).then(() => {
+
+            return this.getDomain();
+
+        }).then(domain => {
+
+            this.component.log(`emit_${ name }`);
+            return send(this.window, POST_MESSAGE.EVENT, { name, data }, { domain });
+
+        }).then(noop);
+    }
+
+
     /*  Resize
         ------
 
@@ -907,6 +1284,8 @@ export class ParentComponent<P> extends BaseComponent<P> {
                     }
                 });
             }
+        }).then(() => {
+            return checkVisibility(this);
         });
     }
 
@@ -917,22 +1296,24 @@ export class ParentComponent<P> extends BaseComponent<P> {
         Hide the component and any parent template
     */
 
-    hide() : void {
+    hide() {
 
         if (this.container) {
             hideElement(this.container);
         }
 
-        return this.driver.hide.call(this);
+        this.driver.hide.call(this);
+        checkVisibility(this);
     }
 
-    show() : void {
+    show() {
 
         if (this.container) {
             showElement(this.container);
         }
 
-        return this.driver.show.call(this);
+        this.driver.show.call(this);
+        checkVisibility(this);
     }
 
 
@@ -945,8 +1326,8 @@ export class ParentComponent<P> extends BaseComponent<P> {
     }
 
 
-    userClose() : ZalgoPromise<void> {
-        return this.close(CLOSE_REASONS.USER_CLOSED);
+    userClose(reason : string = CLOSE_REASONS.USER_CLOSED) : ZalgoPromise<void> {
+        return this.close(reason);
     }
 
 
@@ -962,7 +1343,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
 
             this.component.log(`close`, { reason });
 
-            this.event.triggerOnce(EVENTS.CLOSE);
+            this.event.triggerOnce(EVENTS.CLOSE, reason);
             return this.props.onClose(reason);
 
         }).then(() => {
@@ -983,7 +1364,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
     closeContainer(reason : string = CLOSE_REASONS.PARENT_CALL) : ZalgoPromise<void> {
         return ZalgoPromise.try(() => {
 
-            this.event.triggerOnce(EVENTS.CLOSE);
+            this.event.triggerOnce(EVENTS.CLOSE, reason);
             return this.props.onClose(reason);
 
         }).then(() => {
@@ -1020,7 +1401,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
 
         }).then(() => {
 
-            this.event.triggerOnce(EVENTS.CLOSE);
+            this.event.triggerOnce(EVENTS.CLOSE, reason);
             return this.props.onClose(reason);
 
         }).then(() => {
@@ -1148,7 +1529,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
                 }
 
                 let el = this.renderTemplate(this.component.prerenderTemplate, {
-                    jsxDom:   jsxDom.bind(doc),
+                    jsxDom:   bindJsxDom(this.component, this.props, doc),
                     document: doc
                 });
 
@@ -1190,7 +1571,7 @@ export class ParentComponent<P> extends BaseComponent<P> {
                 focus: () => this.focus()
             },
             on:         (eventName, handler) => this.on(eventName, handler),
-            jsxDom,
+            jsxDom:     bindJsxDom(this.component, this.props, document),
             document,
             dimensions: { width, height },
             ...options
@@ -1228,6 +1609,10 @@ export class ParentComponent<P> extends BaseComponent<P> {
             hideElement(this.container);
             appendChild(el, this.container);
 
+            if (this.driver.openContainer) {
+                this.driver.openContainer.call(this);
+            }
+
             if (this.driver.renderedIntoContainerTemplate) {
                 this.element = this.getOutlet();
                 hideElement(this.element);
@@ -1302,6 +1687,10 @@ export class ParentComponent<P> extends BaseComponent<P> {
 
             this.onInit.reject(err);
 
+            if (this.onResult) {
+                this.onResult.reject(err);
+            }
+
             return this.destroy();
 
         }).then(() => {
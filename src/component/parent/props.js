@@ -2,7 +2,7 @@
 
 import { ZalgoPromise } from 'zalgo-promise/src';
 
-import { noop, denodeify, once, memoize, promisify, dotify } from '../../lib';
+import { noop, denodeify, once, memoize, promisify, dotify, stringifyError } from '../../lib';
 import type { Component } from '../component';
 import type { BuiltInPropsDefinitionType, PropsType, BuiltInPropsType, MixedPropDefinitionType } from '../component/props';
 
@@ -13,6 +13,124 @@ function isDefined(value : ?mixed) : boolean {
 }
 
 
+/*  Wrap Prop Call
+    --------------
+
+    Log every call to a function prop, enforce prop.rateLimit for calls from the child, and pass the details of each call
+    to options.onPropCall. Results are passed on unchanged, so direct calls stay synchronous.
+
+    Call times are kept on the instance rather than in the wrapper, since the wrapper is created again whenever the props
+    are updated, and that shouldn't reset the rate limit.
+*/
+
+function wrapPropCall<P>(component : Component<P>, instance : ParentComponent<P>, key : string, method : Function) : Function {
+
+    let rateLimit = component.getProp(key).rateLimit;
+
+    let audit = (details : Object) => {
+        if (!component.onPropCall) {
+            return;
+        }
+
+        try {
+            component.onPropCall({ key, ...details });
+        } catch (err) {
+            component.logError(`on_prop_call_error`, { key, error: stringifyError(err) });
+        }
+    };
+
+    return function propCallWrapper() : mixed {
+
+        component.log(`call_prop_${ key }`);
+
+        // post-robot calls the function with the origin of the window which made the call
+
+        let origin = this && this.origin;
+        let args = Array.prototype.slice.call(arguments);
+        let start = Date.now();
+
+        if (rateLimit && origin) {
+            let callTimes = (instance.propCallTimes[key] || []).filter(time => (start - time) < rateLimit.perMs);
+            instance.propCallTimes[key] = callTimes;
+
+            if (callTimes.length >= rateLimit.calls) {
+                let err = new Error(`Prop ${ key } can not be called more than ${ rateLimit.calls } times in ${ rateLimit.perMs }ms`);
+                component.logWarning(`prop_rate_limited_${ key }`, { origin });
+                audit({ args, origin, duration: 0, error: err });
+                throw err;
+            }
+
+            callTimes.push(start);
+        }
+
+        let result;
+
+        try {
+            result = method.apply(this, arguments);
+        } catch (err) {
+            audit({ args, origin, duration: Date.now() - start, error: err });
+            throw err;
+        }
+
+        if (component.onPropCall && result && typeof result.then === 'function') {
+            result.then(res => {
+                audit({ args, origin, duration: Date.now() - start, result: res });
+            }, err => {
+                audit({ args, origin, duration: Date.now() - start, error: err });
+            });
+        } else {
+            audit({ args, origin, duration: Date.now() - start, result });
+        }
+
+        return result;
+    };
+}
+
+
+/*  Restrict Prop Domains
+    ---------------------
+
+    Only allow a function prop to be called from the domains in prop.allowedDomains. post-robot calls the function with
+    the origin of the window which made the call; calls made directly from this window have no origin, and are allowed.
+*/
+
+function restrictPropDomains<P>(component : Component<P>, instance : ParentComponent<P>, key : string, method : Function) : Function {
+
+    let allowedDomains = component.getProp(key).allowedDomains;
+
+    if (!allowedDomains) {
+        return method;
+    }
+
+    return function restrictedPropWrapper() : mixed {
+        let origin = this && this.origin;
+
+        if (!origin) {
+            return method.apply(this, arguments);
+        }
+
+        let args = arguments;
+
+        return component.isDomainAllowed(allowedDomains, origin).then(allowed => {
+
+            if (!allowed) {
+                let err = new Error(`Prop ${ key } can not be called from domain ${ origin }`);
+
+                component.logError(`prop_domain_not_allowed_${ key }`, { origin });
+
+                if (instance.props.onError) {
+                    instance.props.onError(err);
+                }
+
+                throw err;
+            }
+
+            return method.apply(this, args);
+        });
+    };
+}
+
+
 /*  Normalize Prop
     --------------
 
@@ -79,14 +197,10 @@ export function normalizeProp<P, T>(component : Component<P>, instance : ParentC
                 resultValue = promisify(resultValue);
             }
 
-            // Wrap the function in order to log when it is called
+            // Wrap the function in order to log, rate limit and audit calls
 
-            let original = resultValue;
             // $FlowFixMe
-            resultValue = function() : mixed {
-                component.log(`call_prop_${ key }`);
-                return original.apply(this, arguments);
-            };
+            resultValue = wrapPropCall(component, instance, key, resultValue);
 
             // If prop.once is set, ensure the function can only be called once
 
@@ -101,6 +215,10 @@ export function normalizeProp<P, T>(component : Component<P>, instance : ParentC
                 // $FlowFixMe
                 resultValue = memoize(resultValue);
             }
+
+            // If prop.allowedDomains is set, reject calls from any other domain, before they count towards once or memoize
+
+            resultValue = restrictPropDomains(component, instance, key, resultValue);
         }
 
     } else if (type === 'string') {
@@ -169,6 +287,8 @@ export function normalizeProps<P>(component : Component<P>, instance : ParentCom
     bool   -> 1
     object -> json
     number -> string
+    date   -> iso string
+    array  -> comma separated, or json
 */
 
 // $FlowFixMe
@@ -215,7 +335,7 @@ export function propsToQuery<P>(propsDef : BuiltInPropsDefinitionType<P>, props
                 return;
             }
 
-            if (!prop.queryParam) {
+            if (!prop.queryParam || prop.sensitive) {
                 return;
             }
 
@@ -236,7 +356,11 @@ export function propsToQuery<P>(propsDef : BuiltInPropsDefinitionType<P>, props
 
                 let result;
 
-                if (typeof queryValue === 'boolean') {
+                if (queryValue instanceof Date) {
+                    result = queryValue.toISOString();
+                } else if (Array.isArray(queryValue)) {
+                    result = (prop.serialization === 'json') ? JSON.stringify(queryValue) : queryValue.join(',');
+                } else if (typeof queryValue === 'boolean') {
                     result = '1';
                 } else if (typeof queryValue === 'string') {
                     result = queryValue.toString();
@@ -2,6 +2,8 @@
 
 import type { Component } from '../component';
 import type { MixedPropDefinitionType, PropsType } from '../component/props';
+import { validatePropValue } from '../component/schema';
+import { PropValidationError, type PropValidationFailureType } from '../../error';
 
 // $FlowFixMe
 export function validateProp<T, P>(prop : MixedPropDefinitionType<P>, key : string, value : ?T, props : (PropsType & P), required : boolean = true) {
@@ -49,17 +51,85 @@ export function validateProp<T, P>(prop : MixedPropDefinitionType<P>, key : stri
         }
     }
 
+    validatePropValue(prop, key, value);
+
     if (typeof prop.validate === 'function' && value) {
         prop.validate(value, props);
     }
 }
 
 
+function getTypeName(value : mixed) : string {
+
+    if (value === null) {
+        return 'null';
+    }
+
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+
+    if (value instanceof Date) {
+        return 'date';
+    }
+
+    return typeof value;
+}
+
+
+/*  Migrate Deprecated Props
+    ------------------------
+
+    Warn about deprecated props, and map them to their replacements -- unless they have since been removed, in which
+    case they are reported as invalid.
+*/
+
+function migrateDeprecatedProps<P>(component : Component<P>, props : PropsType, errors : Array<PropValidationFailureType>) {
+
+    for (let key of Object.keys(props)) {
+
+        // $FlowFixMe
+        let prop : MixedPropDefinitionType<P> = component.getProp(key);
+        let deprecated = prop && prop.deprecated;
+
+        if (!deprecated) {
+            continue;
+        }
+
+        let { replacement, removedIn, message } = deprecated;
+
+        if (component.isPropRemoved(key)) {
+            errors.push({
+                key,
+                reason:   message || `Prop was removed in version ${ removedIn || '' }${ replacement ? `, use ${ replacement } instead` : '' }`,
+                expected: replacement ? `${ replacement } prop` : 'no prop',
+                received: getTypeName(props[key])
+            });
+
+            delete props[key];
+            continue;
+        }
+
+        component.warnDeprecatedProp(key);
+
+        if (replacement) {
+            if (!props.hasOwnProperty(replacement)) {
+                props[replacement] = props[key];
+            }
+
+            delete props[key];
+        }
+    }
+}
+
+
 /*  Validate Props
     --------------
 
     Validate user-defined props. Users can pass props down from the parent into the child component, but first we
     double check the values are what we expect, based on the props spec defined in the original component.
+
+    Every invalid prop is collected, and reported together in a single PropValidationError.
 */
 
 export function validateProps<P>(component : Component<P>, props : PropsType, required : boolean = true) {
@@ -88,22 +158,30 @@ export function validateProps<P>(component : Component<P>, props : PropsType, re
         }
     }
 
-    // First make sure all of the props we were sent are actually valid prop names
+    let errors : Array<PropValidationFailureType> = [];
 
-    /*
+    migrateDeprecatedProps(component, props, errors);
 
-    if (!component.looseProps) {
-        for (let key of Object.keys(props)) {
-            if (component.getPropNames().indexOf(key) === -1) {
-                throw component.error(`Invalid prop: ${key}`);
-            }
-        }
-    }
+    // First make sure all of the props we were sent are actually valid prop names
 
-    */
+    component.validateUnknownProps(props);
 
     // Then loop over the props we expect, and make sure they're all present and valid
 
+    let tryValidateProp = (prop : MixedPropDefinitionType<P>, key : string, value : mixed) => {
+        try {
+            // $FlowFixMe
+            validateProp(prop, key, value, props, required);
+        } catch (err) {
+            errors.push({
+                key,
+                reason:   (err && err.message) ? err.message : String(err),
+                expected: prop.type,
+                received: getTypeName(value)
+            });
+        }
+    };
+
     for (let key of Object.keys(props)) {
 
         // $FlowFixMe
@@ -111,8 +189,7 @@ export function validateProps<P>(component : Component<P>, props : PropsType, re
         let value = props[key];
 
         if (prop) {
-            // $FlowFixMe
-            validateProp(prop, key, value, props, required);
+            tryValidateProp(prop, key, value);
         }
     }
 
@@ -123,7 +200,11 @@ export function validateProps<P>(component : Component<P>, props : PropsType, re
         let value = props[key];
 
         if (prop && !props.hasOwnProperty(key)) {
-            validateProp(prop, key, value, props, required);
+            tryValidateProp(prop, key, value);
         }
     }
+
+    if (errors.length) {
+        throw new PropValidationError(`Invalid props: ${ errors.map(({ key, reason }) => `${ key }: ${ reason }`).join('; ') }`, errors);
+    }
 }
@@ -1,6 +1,7 @@
 /* @flow */
 
-import { getOpener, getTop, getParent, getNthParentFromTop, getAllFramesInWindow, getAncestor, getDomain, type CrossDomainWindowType } from 'cross-domain-utils/src';
+import { getOpener, getTop, getParent, getParents, getNthParentFromTop, getAllFramesInWindow, getAncestor, getDomain,
+    isSameDomain, assertSameDomain, findFrameByName, type CrossDomainWindowType } from 'cross-domain-utils/src';
 import base32 from 'hi-base32';
 
 import { memoize, uniqueID, globalFor, stringifyError } from '../lib';
@@ -106,11 +107,40 @@ export let getComponentMeta = memoize(() => {
     return componentMeta;
 });
 
+/*  Get Ancestor Domains
+    --------------------
+
+    Get the domain of every ancestor frame, up to the top window. Same-domain ancestors are read directly, and
+    cross-domain ancestors from location.ancestorOrigins, where the browser provides it. If the domain of any ancestor
+    can not be observed, we return nothing.
+*/
+
+export function getAncestorDomains() : ?Array<string> {
+
+    let ancestorOrigins = window.location.ancestorOrigins;
+    let parents = getParents(window);
+    let domains = [];
+
+    for (let i = 0; i < parents.length; i++) {
+        let parent = parents[i];
+
+        if (isSameDomain(parent)) {
+            domains.push(getDomain(assertSameDomain(parent)));
+        } else if (ancestorOrigins && ancestorOrigins[i]) {
+            domains.push(ancestorOrigins[i]);
+        } else {
+            return;
+        }
+    }
+
+    return domains;
+}
+
 export function getParentDomain() : string {
     return getComponentMeta().domain; // How does this work for renderTo..?
 }
 
-function getWindowByRef({ ref, uid, distance } : { ref : string, uid : string, distance : number }) : CrossDomainWindowType {
+function getWindowByRef({ ref, uid, distance, name } : { ref : string, uid : string, distance : number, name? : string }) : CrossDomainWindowType {
 
     let result;
 
@@ -142,6 +172,12 @@ function getWindowByRef({ ref, uid, distance } : { ref : string, uid : string, d
                 }
             }
         }
+
+        // If the window was registered on another domain, fall back to finding it by its frame name
+
+        if (!result && name) {
+            result = findFrameByName(window, name);
+        }
     }
 
     if (!result) {
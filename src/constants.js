@@ -17,7 +17,14 @@ export const POST_MESSAGE = {
     ALLOW_DELEGATE: `${ ZOID }_allow_delegate`,
     ERROR:          `${ ZOID }_error`,
     HIDE:           `${ ZOID }_hide`,
-    SHOW:           `${ ZOID }_show`
+    SHOW:           `${ ZOID }_show`,
+    EVENT:          `${ ZOID }_event`,
+    GET_PROPS:      `${ ZOID }_get_props`,
+    CONFIRM_NONCE:  `${ ZOID }_confirm_nonce`,
+    RESOLVE:        `${ ZOID }_resolve`,
+    REJECT:         `${ ZOID }_reject`,
+    VISIBILITY:     `${ ZOID }_visibility`,
+    ESCAPE:         `${ ZOID }_escape`
 };
 
 export const PROP_TYPES = {
@@ -25,7 +32,10 @@ export const PROP_TYPES = {
     OBJECT:   `object`,
     FUNCTION: `function`,
     BOOLEAN:  `boolean`,
-    NUMBER:   `number`
+    NUMBER:   `number`,
+    ARRAY:    `array`,
+    DATE:     `date`,
+    ENUM:     `enum`
 };
 
 export const INITIAL_PROPS = {
@@ -44,7 +54,8 @@ export const PROP_TYPES_LIST : Array<string> = Object.keys(PROP_TYPES).map(key =
 
 export const CONTEXT_TYPES = {
     IFRAME: `iframe`,
-    POPUP:  `popup`
+    POPUP:  `popup`,
+    MODAL:  `modal`
 };
 
 export const CLASS_NAMES = {
@@ -53,13 +64,21 @@ export const CLASS_NAMES = {
     COMPONENT_FRAME:   `${ ZOID }-component-frame`,
     PRERENDER_FRAME:   `${ ZOID }-prerender-frame`,
     VISIBLE:           `${ ZOID }-visible`,
-    INVISIBLE:         `${ ZOID }-invisible`
+    INVISIBLE:         `${ ZOID }-invisible`,
+    MODAL:             `${ ZOID }-modal`,
+    MODAL_OPEN:        `${ ZOID }-modal-open`
 };
 
 export const EVENTS = {
-    CLOSE: `${ ZOID }-close`
+    CLOSE:      `${ ZOID }-close`,
+    RESIZE:     `resize`,
+    VISIBILITY: `${ ZOID }-visibility`
 };
 
+// zoid's own events, like close and resize, which components can not use as the name of a custom event
+
+export const EVENTS_LIST : Array<string> = Object.keys(EVENTS).map(key => EVENTS[key]);
+
 export const ATTRIBUTES = {
     IFRAME_PLACEHOLDER: `data-zoid-${ ZOID }-placeholder`
 };
@@ -72,15 +91,30 @@ export const ANIMATION_NAMES = {
 };
 
 export const EVENT_NAMES = {
-    CLICK: 'click'
+    CLICK:   'click',
+    KEYDOWN: 'keydown',
+    FOCUSIN: 'focusin',
+    SCROLL:  'scroll',
+    RESIZE:  'resize'
 };
 
+// User interactions which the child ignores while clickjacking protection considers it to be obscured
+
+export const USER_INTERACTION_EVENTS = [
+    'click', 'dblclick', 'auxclick', 'contextmenu',
+    'mousedown', 'mouseup', 'pointerdown', 'pointerup',
+    'touchstart', 'touchend',
+    'keydown', 'keypress', 'keyup',
+    'submit'
+];
+
 export const CLOSE_REASONS = {
     PARENT_CALL:           'parent_call',
     CHILD_CALL:            'child_call',
     CLOSE_DETECTED:        'close_detected',
     USER_CLOSED:           'user_closed',
-    PARENT_CLOSE_DETECTED: 'parent_close_detected'
+    PARENT_CLOSE_DETECTED: 'parent_close_detected',
+    MODAL_DISMISSED:       'modal_dismissed'
 };
 
 export const CONTEXT_TYPES_LIST : Array<string> = Object.keys(CONTEXT_TYPES).map(key => CONTEXT_TYPES[key]);
@@ -96,3 +130,50 @@ export const DEFAULT_DIMENSIONS = {
     WIDTH:  300,
     HEIGHT: 150
 };
+
+export const DEFAULT_CLICKJACKING_PROTECTION = {
+    MIN_WIDTH:  50,
+    MIN_HEIGHT: 50,
+    INTERVAL:   500,
+    DELAY:      500
+};
+
+// Browsers throttle timers in background tabs to once a second or less, so visibility reports can arrive this late
+
+export const VISIBILITY_REPORT_TOLERANCE = 1000;
+
+export const SANDBOX_TOKENS = {
+    SCRIPTS:                    'allow-scripts',
+    SAME_ORIGIN:                'allow-same-origin',
+    POPUPS:                     'allow-popups',
+    POPUPS_TO_ESCAPE_SANDBOX:   'allow-popups-to-escape-sandbox',
+    FORMS:                      'allow-forms',
+    MODALS:                     'allow-modals',
+    ORIENTATION_LOCK:           'allow-orientation-lock',
+    POINTER_LOCK:               'allow-pointer-lock',
+    PRESENTATION:               'allow-presentation',
+    DOWNLOADS:                  'allow-downloads',
+    STORAGE_ACCESS:             'allow-storage-access-by-user-activation',
+    TOP_NAVIGATION:             'allow-top-navigation',
+    TOP_NAVIGATION_BY_USER:     'allow-top-navigation-by-user-activation',
+    TOP_NAVIGATION_TO_PROTOCOL: 'allow-top-navigation-to-custom-protocols'
+};
+
+export const SANDBOX_TOKENS_LIST : Array<string> = Object.keys(SANDBOX_TOKENS).map(key => SANDBOX_TOKENS[key]);
+
+// Scripts are needed to run the child at all, and same-origin to give the child a real origin for post-messaging and
+// to let us write the prerender template into the frame
+
+export const REQUIRED_SANDBOX_TOKENS = [
+    SANDBOX_TOKENS.SCRIPTS,
+    SANDBOX_TOKENS.SAME_ORIGIN
+];
+
+export const DEFAULT_SANDBOX_TOKENS = [
+    SANDBOX_TOKENS.SCRIPTS,
+    SANDBOX_TOKENS.SAME_ORIGIN,
+    SANDBOX_TOKENS.POPUPS,
+    SANDBOX_TOKENS.POPUPS_TO_ESCAPE_SANDBOX,
+    SANDBOX_TOKENS.FORMS,
+    SANDBOX_TOKENS.MODALS
+];
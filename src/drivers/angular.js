@@ -3,16 +3,20 @@
 import { dasherizeToCamel, replaceObject } from '../lib';
 import type { Component, ComponentDriverType } from '../component/component';
 
+import { closeParent } from './util';
+
 type AngularModule = {
     directive : (string, () => {
-        scope : { [string] : '=' | '@' },
+        scope : { [string] : '=' | '@' | '&' },
         restrict : string,
         controller : Array<string | Function>
     }) => AngularModule
 };
 
 type Angular = {
-    module : (string, Array<string>) => AngularModule
+    module : (string, Array<string>) => AngularModule,
+    equals : (mixed, mixed) => boolean,
+    copy : (Object) => Object
 };
 
 export let angular : ComponentDriverType<*, Angular> = {
@@ -27,10 +31,19 @@ export let angular : ComponentDriverType<*, Angular> = {
 
             let scope = {};
 
-            for (let key of component.getPropNames()) {
+            // Function props are bound as expressions, e.g. on-login="login($args[0])", or on-login="login"
+
+            let functionKeys = component.getPropNames().filter(key => component.getProp(key).type === 'function');
+            let valueKeys = component.getPropNames().filter(key => functionKeys.indexOf(key) === -1);
+
+            for (let key of valueKeys) {
                 scope[key] = '=';
             }
 
+            for (let key of functionKeys) {
+                scope[key] = '&';
+            }
+
             if (component.looseProps) {
                 scope.props = '=';
             }
@@ -40,7 +53,7 @@ export let angular : ComponentDriverType<*, Angular> = {
 
                 restrict: 'E',
 
-                controller: [ '$scope', '$element', ($scope, $element) => {
+                controller: [ '$scope', '$element', '$attrs', ($scope, $element, $attrs) => {
 
                     if (component.looseProps && !$scope.props) {
                         throw new Error(`For angular bindings to work, prop definitions must be passed to zoid.create`);
@@ -48,8 +61,11 @@ export let angular : ComponentDriverType<*, Angular> = {
 
                     component.log(`instantiate_angular_component`);
 
+                    // The scope has no $root once it has been destroyed
+
                     function safeApply() {
-                        if ($scope.$root.$$phase !== '$apply' && $scope.$root.$$phase !== '$digest') {
+                        let $root = $scope.$root;
+                        if ($root && $root.$$phase !== '$apply' && $root.$$phase !== '$digest') {
                             try {
                                 $scope.$apply();
                             } catch (err) {
@@ -58,22 +74,8 @@ export let angular : ComponentDriverType<*, Angular> = {
                         }
                     }
 
-                    let getProps = () => {
-
-                        let scopeProps;
-
-                        if ($scope.props) {
-                            scopeProps = $scope.props;
-                        } else {
-                            scopeProps = {};
-                            for (let key of Object.keys(scope)) {
-                                if ($scope[key] !== undefined) {
-                                    scopeProps[key] = $scope[key];
-                                }
-                            }
-                        }
-
-                        scopeProps = replaceObject(scopeProps, {
+                    let wrapFunctions = (props : Object) : Object => {
+                        return replaceObject(props, {
                             'function': (value) => {
                                 return function angularWrapped() : mixed {
                                     let result = value.apply(this, arguments);
@@ -82,6 +84,54 @@ export let angular : ComponentDriverType<*, Angular> = {
                                 };
                             }
                         });
+                    };
+
+                    // Evaluate the bound expression. If it evaluates to a function, rather than calling one, call that
+                    // function with the arguments passed from the child.
+
+                    let bindFunction = (key : string) : Function => {
+                        return function angularBinding(...args) : mixed {
+                            let result = $scope[key]({ $args: args });
+
+                            if (typeof result === 'function') {
+                                result = result.apply(this, args);
+                            }
+
+                            safeApply();
+                            return result;
+                        };
+                    };
+
+                    // The props which are watched for changes. Functions bound with & never change, so are not watched.
+
+                    let getWatchedProps = () : Object => {
+
+                        if ($scope.props) {
+                            return $scope.props;
+                        }
+
+                        let watchedProps = {};
+
+                        for (let key of valueKeys) {
+                            if ($scope[key] !== undefined) {
+                                watchedProps[key] = $scope[key];
+                            }
+                        }
+
+                        return watchedProps;
+                    };
+
+                    let getProps = () : Object => {
+
+                        let scopeProps = wrapFunctions(getWatchedProps());
+
+                        if (!$scope.props) {
+                            for (let key of functionKeys) {
+                                if ($attrs[key] !== undefined) {
+                                    scopeProps[key] = bindFunction(key);
+                                }
+                            }
+                        }
 
                         return scopeProps;
                     };
@@ -89,8 +139,39 @@ export let angular : ComponentDriverType<*, Angular> = {
                     let parent = component.init(getProps(), null, $element[0]);
                     parent.render($element[0]);
 
+                    // Diff the props against a deep copy from the last digest, and only send the keys which changed down to
+                    // the child. Functions are compared by reference, since angular.equals ignores them.
+
+                    let lastProps = ng.copy(getWatchedProps());
+
                     $scope.$watch(() => {
-                        parent.updateProps(getProps());
+
+                        let props = getWatchedProps();
+                        let changedProps = {};
+                        let changed = false;
+
+                        for (let key of Object.keys(props).concat(Object.keys(lastProps))) {
+                            let newValue = props[key];
+                            let oldValue = lastProps[key];
+
+                            let equal = (typeof newValue === 'function' || typeof oldValue === 'function')
+                                ? newValue === oldValue
+                                : ng.equals(newValue, oldValue);
+
+                            if (!equal) {
+                                changedProps[key] = newValue;
+                                changed = true;
+                            }
+                        }
+
+                        if (changed) {
+                            lastProps = ng.copy(props);
+                            parent.updateProps(wrapFunctions(changedProps));
+                        }
+                    });
+
+                    $scope.$on('$destroy', () => {
+                        closeParent(parent, 'angular');
                     });
                 } ]
             };
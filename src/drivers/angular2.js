@@ -1,26 +1,32 @@
 /* @flow */
 /* eslint new-cap: 0 */
 
-import { replaceObject } from '../lib';
+import { extend, replaceObject } from '../lib';
 import type { Component, ComponentDriverType } from '../component/component';
 
+import { LIFECYCLE_EVENTS, closeParent } from './util';
+
 type Angular2Injection = {};
 
 type Angular2Component = {};
 
-type Angular2Module = {};
+declare class Angular2EventEmitter {
+    emit(mixed) : void,
+    observed? : boolean,
+    observers? : Array<mixed>
+}
 
 type Angular2 = {
-    Component : ({ selector : string, template : string, inputs : Array<string> }) => {
-        Class : ({ constructor : Array<Angular2Injection | Function>, ngOnInit : () => void, ngOnChanges : () => void }) => Angular2Component
-    },
-    NgModule : ({ declarations : Array<Angular2Component>, exports : Array<Angular2Component> }) => {
-        Class : ({ constructor : () => void }) => Angular2Module
-    },
+    Component : ({ selector : string, standalone : boolean, template : string, inputs : Array<string>, outputs : Array<string> }) => (Function) => Angular2Component,
+    EventEmitter : typeof Angular2EventEmitter,
     ElementRef : Angular2Injection,
-    NgZone : Angular2Injection
+    NgZone : Angular2Injection,
+    inject : (Angular2Injection) => Object
 };
 
+function isObserved(emitter : Angular2EventEmitter) : boolean {
+    return Boolean(emitter.observed || (emitter.observers && emitter.observers.length));
+}
 
 export let angular2 : ComponentDriverType<*, Angular2> = {
 
@@ -28,12 +34,45 @@ export let angular2 : ComponentDriverType<*, Angular2> = {
         // pass
     },
 
-    register(zoid : Component<*>, { Component : AngularComponent, NgModule, ElementRef, NgZone }) : Angular2Module {
+    register(zoid : Component<*>, { Component : AngularComponent, EventEmitter, ElementRef, NgZone, inject }) : Angular2Component {
 
         zoid.log('initializing angular2 component');
 
+        let propNames = zoid.getPropNames();
+        let lifecycleOutputs = Object.keys(LIFECYCLE_EVENTS).map(key => LIFECYCLE_EVENTS[key]);
+
+        // The `props` input takes an object of props, and is overridden by any individual prop inputs
+
+        let inputs = [ 'props', ...propNames ];
+        let outputs = [ ...lifecycleOutputs, ...zoid.events ];
+
         let getProps = (component) => {
-            return replaceObject({ ...component.internalProps, ...component.props }, {
+            let props = extend({}, component.props);
+
+            for (let key of propNames) {
+                if (component[key] !== undefined) {
+                    props[key] = component[key];
+                }
+            }
+
+            // Only pass callbacks which are bound, so the defaults (e.g. throwing on error) still apply
+
+            for (let key of Object.keys(LIFECYCLE_EVENTS)) {
+                let handler = props[key];
+                let emitter = component[LIFECYCLE_EVENTS[key]];
+
+                if (handler || isObserved(emitter)) {
+                    props[key] = function lifecycleHandler(...args) : mixed {
+                        emitter.emit(args[0]);
+
+                        if (handler) {
+                            return handler.apply(this, args);
+                        }
+                    };
+                }
+            }
+
+            return replaceObject(props, {
                 'function': (value) => {
                     if (typeof value === 'function') {
                         return function angular2Wrapped() : void {
@@ -44,39 +83,56 @@ export let angular2 : ComponentDriverType<*, Angular2> = {
             });
         };
 
-        const ComponentInstance =
-            AngularComponent({
-                selector: zoid.tag,
-                template: '<div></div>',
-                inputs:   [ 'props' ]
-            }).Class({
-                constructor: [ ElementRef, NgZone, function angularConstructor(elementRef, zone) {
-                    this.elementRef = elementRef;
-                    this.zone = zone;
-                } ],
-                ngOnInit () {
-                    const targetElement = this.elementRef.nativeElement;
-                    const parent = zoid.init(getProps(this), null, targetElement);
-                    parent.render(targetElement);
-                    this.parent = parent;
-                },
-                ngOnChanges() {
-                    if (this.parent) {
-                        this.parent.updateProps(getProps(this));
-                    }
+        function ZoidAngularComponent() {
+            this.elementRef = inject(ElementRef);
+            this.zone = inject(NgZone);
+
+            for (let name of outputs) {
+                this[name] = new EventEmitter();
+            }
+        }
+
+        extend(ZoidAngularComponent.prototype, {
+
+            ngOnInit() {
+                const targetElement = this.elementRef.nativeElement;
+                const parent = zoid.init(getProps(this), null, targetElement);
+
+                for (let name of zoid.events) {
+                    parent.on(name, data => {
+                        this.zone.run(() => this[name].emit(data));
+                    });
+                }
+
+                parent.render(targetElement);
+                this.parent = parent;
+            },
+
+            ngOnChanges() {
+                if (this.parent) {
+                    this.parent.updateProps(getProps(this));
+                }
+            },
+
+            ngOnDestroy() {
+                let parent = this.parent;
+
+                if (!parent) {
+                    return;
                 }
-            });
 
+                delete this.parent;
 
-        const ModuleInstance = NgModule({
-            declarations: [ ComponentInstance ],
-            exports:      [ ComponentInstance ]
-        }).Class({
-            constructor () {
-                // pass
+                closeParent(parent, 'angular2');
             }
         });
 
-        return ModuleInstance;
+        return AngularComponent({
+            selector:   zoid.tag,
+            standalone: true,
+            template:   '<div></div>',
+            inputs,
+            outputs
+        })(ZoidAngularComponent);
     }
 };
@@ -3,7 +3,9 @@
 export * from './script';
 export * from './react';
 export * from './vue';
+export * from './vue3';
 export * from './angular';
 export * from './ember';
 export * from './glimmer';
 export * from './angular2';
+export * from './webcomponent';
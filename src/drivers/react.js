@@ -1,7 +1,12 @@
 /* @flow */
 
+import { ZalgoPromise } from 'zalgo-promise/src';
+
 import { extend } from '../lib';
 import type { Component, ComponentDriverType } from '../component/component';
+import type { ParentComponent } from '../component/parent';
+
+import { closeParent } from './util';
 
 declare class ReactClassType {
 
@@ -12,8 +17,11 @@ type ReactElementType = {
 };
 
 type ReactType = {
-    createClass : ({ render : ReactElementType, componentDidMount : () => void, componentDidUpdate : () => void }) => (typeof ReactClassType),
-    createElement : (string, ?{ [string] : mixed }, ...children : Array<ReactElementType>) => ReactElementType
+    createClass : (Object) => (typeof ReactClassType),
+    createElement : (string, ?{ [string] : mixed }, ...children : Array<?ReactElementType>) => ReactElementType,
+    useState? : Function,
+    useEffect? : (() => ?() => void, ?Array<mixed>) => void,
+    useRef? : Function
 };
 
 type ReactDomType = {
@@ -22,6 +30,143 @@ type ReactDomType = {
 
 type ReactLibraryType = { React : ReactType, ReactDOM : ReactDomType };
 
+export type ReactZoidHandleType = {
+    updateProps : (Object) => ZalgoPromise<void>,
+    resize : (number | string, number | string) => ZalgoPromise<void>,
+    focus : () => void,
+    close : () => ZalgoPromise<void>,
+    exports : { [string] : (...args : Array<mixed>) => ZalgoPromise<mixed> }
+};
+
+// Props which are consumed by the react component itself, and are not passed down to zoid
+
+const REACT_PROPS = [ 'fallback', 'children' ];
+
+function getComponentProps(props : Object) : Object {
+    let result = {};
+
+    for (let key of Object.keys(props)) {
+        if (REACT_PROPS.indexOf(key) === -1) {
+            result[key] = props[key];
+        }
+    }
+
+    return result;
+}
+
+// Only pass props down when one of them changed, so re-renders of the react tree don't message the child every time
+
+function propsChanged(previous : Object, next : Object) : boolean {
+    let previousKeys = Object.keys(previous);
+    let nextKeys = Object.keys(next);
+
+    if (previousKeys.length !== nextKeys.length) {
+        return true;
+    }
+
+    return nextKeys.some(key => !previous.hasOwnProperty(key) || previous[key] !== next[key]);
+}
+
+
+/*  Get Handle
+    ----------
+
+    Build the imperative handle for a react component: a stable set of methods which call through to the zoid
+    component once it has been rendered.
+*/
+
+function getHandle(component : Component<*>, getParent : () => ?ParentComponent<*>) : ReactZoidHandleType {
+
+    let withParent = <T>(method : (ParentComponent<*>) => T) : T => {
+        let parent = getParent();
+
+        if (!parent) {
+            throw new Error(`Component ${ component.tag } has not been rendered`);
+        }
+
+        return method(parent);
+    };
+
+    let childExports = {};
+
+    for (let name of component.exports) {
+        childExports[name] = (...args) => {
+            return ZalgoPromise.try(() => withParent(parent => parent.exports[name](...args)));
+        };
+    }
+
+    return {
+        updateProps: (props : Object) => ZalgoPromise.try(() => withParent(parent => parent.updateProps(getComponentProps(props)))),
+        resize:      (width, height) => ZalgoPromise.try(() => withParent(parent => parent.resize(width, height))),
+        focus:       () => withParent(parent => parent.focus()),
+        close:       () => ZalgoPromise.try(() => withParent(parent => parent.close())),
+        exports:     childExports
+    };
+}
+
+
+/*  Use Zoid Component
+    ------------------
+
+    Hooks variant of the react driver. Renders the component into the element attached to the returned ref, passes
+    new props down on re-renders which change them, and closes the component on unmount.
+*/
+
+function getHook(component : Component<*>, React : ReactType) : ?(Object) => Object {
+
+    let { useState, useEffect, useRef } = React;
+
+    if (!useState || !useEffect || !useRef) {
+        return;
+    }
+
+    return (props : Object) : Object => {
+
+        let containerRef = useRef(null);
+        let parentRef = useRef(null);
+        let sentPropsRef = useRef(null);
+        let [ loading, setLoading ] = useState(true);
+        let [ handle ] = useState(() => getHandle(component, () => parentRef.current));
+
+        // Declared before the mount effect, so on the first render there is no parent yet and the update is skipped
+
+        useEffect(() => {
+            let componentProps = getComponentProps(props);
+
+            if (parentRef.current && sentPropsRef.current && propsChanged(sentPropsRef.current, componentProps)) {
+                sentPropsRef.current = componentProps;
+                parentRef.current.updateProps(componentProps);
+            }
+        });
+
+        useEffect(() => {
+            component.log(`instantiate_react_hook`);
+
+            let el = containerRef.current;
+            let componentProps = getComponentProps(props);
+            let parent = component.init(componentProps, null, el);
+            parentRef.current = parent;
+            sentPropsRef.current = componentProps;
+
+            let onLoad = () => {
+                if (parentRef.current === parent) {
+                    setLoading(false);
+                }
+            };
+
+            parent.render(el).then(onLoad, onLoad);
+
+            return () => {
+                parentRef.current = null;
+                sentPropsRef.current = null;
+                closeParent(parent, 'react');
+            };
+        }, []);
+
+        return extend({ ref: containerRef, loading }, handle);
+    };
+}
+
 export let react : ComponentDriverType<*, ReactLibraryType> = {
 
     global() : ?ReactLibraryType {
@@ -33,64 +178,93 @@ export let react : ComponentDriverType<*, ReactLibraryType> = {
         }
     },
 
-    register(component : Component<*>, { React, ReactDOM } : ReactLibraryType) : (typeof ReactClassType) {
+    register(component : Component<*>, { React } : ReactLibraryType) : (typeof ReactClassType) {
 
-        if (React.createClass) {
+        // Shared by the createClass and es6 class variants. `this.props.fallback` is rendered in place of the
+        // component until the child has loaded, and the component is closed when it is unmounted.
 
-            // $FlowFixMe
-            component.react = React.createClass({
-
-                render() : ReactElementType {
-                    return React.createElement('div', null);
-                },
+        let methods = {
 
-                componentDidMount() {
-                    component.log(`instantiate_react_component`);
+            render() : ReactElementType {
+                return React.createElement('div', null,
+                    this.state.loading ? this.props.fallback : null,
+                    React.createElement('div', {
+                        ref: el => {
+                            this.container = el;
+                        }
+                    })
+                );
+            },
 
-                    let el = ReactDOM.findDOMNode(this);
+            componentDidMount() {
+                component.log(`instantiate_react_component`);
 
-                    let parent = component.init(extend({}, this.props), null, el);
+                let el = this.container;
+                let parent = component.init(getComponentProps(this.props), null, el);
+                this.parent = parent;
 
-                    this.setState({ parent });
+                let onLoad = () => {
+                    if (this.parent === parent) {
+                        this.setState({ loading: false });
+                    }
+                };
 
-                    parent.render(el);
-                },
+                parent.render(el).then(onLoad, onLoad);
+            },
 
-                componentDidUpdate() {
+            componentDidUpdate(prevProps : Object) {
+                let componentProps = getComponentProps(this.props);
 
-                    if (this.state && this.state.parent) {
-                        this.state.parent.updateProps(extend({}, this.props));
-                    }
-                }
-            });
-        } else {
-            // $FlowFixMe
-            component.react = class extends React.Component {
-                render() : ReactElementType {
-                    return React.createElement('div', null);
+                if (this.parent && propsChanged(getComponentProps(prevProps), componentProps)) {
+                    this.parent.updateProps(componentProps);
                 }
+            },
 
-                componentDidMount() {
-                    component.log(`instantiate_react_component`);
+            componentWillUnmount() {
+                let parent = this.parent;
 
-                    let el = ReactDOM.findDOMNode(this);
+                if (parent) {
+                    delete this.parent;
+                    closeParent(parent, 'react');
+                }
+            }
+        };
 
-                    let parent = component.init(extend({}, this.props), null, el);
+        // Expose updateProps, resize, focus, close and the child's exports on the instance, for access via a ref
 
-                    this.setState({ parent });
+        let initHandle = (instance : Object) => {
+            extend(instance, getHandle(component, () => instance.parent));
+        };
 
-                    parent.render(el);
-                }
+        let ZoidReactComponent;
 
-                componentDidUpdate() {
+        if (React.createClass) {
 
-                    if (this.state && this.state.parent) {
-                        this.state.parent.updateProps(extend({}, this.props));
-                    }
+            ZoidReactComponent = React.createClass(extend({
+                getInitialState() : Object {
+                    initHandle(this);
+                    return { loading: true };
+                }
+            }, methods));
+        } else {
+            // $FlowFixMe
+            ZoidReactComponent = class extends React.Component {
+                constructor(props : Object) {
+                    super(props);
+                    this.state = { loading: true };
+                    initHandle(this);
                 }
             };
+
+            extend(ZoidReactComponent.prototype, methods);
         }
 
-        return component.react;
+        // $FlowFixMe
+        ZoidReactComponent.useZoidComponent = getHook(component, React);
+
+        // $FlowFixMe
+        component.react = ZoidReactComponent;
+
+        return ZoidReactComponent;
     }
 };
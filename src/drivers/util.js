@@ -0,0 +1,32 @@
+/* @flow */
+
+import type { ZalgoPromise } from 'zalgo-promise/src';
+
+import { stringifyError } from '../lib';
+import type { ParentComponent } from '../component/parent';
+
+// zoid callbacks which drivers surface as framework events, e.g. <my-zoid @close="onClose" />. onTimeout falls back to
+// onError when it isn't passed, so timeouts are surfaced as error events.
+
+export const LIFECYCLE_EVENTS = {
+    onDisplay: 'display',
+    onEnter:   'enter',
+    onRender:  'render',
+    onClose:   'close',
+    onError:   'error'
+};
+
+
+/*  Close Parent
+    ------------
+
+    Close the zoid component when the framework component is torn down. If the close fails (for example because onClose
+    throws), destroy the component anyway so no frames or listeners are left behind.
+*/
+
+export function closeParent<P>(parent : ParentComponent<P>, driver : string) : ZalgoPromise<void> {
+    return parent.close().catch(err => {
+        parent.component.logWarning(`${ driver }_close_error`, { error: stringifyError(err) });
+        return parent.destroy();
+    });
+}
@@ -0,0 +1,101 @@
+/* @flow */
+
+import type { Component, ComponentDriverType } from '../component/component';
+
+import { LIFECYCLE_EVENTS, closeParent } from './util';
+
+type Vue3Type = {
+    defineComponent : (Object) => mixed,
+    h : (string) => mixed
+};
+
+export let vue3 : ComponentDriverType<*, Vue3Type> = {
+
+    global() : ?Vue3Type {
+        if (window.Vue && window.Vue.defineComponent) {
+            return window.Vue;
+        }
+    },
+
+    register(component : Component<*>, { defineComponent, h } : Vue3Type) : mixed {
+
+        let propNames = component.getPropNames().filter(key => !LIFECYCLE_EVENTS.hasOwnProperty(key));
+
+        let getProps = (vm : Object) : Object => {
+            let props = {};
+
+            for (let key of propNames) {
+                if (vm[key] !== undefined) {
+                    props[key] = vm[key];
+                }
+            }
+
+            return props;
+        };
+
+        return defineComponent({
+
+            props: propNames,
+
+            // Lifecycle events are left out of emits, since vue only keeps listeners for undeclared events in $attrs, where
+            // we need to be able to see whether they were passed
+
+            emits: component.events,
+
+            inheritAttrs: false,
+
+            render() : mixed {
+                return h('div');
+            },
+
+            mounted() {
+                component.log(`instantiate_vue3_component`);
+
+                let el = this.$el;
+                let props = getProps(this);
+
+                // Only pass callbacks which have a listener, e.g. onClose for @close, so the defaults (e.g. throwing on
+                // error) still apply
+
+                for (let key of Object.keys(LIFECYCLE_EVENTS)) {
+                    if (typeof this.$attrs[key] === 'function') {
+                        props[key] = (...args) => {
+                            let listener = this.$attrs[key];
+
+                            if (typeof listener === 'function') {
+                                return listener(...args);
+                            }
+                        };
+                    }
+                }
+
+                let parent = component.init(props, null, el);
+                this.parent = parent;
+
+                for (let name of component.events) {
+                    parent.on(name, data => this.$emit(name, data));
+                }
+
+                this.$watch(() => getProps(this), newProps => {
+                    if (this.parent === parent) {
+                        parent.updateProps(newProps);
+                    }
+                }, { deep: true });
+
+                parent.render(el);
+            },
+
+            beforeUnmount() {
+                let parent = this.parent;
+
+                if (!parent) {
+                    return;
+                }
+
+                delete this.parent;
+
+                closeParent(parent, 'vue3');
+            }
+        });
+    }
+};
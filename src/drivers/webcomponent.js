@@ -0,0 +1,224 @@
+/* @flow */
+
+import type { Component, ComponentDriverType } from '../component/component';
+import { camelToDasherize, dasherizeToCamel, extend, stringifyError } from '../lib';
+import { PROP_TYPES } from '../constants';
+
+import { LIFECYCLE_EVENTS, closeParent } from './util';
+
+
+/*  Coerce Attribute
+    ----------------
+
+    Convert an attribute value to the type of the prop it maps to. Boolean props follow html semantics, so any value
+    other than "false" means true, and a missing attribute means false. Missing or empty number and date attributes mean
+    the prop is not set, and enum attributes are matched against the string form of each of the prop's values.
+*/
+
+function coerceAttribute(component : Component<*>, key : string, value : ?string) : mixed {
+
+    let prop = component.getProp(key);
+    let type = prop.type;
+
+    if (type === PROP_TYPES.BOOLEAN) {
+        return value !== null && value !== undefined && value !== 'false';
+    }
+
+    if (value === null || value === undefined) {
+        return;
+    }
+
+    if (type === PROP_TYPES.NUMBER || type === PROP_TYPES.DATE) {
+
+        if (!value.trim()) {
+            return;
+        }
+
+        let result = (type === PROP_TYPES.NUMBER) ? parseFloat(value) : new Date(value);
+
+        if (isNaN(result instanceof Date ? result.getTime() : result)) {
+            throw component.createError(`Expected ${ camelToDasherize(key) } attribute to be a valid ${ type }, got ${ value }`);
+        }
+
+        return result;
+    }
+
+    if (type === PROP_TYPES.ENUM) {
+        let values = prop.values || [];
+
+        for (let item of values) {
+            if (String(item) === value) {
+                return item;
+            }
+        }
+
+        throw component.createError(`Expected ${ camelToDasherize(key) } attribute to be one of ${ values.map(String).join(', ') }, got ${ value }`);
+    }
+
+    if (type === PROP_TYPES.OBJECT || type === PROP_TYPES.ARRAY) {
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            throw component.createError(`Expected ${ camelToDasherize(key) } attribute to be valid json: ${ stringifyError(err) }`);
+        }
+    }
+
+    return value;
+}
+
+
+/*  Get Lifecycle Handler
+    ---------------------
+
+    Dispatch a CustomEvent on the element, then call any handler set as a property. With no handler, errors are only
+    thrown if no event listener called preventDefault, as with the default onError.
+*/
+
+function getLifecycleHandler(el : Object, win : Object, key : string, handler : ?Function) : Function {
+
+    let eventName = LIFECYCLE_EVENTS[key];
+
+    return function lifecycleHandler(...args) : mixed {
+
+        let event = new win.CustomEvent(eventName, { detail: args[0], cancelable: true });
+        let handled = !el.dispatchEvent(event);
+
+        if (handler) {
+            return handler.apply(this, args);
+        }
+
+        if (key === 'onError' && !handled) {
+            setTimeout(() => {
+                throw args[0];
+            });
+        }
+    };
+}
+
+export let webcomponent : ComponentDriverType<*, Object> = {
+
+    global() {
+        // pass
+    },
+
+    register(component : Component<*>, win : Object = window) : Function {
+
+        if (!win.customElements) {
+            throw component.createError(`Custom elements are not supported`);
+        }
+
+        let propNames = component.getPropNames().filter(key => key !== 'onTimeout');
+
+        // Functions can only be passed as properties, and names already used by HTMLElement (e.g. title) are left alone
+
+        let attributeNames = propNames.filter(key => component.getProp(key).type !== 'function');
+        let propertyNames = propNames.filter(key => !(key in win.HTMLElement.prototype));
+
+        let getComponentProps = (el : Object, props : Object, initial : boolean = false) : Object => {
+            let result = {};
+
+            for (let key of Object.keys(props)) {
+                if (props[key] !== undefined) {
+                    result[key] = props[key];
+                }
+            }
+
+            for (let key of Object.keys(LIFECYCLE_EVENTS)) {
+                if (initial || props.hasOwnProperty(key)) {
+                    result[key] = getLifecycleHandler(el, win, key, props[key]);
+                }
+            }
+
+            return result;
+        };
+
+        let setProp = (el : Object, key : string, value : mixed) => {
+            el.zoidProps[key] = value;
+
+            if (el.parent) {
+                el.parent.updateProps(getComponentProps(el, { [ key ]: value }));
+            }
+        };
+
+        // Compiled es5 classes can not call the HTMLElement constructor, so construct the element with Reflect instead
+
+        function ZoidElement() : Object {
+            let el = Reflect.construct(win.HTMLElement, [], ZoidElement);
+            el.zoidProps = {};
+            return el;
+        }
+
+        ZoidElement.prototype = Object.create(win.HTMLElement.prototype);
+        ZoidElement.prototype.constructor = ZoidElement;
+        Object.setPrototypeOf(ZoidElement, win.HTMLElement);
+
+        ZoidElement.observedAttributes = attributeNames.map(camelToDasherize);
+
+        extend(ZoidElement.prototype, {
+
+            connectedCallback() {
+
+                if (this.parent) {
+                    return;
+                }
+
+                // Properties set before the element was defined shadow the prototype accessors, so move them over
+
+                for (let key of propertyNames) {
+                    if (this.hasOwnProperty(key)) {
+                        let value = this[key];
+                        delete this[key];
+                        this[key] = value;
+                    }
+                }
+
+                component.log(`instantiate_webcomponent`);
+
+                let parent = component.init(getComponentProps(this, this.zoidProps, true), null, this);
+                this.parent = parent;
+
+                for (let name of component.events) {
+                    parent.on(name, data => {
+                        this.dispatchEvent(new win.CustomEvent(name, { detail: data }));
+                    });
+                }
+
+                parent.render(this);
+            },
+
+            attributeChangedCallback(name : string, oldValue : ?string, newValue : ?string) {
+                if (oldValue !== newValue) {
+                    let key = dasherizeToCamel(name);
+                    setProp(this, key, coerceAttribute(component, key, newValue));
+                }
+            },
+
+            disconnectedCallback() {
+                let parent = this.parent;
+
+                if (!parent) {
+                    return;
+                }
+
+                delete this.parent;
+
+                closeParent(parent, 'webcomponent');
+            }
+        });
+
+        for (let key of propertyNames) {
+            Object.defineProperty(ZoidElement.prototype, key, {
+                get() : mixed {
+                    return this.zoidProps[key];
+                },
+                set(value : mixed) {
+                    setProp(this, key, value);
+                }
+            });
+        }
+
+        win.customElements.define(component.tag, ZoidElement);
+
+        return ZoidElement;
+    }
+};
@@ -17,3 +17,24 @@ export function RenderError(message : string) {
 }
 
 RenderError.prototype = Object.create(Error.prototype);
+
+export type PropValidationFailureType = {
+    key : string,
+    reason : string,
+    expected : string,
+    received : string
+};
+
+export function PropValidationError(message : string, errors : Array<PropValidationFailureType>) {
+    this.message = message;
+    this.errors = errors;
+}
+
+PropValidationError.prototype = Object.create(Error.prototype);
+
+export function CloseError(message : string, reason : string) {
+    this.message = message;
+    this.reason = reason;
+}
+
+CloseError.prototype = Object.create(Error.prototype);
@@ -6,6 +6,7 @@ import * as _postRobot from 'post-robot/src';
 
 import { Component, type ComponentOptionsType } from './component';
 import { ParentComponent } from './component/parent';
+import { registerContext as _registerContext, type ContextDriverType } from './component/parent/drivers';
 // eslint-disable-next-line import/no-namespace
 import * as _CONSTANTS from './constants';
 
@@ -17,7 +18,11 @@ export function getByTag<P>(tag : string) : Component<P> {
     return Component.getByTag(tag);
 }
 
-export { getCurrentScriptDir } from './lib';
+export function registerContext(name : string, driver : ContextDriverType) {
+    _registerContext(name, driver);
+}
+
+export { getCurrentScriptDir, setCspNonce, setTrustedTypesPolicy } from './lib';
 
 export function destroyAll() : ZalgoPromise<void> {
     return ParentComponent.destroyAll();
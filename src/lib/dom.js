@@ -6,7 +6,7 @@ import { ZalgoPromise } from 'zalgo-promise/src';
 import { WeakMap } from 'cross-domain-safe-weakmap/src';
 
 import { PopupOpenError } from '../error';
-import type { ElementRefType, CancelableType } from '../types';
+import type { ElementRefType, CancelableType, TrustedTypesPolicyType } from '../types';
 
 import { once, memoize, debounce } from './fn';
 import { extend, safeInterval, urlEncode, capitalizeFirstLetter, stringify } from './util';
@@ -159,12 +159,80 @@ export function popup(url : string, options : { [ string ] : mixed }) : CrossDom
 }
 
 
-export function writeToWindow(win : SameDomainWindowType, html : string) {
+/*  CSP Nonce
+    ---------
+
+    A nonce, matching the Content-Security-Policy of the current page, to add to every style and script element we create
+*/
+
+let cspNonce : ?string;
+
+export function setCspNonce(nonce : ?string) {
+    cspNonce = nonce;
+}
+
+export function getCspNonce() : ?string {
+    return cspNonce;
+}
+
+function applyCspNonce(el : HTMLElement, nonce : ?string) {
+    nonce = nonce || cspNonce;
+
+    if (nonce && !el.getAttribute('nonce')) {
+        el.setAttribute('nonce', nonce);
+    }
+}
+
+/*  Trusted Types
+    -------------
+
+    Every html and script string we write to the dom goes through the Trusted Types policy passed using
+    zoid.setTrustedTypesPolicy(), so zoid works on pages which enforce require-trusted-types-for 'script'. We never
+    create a policy of our own, since one which lets every string through would defeat the point of enforcing Trusted
+    Types on the page.
+*/
+
+let trustedTypesPolicy : ?TrustedTypesPolicyType;
+
+export function setTrustedTypesPolicy(policy : ?TrustedTypesPolicyType) {
+
+    if (policy && typeof policy.createHTML !== 'function') {
+        throw new TypeError(`Expected Trusted Types policy to implement createHTML()`);
+    }
+
+    trustedTypesPolicy = policy;
+}
+
+function getTrustedTypesPolicy() : ?TrustedTypesPolicyType {
+    return trustedTypesPolicy;
+}
+
+export function trustedHTML(html : string) : string {
+    let policy = getTrustedTypesPolicy();
+    // $FlowFixMe
+    return policy ? policy.createHTML(html) : html;
+}
+
+export function trustedScript(script : string) : string {
+    let policy = getTrustedTypesPolicy();
+    // $FlowFixMe
+    return (policy && policy.createScript) ? policy.createScript(script) : script;
+}
+
+export function writeToWindow(win : SameDomainWindowType, html : string, inlineScripts : boolean = true) {
     try {
         win.document.open();
-        win.document.write(html);
+        win.document.write(trustedHTML(html));
         win.document.close();
     } catch (err) {
+
+        // A javascript: url counts as an inline script, so it can't be used as a fallback when they are disabled, or when
+        // it would need to go through a Trusted Types policy
+
+        if (!inlineScripts || getTrustedTypesPolicy()) {
+            throw err;
+        }
+
         try {
             win.location = `javascript: document.open(); document.write(${ JSON.stringify(html) }); document.close();`;
         } catch (err2) {
@@ -173,6 +241,13 @@ export function writeToWindow(win : SameDomainWindowType, html : string) {
     }
 }
 
+/*  Write Element To Window
+    -----------------------
+
+    Replace the contents of a same-domain window with an html element, using only dom methods -- so no html string ever
+    needs to pass through a Trusted Types policy
+*/
+
 export function writeElementToWindow(win : SameDomainWindowType, el : HTMLElement) {
 
     let tag = el.tagName.toLowerCase();
@@ -181,7 +256,17 @@ export function writeElementToWindow(win : SameDomainWindowType, el : HTMLElemen
         throw new Error(`Expected element to be html, got ${ tag }`);
     }
 
-    let documentElement = win.document.documentElement;
+    let doc = win.document;
+    let documentElement = doc.documentElement;
+
+    if (!documentElement) {
+        documentElement = doc.createElement('html');
+        doc.appendChild(documentElement);
+    }
+
+    for (let attr of Array.prototype.slice.call(el.attributes)) {
+        documentElement.setAttribute(attr.name, attr.value);
+    }
 
     while (documentElement.children && documentElement.children.length) {
         documentElement.removeChild(documentElement.children[0]);
@@ -192,7 +277,12 @@ export function writeElementToWindow(win : SameDomainWindowType, el : HTMLElemen
     }
 }
 
-export function setStyle(el : HTMLElement, styleText : string, doc : Document = window.document) {
+export function setStyle(el : HTMLElement, styleText : string, doc : Document = window.document, nonce : ?string) {
+
+    if (el.tagName && el.tagName.toLowerCase() === 'style') {
+        applyCspNonce(el, nonce);
+    }
+
     // $FlowFixMe
     if (el.styleSheet) {
         // $FlowFixMe
@@ -254,7 +344,7 @@ export function createElement(tag : string = 'div', options : ElementOptionsType
             writeToWindow(element.contentWindow, options.html);
 
         } else {
-            element.innerHTML = options.html;
+            element.innerHTML = trustedHTML(options.html);
         }
     }
 
@@ -364,7 +454,7 @@ export function iframe(options : IframeElementOptionsType = {}, container : HTML
     Add DOM Event listener with cancel
 */
 
-export function addEventListener(obj : HTMLElement, event : string, handler : (event : Event) => void) : CancelableType {
+export function addEventListener(obj : EventTarget, event : string, handler : (event : Event) => void) : CancelableType {
     obj.addEventListener(event, handler);
     return {
         cancel() {
@@ -373,6 +463,80 @@ export function addEventListener(obj : HTMLElement, event : string, handler : (e
     };
 }
 
+export function isEscapeKey(event : Event) : boolean {
+    // $FlowFixMe
+    return event.key === 'Escape' || event.key === 'Esc' || event.keyCode === 27;
+}
+
+/*  Get Element Visibility Error
+    ----------------------------
+
+    Check that an element is fully visible to the user -- big enough, at full opacity, in the viewport, and not covered by
+    any other element at a sample of points. Returns the reason the element is not visible, or nothing if it is.
+*/
+
+function getElementStyleError(el : HTMLElement) : ?string {
+
+    let node : ?Node = el;
+
+    while (node && node.nodeType === 1) {
+
+        // $FlowFixMe
+        let style = window.getComputedStyle(node);
+
+        if (style && (style.display === 'none' || style.visibility === 'hidden')) {
+            return `Element is hidden`;
+        }
+
+        if (style && parseFloat(style.opacity) < 1) {
+            return `Element is not at full opacity`;
+        }
+
+        node = node.parentNode;
+    }
+}
+
+export function getElementVisibilityError(el : HTMLElement, { minWidth, minHeight } : { minWidth : number, minHeight : number }) : ?string {
+
+    let rect = el.getBoundingClientRect();
+
+    if (rect.width < minWidth || rect.height < minHeight) {
+        return `Element is smaller than ${ minWidth }x${ minHeight }`;
+    }
+
+    let styleError = getElementStyleError(el);
+
+    if (styleError) {
+        return styleError;
+    }
+
+    let left = Math.max(rect.left, 0);
+    let top = Math.max(rect.top, 0);
+    let right = Math.min(rect.right, window.innerWidth);
+    let bottom = Math.min(rect.bottom, window.innerHeight);
+
+    if ((right - left) < minWidth || (bottom - top) < minHeight) {
+        return `Element is not in the viewport`;
+    }
+
+    let insetX = (right - left) / 10;
+    let insetY = (bottom - top) / 10;
+
+    let points = [
+        [ (left + right) / 2, (top + bottom) / 2 ],
+        [ left + insetX, top + insetY ],
+        [ right - insetX, top + insetY ],
+        [ left + insetX, bottom - insetY ],
+        [ right - insetX, bottom - insetY ]
+    ];
+
+    for (let [ x, y ] of points) {
+        if (document.elementFromPoint(x, y) !== el) {
+            return `Element is obscured`;
+        }
+    }
+}
+
 /*  Scan For Javascript
     -------------------
 
@@ -940,21 +1104,50 @@ const JSX_EVENTS = {
     onClick: 'click'
 };
 
-export function fixScripts(el : HTMLElement, doc : Document = window.document) {
+export function fixScripts(el : HTMLElement, doc : Document = window.document, nonce : ?string, inlineScripts : boolean = true) {
     for (let script of querySelectorAll(el, 'script')) {
+
+        if (!inlineScripts && !script.getAttribute('src')) {
+            throw new Error(`Inline scripts are disabled`);
+        }
+
         let newScript = doc.createElement('script');
-        newScript.text = script.textContent;
+
+        for (let attr of Array.prototype.slice.call(script.attributes)) {
+            newScript.setAttribute(attr.name, attr.value);
+        }
+
+        newScript.text = trustedScript(script.textContent);
+        applyCspNonce(newScript, nonce);
         script.parentNode.replaceChild(newScript, script);
     }
 }
 
+/*  JSX Dom
+    -------
+
+    Render jsx to dom elements. May be bound to a document, or to { document, nonce, inlineScripts } to render into a
+    different document, with a csp nonce, or without allowing inline scripts.
+*/
+
+function getJsxContext(context : ?Object) : { doc : Object, nonce : ?string, inlineScripts : boolean } {
+
+    if (context && context.createElement) {
+        return { doc: context, nonce: null, inlineScripts: true };
+    }
+
+    return {
+        doc:           (context && context.document) || window.document,
+        nonce:         context && context.nonce,
+        inlineScripts: !(context && context.inlineScripts === false)
+    };
+}
+
 export function jsxDom(name : string, props : ?{ [ string ] : mixed }, content : ElementRefType) : HTMLElement {
 
     name = name.toLowerCase();
 
-    let doc = (this && this.createElement)
-        ? this
-        : window.document;
+    let { doc, nonce, inlineScripts } = getJsxContext(this);
 
     let el = doc.createElement(name);
 
@@ -962,8 +1155,9 @@ export function jsxDom(name : string, props : ?{ [ string ] : mixed }, content :
         if (prop in JSX_EVENTS) {
             el.addEventListener(JSX_EVENTS[prop], props[prop]);
         } else if (prop === 'innerHTML') {
-            el.innerHTML = props[prop];
-            fixScripts(el, doc);
+            // $FlowFixMe
+            el.innerHTML = trustedHTML(props[prop]);
+            fixScripts(el, doc, nonce, inlineScripts);
         } else {
             el.setAttribute(prop, props[prop]);
         }
@@ -979,7 +1173,7 @@ export function jsxDom(name : string, props : ?{ [ string ] : mixed }, content :
             throw new Error(`Expected only text content for ${ name } tag`);
         }
 
-        setStyle(el, content, doc);
+        setStyle(el, content, doc, nonce);
 
     } else if (name === 'iframe') {
 
@@ -995,7 +1189,7 @@ export function jsxDom(name : string, props : ?{ [ string ] : mixed }, content :
             }
 
             if (typeof content === 'string') {
-                writeToWindow(win, content);
+                writeToWindow(win, content, inlineScripts);
             } else {
                 writeElementToWindow(win, content);
             }
@@ -1003,7 +1197,9 @@ export function jsxDom(name : string, props : ?{ [ string ] : mixed }, content :
 
     } else if (name === 'script') {
 
-        if (typeof content !== 'string') {
+        // Scripts with a src and no content are allowed, so templates can load scripts when inline scripts are disabled
+
+        if (arguments.length > 2 && typeof content !== 'string') {
             throw new TypeError(`Expected ${ name } tag content to be string, got ${ typeof content }`);
         }
 
@@ -1011,7 +1207,15 @@ export function jsxDom(name : string, props : ?{ [ string ] : mixed }, content :
             throw new Error(`Expected only text content for ${ name } tag`);
         }
 
-        el.text = content;
+        if (content) {
+            if (!inlineScripts) {
+                throw new Error(`Inline scripts are disabled`);
+            }
+
+            el.text = trustedScript(content);
+        }
+
+        applyCspNonce(el, nonce);
 
     } else {
         for (let i = 2; i < arguments.length; i++) {
@@ -3,6 +3,7 @@
 
 import { WeakMap } from 'cross-domain-safe-weakmap/src';
 
+import { WILDCARD, EVENTS_LIST } from '../constants';
 import type { CancelableType } from '../types';
 
 /*  Url Encode
@@ -16,6 +17,17 @@ export function urlEncode(str : string) : string {
 }
 
 
+/*  Html Attribute Encode
+    ---------------------
+
+    Escape a value so it can be safely interpolated into a double-quoted html attribute
+*/
+
+export function htmlAttributeEncode(str : string) : string {
+    return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/'/g, '&#39;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+
 /*  Camel To Dasherize
     ------------------
 
@@ -461,6 +473,67 @@ export function count(str : string, substr : string) : number {
     return itemCount;
 }
 
+export function levenshtein(first : string, second : string) : number {
+
+    let previous = [];
+
+    for (let j = 0; j <= second.length; j++) {
+        previous.push(j);
+    }
+
+    for (let i = 1; i <= first.length; i++) {
+
+        let current = [ i ];
+
+        for (let j = 1; j <= second.length; j++) {
+            let cost = (first[i - 1] === second[j - 1]) ? 0 : 1;
+            current.push(Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost));
+        }
+
+        previous = current;
+    }
+
+    return previous[second.length];
+}
+
+export function closestMatch(str : string, candidates : Array<string>) : ?string {
+
+    let maxDistance = Math.max(2, Math.floor(str.length / 3));
+    let result;
+    let resultDistance = Infinity;
+
+    for (let candidate of candidates) {
+        let distance = levenshtein(str.toLowerCase(), candidate.toLowerCase());
+
+        if (distance <= maxDistance && distance < resultDistance) {
+            result = candidate;
+            resultDistance = distance;
+        }
+    }
+
+    return result;
+}
+
+export function compareVersions(first : string, second : string) : ?number {
+
+    let firstParts = first.replace(/^v/, '').split('.').map(part => parseInt(part, 10));
+    let secondParts = second.replace(/^v/, '').split('.').map(part => parseInt(part, 10));
+
+    if (firstParts.some(isNaN) || secondParts.some(isNaN)) {
+        return;
+    }
+
+    for (let i = 0; i < Math.max(firstParts.length, secondParts.length); i++) {
+        let difference = (firstParts[i] || 0) - (secondParts[i] || 0);
+
+        if (difference) {
+            return (difference > 0) ? 1 : -1;
+        }
+    }
+
+    return 0;
+}
+
 export function stringify(item : mixed) : string {
     if (typeof item === 'string') {
         return item;
@@ -490,11 +563,109 @@ export function stringifyError(err : mixed) : string {
     return stringify(err);
 }
 
+const REDACTED = '[redacted]';
+
+/*  Get Sensitive Values
+    --------------------
+
+    Get the values which must never appear in logs from a sensitive prop. Objects and arrays are collected leaf by leaf.
+    Every non-empty value is collected, however short, so a three digit card security code is still redacted.
+*/
+
+export function getSensitiveValues(value : mixed, result : Array<string> = []) : Array<string> {
+
+    if (Array.isArray(value)) {
+        for (let item of value) {
+            getSensitiveValues(item, result);
+        }
+        return result;
+    }
+
+    if (value && typeof value === 'object') {
+        for (let key of Object.keys(value)) {
+            getSensitiveValues(value[key], result);
+        }
+        return result;
+    }
+
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return result;
+    }
+
+    let str = value.toString();
+
+    if (str.length && result.indexOf(str) === -1) {
+        result.push(str);
+    }
+
+    return result;
+}
+
+export function redact(str : string, sensitiveValues : Array<string>) : string {
+    for (let value of sensitiveValues) {
+        str = str.split(value).join(REDACTED);
+    }
+
+    return str;
+}
+
+/*  Redact Payload
+    --------------
+
+    Redact sensitive values from a log payload, recursing through nested objects and arrays. Errors are stringified
+    first, so values in their messages and stacks are redacted too.
+*/
+
+function redactValue(value : mixed, sensitiveValues : Array<string>) : mixed {
+
+    if (typeof value === 'string') {
+        return redact(value, sensitiveValues);
+    }
+
+    if (typeof value === 'number') {
+        return (sensitiveValues.indexOf(value.toString()) === -1) ? value : REDACTED;
+    }
+
+    if (value instanceof Error) {
+        return redact(stringifyError(value), sensitiveValues);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, sensitiveValues));
+    }
+
+    if (value && typeof value === 'object') {
+        let result = {};
+
+        for (let key of Object.keys(value)) {
+            result[key] = redactValue(value[key], sensitiveValues);
+        }
+
+        return result;
+    }
+
+    return value;
+}
+
+export function redactPayload(payload : Object, sensitiveValues : Array<string>) : Object {
+    if (!sensitiveValues.length) {
+        return payload;
+    }
+
+    let result = {};
+
+    for (let key of Object.keys(payload)) {
+        result[key] = redactValue(payload[key], sensitiveValues);
+    }
+
+    return result;
+}
+
 export type EventEmitterType = {
     on : (eventName : string, handler : Function) => CancelableType,
     once : (eventName : string, handler : Function) => CancelableType,
-    trigger : (eventName : string) => void,
-    triggerOnce : (eventName : string) => void
+    trigger : (eventName : string, ...args : Array<mixed>) => void,
+    triggerOnce : (eventName : string, ...args : Array<mixed>) => void
 };
 
 export function eventEmitter() : EventEmitterType {
@@ -525,33 +696,45 @@ export function eventEmitter() : EventEmitterType {
 
         once(eventName : string, handler : Function) : CancelableType {
 
-            let listener = this.on(eventName, () => {
+            let listener = this.on(eventName, function onceHandler() : mixed {
                 listener.cancel();
-                handler();
+                return handler.apply(this, arguments);
             });
 
             return listener;
         },
 
-        trigger(eventName : string) {
+        // Wildcard handlers are passed the event name, followed by the event payload, for every event except internal ones
+
+        trigger(eventName : string, ...args : Array<mixed>) {
 
             let handlerList = handlers[eventName];
 
             if (handlerList) {
-                for (let handler of handlerList) {
-                    handler();
+                for (let handler of handlerList.slice()) {
+                    handler(...args);
+                }
+            }
+
+            let wildcardHandlerList = handlers[WILDCARD];
+
+            // zoid's own events, like close and resize, are not passed to wildcard handlers
+
+            if (wildcardHandlerList && eventName !== WILDCARD && EVENTS_LIST.indexOf(eventName) === -1) {
+                for (let handler of wildcardHandlerList.slice()) {
+                    handler(eventName, ...args);
                 }
             }
         },
 
-        triggerOnce(eventName : string) {
+        triggerOnce(eventName : string, ...args : Array<mixed>) {
 
             if (triggered[eventName]) {
                 return;
             }
 
             triggered[eventName] = true;
-            this.trigger(eventName);
+            this.trigger(eventName, ...args);
         }
     };
 }
@@ -1,5 +1,7 @@
 /* @flow */
 
+import { type ZalgoPromise } from 'zalgo-promise/src';
+
 export type ElementRefType = ElementRefType;
 
 export type DimensionsType = {
@@ -23,7 +25,33 @@ export type CancelableType = {
 
 export type StringMatcherType = string | RegExp | Array<string>;
 
+export type DomainMatcherType = StringMatcherType | (domain : string) => boolean;
+
+export type DomainCallbackType = (domain : string) => boolean | ZalgoPromise<boolean>;
+
+export type AsyncDomainMatcherType = StringMatcherType | DomainCallbackType;
+
 export type EnvString = string | { [string] : string };
+export type EnvSandbox = boolean | string | { [string] : boolean | string };
 export type EnvStringRegExp = string | RegExp | { [string] : string | RegExp };
 
+export type ClickjackingProtectionType = {
+    minWidth : number,
+    minHeight : number,
+    interval : number,
+    delay : number
+};
+
+export type ClickjackingProtectionOptionsType = {
+    minWidth? : number,
+    minHeight? : number,
+    interval? : number,
+    delay? : number
+};
+
+export type TrustedTypesPolicyType = {
+    createHTML : (string) => mixed,
+    createScript? : (string) => mixed
+};
+
 export type Jsx<T> = (string, ?{ [string] : mixed }, ...children : Array<string | T>) => T;
@@ -2,6 +2,16 @@
 
 import './component';
 
-if (window.xprops.run) {
-    eval(`(function() { ${ window.xprops.run } }).call(this);`); // eslint-disable-line no-eval, security/detect-eval-with-expression
+function run() {
+    if (window.xprops.run) {
+        eval(`(function() { ${ window.xprops.run } }).call(this);`); // eslint-disable-line no-eval, security/detect-eval-with-expression
+    }
+}
+
+// Props exchanged for a token over post-message are only available once the child has initialized
+
+if (window.xprops) {
+    run();
+} else {
+    window.xchild.init().then(run);
 }
@@ -1,10 +1,17 @@
 /* @flow */
 /* @jsx jsxDom */
 
+import { ZalgoPromise } from 'zalgo-promise/src';
+
 import zoid from '../src';
+import { RENDER_DRIVERS } from '../src/component/parent/drivers';
 
 window.zoid = zoid;
 
+zoid.registerContext('inline', {
+    ...RENDER_DRIVERS.iframe
+});
+
 function containerTemplate({ id, CLASS, CONTEXT, tag, context, actions, outlet, jsxDom }) {
 
     function close(event) {
@@ -109,11 +116,16 @@ export let testComponent = zoid.create({
 
     contexts: {
         iframe: true,
-        popup: true
+        popup: true,
+        modal: true
     },
 
     containerTemplate: containerTemplate,
 
+    exports: [ 'echo', 'getState' ],
+
+    events: [ 'test-event', 'other-event' ],
+
     props: {
         childEntered: {
             type: 'function',
@@ -178,6 +190,57 @@ export let testComponent = zoid.create({
             required: false
         },
 
+        arrayProp: {
+            type:     'array',
+            required: false,
+            schema:   {
+                items: { type: 'number' },
+                min:   1,
+                max:   5
+            }
+        },
+
+        dateProp: {
+            type:     'date',
+            required: false
+        },
+
+        enumProp: {
+            type:     'enum',
+            required: false,
+            values:   [ 'small', 'medium', 'large' ]
+        },
+
+        sensitiveProp: {
+            type:      'string',
+            required:  false,
+            sensitive: true
+        },
+
+        allowedDomainFunctionProp: {
+            type:           'function',
+            required:       false,
+            allowedDomains: 'http://localhost:9876'
+        },
+
+        otherDomainFunctionProp: {
+            type:           'function',
+            required:       false,
+            allowedDomains: [ 'http://www.somedomain.com' ]
+        },
+
+        schemaObjectProp: {
+            type:     'object',
+            required: false,
+            schema:   {
+                required:   [ 'name' ],
+                properties: {
+                    name: { type: 'string' },
+                    age:  { type: 'number', min: 0 }
+                }
+            }
+        },
+
         run: {
             type: 'string',
             required: false
@@ -385,3 +448,322 @@ export let testComponent_parentDomains_array_of_regex_match = zoid.create({
 
     url: '/base/test/child.htm?devenv=true',
 });
+
+export let testComponent_parentDomains_function_match = zoid.create({
+    tag: 'test-component-parent-domains-function-match',
+
+    allowedParentDomains: (domain) => domain === 'http://localhost:9876',
+
+    url: '/base/test/child.htm?devenv=true',
+});
+
+export let testComponent_parentDomains_async_function_match = zoid.create({
+    tag: 'test-component-parent-domains-async-function-match',
+
+    allowedParentDomains: (domain) => {
+        return new ZalgoPromise(resolve => { setTimeout(resolve, 50); }).then(() => domain === 'http://localhost:9876');
+    },
+
+    url: '/base/test/child.htm?devenv=true',
+});
+
+export let testComponent_parentDomains_async_function = zoid.create({
+    tag: 'test-component-parent-domains-async-function',
+
+    allowedParentDomains: (domain) => {
+        return new ZalgoPromise(resolve => { setTimeout(resolve, 50); }).then(() => domain === 'http://www.somedomain.com');
+    },
+
+    url: '/base/test/child.htm?devenv=true',
+});
+
+export let testComponent_sandbox = zoid.create({
+    tag: 'test-component-sandbox',
+
+    url: {
+        dev:     '/base/test/child.htm?devenv=true',
+        sandbox: '/base/test/child.htm?sandboxenv=true'
+    },
+
+    defaultEnv: 'dev',
+
+    sandbox: {
+        dev:     true,
+        sandbox: 'allow-scripts allow-same-origin'
+    },
+
+    allow: 'payment; fullscreen'
+});
+
+export let testComponent_csp = zoid.create({
+    tag: 'test-component-csp',
+
+    url: '/base/test/child.htm?devenv=true'
+});
+
+export let testComponent_noInlineScripts = zoid.create({
+    tag: 'test-component-no-inline-scripts',
+
+    url: '/base/test/child.htm?devenv=true',
+
+    inlineScripts: false,
+
+    containerTemplate({ id, outlet, jsxDom }) : HTMLElement {
+        return (
+            <div id={ id }>
+                <script>
+                    {`window.inlineScriptRan = true;`}
+                </script>
+                { outlet }
+            </div>
+        );
+    }
+});
+
+export let testComponent_trustedTypes = zoid.create({
+    tag: 'test-component-trusted-types',
+
+    url: '/base/test/child.htm?devenv=true',
+
+    containerTemplate({ id, outlet, jsxDom }) : HTMLElement {
+        return (
+            <div id={ id }>
+                <div class="trusted-html" innerHTML="<span>trusted</span>" />
+                { outlet }
+            </div>
+        );
+    }
+});
+
+export let testComponent_clickjacking = zoid.create({
+    tag: 'test-component-clickjacking',
+
+    url: '/base/test/child.htm?devenv=true',
+
+    clickjackingProtection: {
+        interval: 100,
+        delay:    100
+    },
+
+    props: {
+        foo: {
+            type:     'function',
+            required: false
+        },
+
+        run: {
+            type:     'string',
+            required: false
+        }
+    }
+});
+
+export let propCalls = [];
+
+export let testComponent_propCalls = zoid.create({
+    tag: 'test-component-prop-calls',
+
+    url: '/base/test/child.htm?devenv=true',
+
+    onPropCall: (call) => {
+        propCalls.push(call);
+    },
+
+    props: {
+        rateLimitedProp: {
+            type:      'function',
+            required:  false,
+            rateLimit: { calls: 2, perMs: 60000 }
+        },
+
+        foo: {
+            type:     'function',
+            required: false
+        },
+
+        run: {
+            type:     'string',
+            required: false
+        }
+    }
+});
+
+export let testComponent_ancestorDomains_match = zoid.create({
+    tag: 'test-component-ancestor-domains-match',
+
+    allowedAncestorDomains: 'http://localhost:9876',
+
+    url: '/base/test/child.htm?devenv=true',
+});
+
+export let testComponent_ancestorDomains_function_match = zoid.create({
+    tag: 'test-component-ancestor-domains-function-match',
+
+    allowedAncestorDomains: (domain) => domain === 'http://localhost:9876',
+
+    url: '/base/test/child.htm?devenv=true',
+});
+
+export let testComponent_ancestorDomains_function_truthy = zoid.create({
+    tag: 'test-component-ancestor-domains-function-truthy',
+
+    // $FlowFixMe
+    allowedAncestorDomains: (domain) => ZalgoPromise.resolve(domain === 'http://localhost:9876'),
+
+    url: '/base/test/child.htm?devenv=true',
+});
+
+export let testComponent_ancestorDomains_string = zoid.create({
+    tag: 'test-component-ancestor-domains-string',
+
+    allowedAncestorDomains: 'http://www.somedomain.com',
+
+    url: '/base/test/child.htm?devenv=true',
+});
+
+export let testComponent_custom_context = zoid.create({
+
+    tag: 'test-component-custom-context',
+
+    containerTemplate: containerTemplate,
+
+    url: {
+        dev: '/base/test/child.htm?devenv=true'
+    },
+
+    defaultEnv: 'dev',
+
+    contexts: {
+        inline: true
+    },
+
+    props: {
+        foo: {
+            type: 'function',
+            required: false
+        },
+
+        run: {
+            type: 'string',
+            required: false
+        }
+    }
+});
+
+export let testComponent_webcomponent = zoid.create({
+    tag: 'test-component-webcomponent',
+
+    url: '/base/test/child.htm?devenv=true',
+
+    events: [ 'test-event' ],
+
+    props: {
+        foo: {
+            type:     'function',
+            required: false
+        },
+
+        run: {
+            type:     'string',
+            required: false
+        },
+
+        count: {
+            type:     'number',
+            required: false
+        },
+
+        startDate: {
+            type:     'date',
+            required: false
+        },
+
+        size: {
+            type:     'enum',
+            values:   [ 1, 'large' ],
+            required: false
+        }
+    }
+});
+
+export let testComponent_queryParams = zoid.create({
+    tag: 'test-component-query-params',
+
+    url: '/base/test/child.htm?devenv=true',
+
+    props: {
+        sendUrl: {
+            type:     'function',
+            required: false
+        },
+
+        run: {
+            type:     'string',
+            required: false
+        },
+
+        dateProp: {
+            type:       'date',
+            required:   false,
+            queryParam: true
+        },
+
+        arrayProp: {
+            type:       'array',
+            required:   false,
+            queryParam: true
+        },
+
+        jsonArrayProp: {
+            type:          'array',
+            required:      false,
+            queryParam:    true,
+            serialization: 'json'
+        }
+    }
+});
+
+export let testComponent_modal = zoid.create({
+    tag: 'test-component-modal',
+
+    url: '/base/test/child.htm?devenv=true',
+
+    contexts: {
+        iframe: true,
+        modal:  true
+    },
+
+    props: {
+        run: {
+            type:     'string',
+            required: false
+        }
+    }
+});
+
+export let testComponent_crossDomain = zoid.create({
+    tag: 'test-component-cross-domain',
+
+    url: '/base/test/child.htm?devenv=true',
+
+    // Karma serves the tests on both hosts, so this component can be rendered across domains
+
+    domain: /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/,
+
+    props: {
+        foo: {
+            type:     'function',
+            required: false
+        },
+
+        stringProp: {
+            type:     'string',
+            required: false
+        },
+
+        run: {
+            type:     'string',
+            required: false
+        }
+    }
+});
@@ -1,206 +0,0 @@
-/*
- React v16.0.0
- react-dom.production.min.js
-
- Copyright (c) 2013-present, Facebook, Inc.
-
- This source code is licensed under the MIT license found in the
- LICENSE file in the root directory of this source tree.
- Modernizr 3.0.0pre (Custom Build) | MIT
-*/
-'use strict';function Nb(Za){function Ob(a,b){return null==a||"http://www.w3.org/1999/xhtml"===a?Sc(b):"http://www.w3.org/2000/svg"===a&&"foreignObject"===b?"http://www.w3.org/1999/xhtml":a}function Me(a){return a[1].toUpperCase()}function $a(a){var b=a.keyCode;"charCode"in a?(a=a.charCode,0===a&&13===b&&(a=13)):a=b;return 32<=a||13===a?a:0}function Pb(){return Ne}function Tc(a){var b=a&&a.nodeName&&a.nodeName.toLowerCase();return"input"===b?!!Oe[a.type]:"textarea"===b?!0:!1}function ab(a){if(null==
-a)return null;if(1===a.nodeType)return a;var b=fa.get(a);if(b)return"number"===typeof b.tag?Uc(b):Vc(b);"function"===typeof a.render?m("188"):m("213",Object.keys(a))}function Vc(){m("212")}function Uc(){m("211")}function Qb(a){a=a||("undefined"!==typeof document?document:void 0);if("undefined"===typeof a)return null;try{return a.activeElement||a.body}catch(b){return a.body}}function Wc(a){var b=(a?a.ownerDocument||a:document).defaultView||window;return!!(a&&("function"===typeof b.Node?a instanceof
-b.Node:"object"===typeof a&&"number"===typeof a.nodeType&&"string"===typeof a.nodeName))&&3==a.nodeType}function Xc(){!Rb&&z&&(Rb="textContent"in document.documentElement?"textContent":"innerText");return Rb}function Yc(a,b){var c=Zc(a);a=0;for(var d;c;){if(3===c.nodeType){d=a+c.textContent.length;if(a<=b&&d>=b)return{node:c,offset:b-a};a=d}a:{for(;c;){if(c.nextSibling){c=c.nextSibling;break a}c=c.parentNode}c=void 0}c=Zc(c)}}function $c(){m("196")}function Pe(a){function b(){for(;null!==w&&0===w.current.pendingWorkPriority;){w.isScheduled=
-!1;var a=w.nextScheduledRoot;w.nextScheduledRoot=null;if(w===I)return I=w=null,y=0,null;w=a}a=w;for(var b=null,c=0;null!==a;)0!==a.current.pendingWorkPriority&&(0===c||c>a.current.pendingWorkPriority)&&(c=a.current.pendingWorkPriority,b=a),a=a.nextScheduledRoot;if(null!==b){for(y=c;-1<da;)bb[da]=null,da--;cb=ba;ca.current=ba;S.current=!1;p();D=ad(b.current,c);b!==V&&(U=0,V=b)}else y=0,V=D=null}function c(c){X=!0;q=null;var d=c.stateNode;d.current===c?m("177"):void 0;1!==y&&2!==y||U++;db.current=null;
-if(1<c.effectTag)if(null!==c.lastEffect){c.lastEffect.nextEffect=c;var p=c.firstEffect}else p=c;else p=c.firstEffect;N();for(u=p;null!==u;){var n=!1,e=void 0;try{for(;null!==u;){var f=u.effectTag;f&16&&a.resetTextContent(u.stateNode);if(f&128){var g=u.alternate;null!==g&&t(g)}switch(f&-242){case 2:E(u);u.effectTag&=-3;break;case 6:E(u);u.effectTag&=-3;bd(u.alternate,u);break;case 4:bd(u.alternate,u);break;case 8:Y=!0,Qe(u),Y=!1}u=u.nextEffect}}catch(Sb){n=!0,e=Sb}n&&(null===u?m("178"):void 0,T(u,
-e),null!==u&&(u=u.nextEffect))}O();d.current=c;for(u=p;null!==u;){d=!1;p=void 0;try{for(;null!==u;){var h=u.effectTag;h&36&&Re(u.alternate,u);h&128&&r(u);if(h&64)switch(n=u,e=void 0,null!==P&&(e=P.get(n),P["delete"](n),null==e&&null!==n.alternate&&(n=n.alternate,e=P.get(n),P["delete"](n))),null==e?m("184"):void 0,n.tag){case 2:n.stateNode.componentDidCatch(e.error,{componentStack:e.componentStack});break;case 3:null===M&&(M=e.error);break;default:m("157")}var v=u.nextEffect;u.nextEffect=null;u=v}}catch(Sb){d=
-!0,p=Sb}d&&(null===u?m("178"):void 0,T(u,p),null!==u&&(u=u.nextEffect))}X=!1;"function"===typeof cd&&cd(c.stateNode);B&&(B.forEach(Z),B=null);b()}function d(a){for(;;){var b=Se(a.alternate,a,y),c=a["return"],d=a.sibling;var n=a;if(!(0!==n.pendingWorkPriority&&n.pendingWorkPriority>y)){var p=n.updateQueue;p=null===p||2!==n.tag&&3!==n.tag?0:null!==p.first?p.first.priorityLevel:0;for(var e=n.child;null!==e;){var f=e.pendingWorkPriority;p=0!==p&&(0===f||f>p)?p:f;e=e.sibling}n.pendingWorkPriority=p}if(null!==
-b)return b;null!==c&&(null===c.firstEffect&&(c.firstEffect=a.firstEffect),null!==a.lastEffect&&(null!==c.lastEffect&&(c.lastEffect.nextEffect=a.firstEffect),c.lastEffect=a.lastEffect),1<a.effectTag&&(null!==c.lastEffect?c.lastEffect.nextEffect=a:c.firstEffect=a,c.lastEffect=a));if(null!==d)return d;if(null!==c)a=c;else{q=a;break}}return null}function e(a){var b=pa(a.alternate,a,y);null===b&&(b=d(a));db.current=null;return b}function f(a){var b=Ub(a.alternate,a,y);null===b&&(b=d(a));db.current=null;
-return b}function g(a){Q(5,a)}function h(){if(null!==P&&0<P.size&&2===y)for(;null!==D;){var a=D;D=null!==P&&(P.has(a)||null!==a.alternate&&P.has(a.alternate))?f(D):e(D);if(null===D&&(null===q?m("179"):void 0,J=2,c(q),J=y,null===P||0===P.size||2!==y))break}}function k(a,d){null!==q?(J=2,c(q),h()):null===D&&b();if(!(0===y||y>a)){J=y;a:do{if(2>=y)for(;null!==D&&!(D=e(D),null===D&&(null===q?m("179"):void 0,J=2,c(q),J=y,h(),0===y||y>a||2<y)););else if(null!==d)for(;null!==D&&!F;)if(1<d.timeRemaining()){if(D=
-e(D),null===D)if(null===q?m("179"):void 0,1<d.timeRemaining()){if(J=2,c(q),J=y,h(),0===y||y>a||3>y)break}else F=!0}else F=!0;switch(y){case 1:case 2:if(y<=a)continue a;break a;case 3:case 4:case 5:if(null===d)break a;if(!F&&y<=a)continue a;break a;case 0:break a;default:m("181")}}while(1)}}function Q(a,b){z?m("182"):void 0;z=!0;var c=J,d=!1,p=null;try{k(a,b)}catch(Tb){d=!0,p=Tb}for(;d;){if(R){M=p;break}var e=D;if(null===e)R=!0;else{var E=T(e,p);null===E?m("183"):void 0;if(!R){try{d=E;p=a;E=b;for(var h=
-d;null!==e;){switch(e.tag){case 2:dd(e);break;case 5:n(e);break;case 3:x(e);break;case 4:x(e)}if(e===h||e.alternate===h)break;e=e["return"]}D=f(d);k(p,E)}catch(Tb){d=!0;p=Tb;continue}break}}}J=c;null!==b&&(L=!1);2<y&&!L&&(A(g),L=!0);a=M;R=F=z=!1;V=C=P=M=null;U=0;if(null!==a)throw a;}function T(a,b){var c=db.current=null,d=!1,p=!1,n=null;if(3===a.tag)c=a,eb(a)&&(R=!0);else for(var e=a["return"];null!==e&&null===c;){2===e.tag?"function"===typeof e.stateNode.componentDidCatch&&(d=!0,n=Ba(e),c=e,p=!0):
-3===e.tag&&(c=e);if(eb(e)){if(Y||null!==B&&(B.has(e)||null!==e.alternate&&B.has(e.alternate)))return null;c=null;p=!1}e=e["return"]}if(null!==c){null===C&&(C=new Set);C.add(c);var f="";e=a;do{a:switch(e.tag){case 0:case 1:case 2:case 5:var E=e._debugOwner,g=e._debugSource;var h=Ba(e);var v=null;E&&(v=Ba(E));E=g;h="\n    in "+(h||"Unknown")+(E?" (at "+E.fileName.replace(/^.*[\\\/]/,"")+":"+E.lineNumber+")":v?" (created by "+v+")":"");break a;default:h=""}f+=h;e=e["return"]}while(e);e=f;a=Ba(a);null===
-P&&(P=new Map);b={componentName:a,componentStack:e,error:b,errorBoundary:d?c.stateNode:null,errorBoundaryFound:d,errorBoundaryName:n,willRetry:p};P.set(c,b);try{console.error(b.error)}catch(Te){console.error(Te)}X?(null===B&&(B=new Set),B.add(c)):Z(c);return c}null===M&&(M=b);return null}function eb(a){return null!==C&&(C.has(a)||null!==a.alternate&&C.has(a.alternate))}function fb(a,b){return ed(a,b,!1)}function ed(a,b){U>aa&&(R=!0,m("185"));!z&&b<=y&&(D=null);for(var c=!0;null!==a&&c;){c=!1;if(0===
-a.pendingWorkPriority||a.pendingWorkPriority>b)c=!0,a.pendingWorkPriority=b;null!==a.alternate&&(0===a.alternate.pendingWorkPriority||a.alternate.pendingWorkPriority>b)&&(c=!0,a.alternate.pendingWorkPriority=b);if(null===a["return"])if(3===a.tag){var d=a.stateNode;0===b||d.isScheduled||(d.isScheduled=!0,I?I.nextScheduledRoot=d:w=d,I=d);if(!z)switch(b){case 1:K?Q(1,null):Q(2,null);break;case 2:W?void 0:m("186");break;default:L||(A(g),L=!0)}}else break;a=a["return"]}}function l(a,b){var c=J;0===c&&
-(c=!G||a.internalContextTag&1||b?4:1);return 1===c&&(z||W)?2:c}function Z(a){ed(a,2,!0)}var H=Ue(a),fd=Ve(a),x=H.popHostContainer,n=H.popHostContext,p=H.resetHostContainer,v=We(a,H,fd,fb,l),pa=v.beginWork,Ub=v.beginFailedWork,Se=Xe(a,H,fd).completeWork;H=Ye(a,T);var E=H.commitPlacement,Qe=H.commitDeletion,bd=H.commitWork,Re=H.commitLifeCycles,r=H.commitAttachRef,t=H.commitDetachRef,A=a.scheduleDeferredCallback,G=a.useSyncScheduling,N=a.prepareForCommit,O=a.resetAfterCommit,J=0,z=!1,F=!1,W=!1,K=!1,
-D=null,y=0,u=null,q=null,w=null,I=null,L=!1,P=null,C=null,B=null,M=null,R=!1,X=!1,Y=!1,aa=1E3,U=0,V=null;return{scheduleUpdate:fb,getPriorityContext:l,batchedUpdates:function(a,b){var c=W;W=!0;try{return a(b)}finally{W=c,z||W||Q(2,null)}},unbatchedUpdates:function(a){var b=K,c=W;K=W;W=!1;try{return a()}finally{W=c,K=b}},flushSync:function(a){var b=W,c=J;W=!0;J=1;try{return a()}finally{W=b,J=c,z?m("187"):void 0,Q(2,null)}},deferredUpdates:function(a){var b=J;J=4;try{return a()}finally{J=b}}}}function cd(a){"function"===
-typeof Vb&&Vb(a)}function Ve(a){function b(a,b){var c=new F(5,null,0);c.type="DELETED";c.stateNode=b;c["return"]=a;c.effectTag=8;null!==a.lastEffect?(a.lastEffect.nextEffect=c,a.lastEffect=c):a.firstEffect=a.lastEffect=c}function c(a,b){switch(a.tag){case 5:return f(b,a.type,a.pendingProps);case 6:return g(b,a.pendingProps);default:return!1}}function d(a){for(a=a["return"];null!==a&&5!==a.tag&&3!==a.tag;)a=a["return"];l=a}var e=a.shouldSetTextContent,f=a.canHydrateInstance,g=a.canHydrateTextInstance,
-h=a.getNextHydratableSibling,k=a.getFirstHydratableChild,Q=a.hydrateInstance,T=a.hydrateTextInstance,eb=a.didNotHydrateInstance,fb=a.didNotFindHydratableInstance;a=a.didNotFindHydratableTextInstance;if(!(f&&g&&h&&k&&Q&&T&&eb&&fb&&a))return{enterHydrationState:function(){return!1},resetHydrationState:function(){},tryToClaimNextHydratableInstance:function(){},prepareToHydrateHostInstance:function(){m("175")},prepareToHydrateHostTextInstance:function(){m("176")},popHydrationState:function(){return!1}};
-var l=null,r=null,Z=!1;return{enterHydrationState:function(a){r=k(a.stateNode.containerInfo);l=a;return Z=!0},resetHydrationState:function(){r=l=null;Z=!1},tryToClaimNextHydratableInstance:function(a){if(Z){var d=r;if(d){if(!c(a,d)){d=h(d);if(!d||!c(a,d)){a.effectTag|=2;Z=!1;l=a;return}b(l,r)}a.stateNode=d;l=a;r=k(d)}else a.effectTag|=2,Z=!1,l=a}},prepareToHydrateHostInstance:function(a,b,c){b=Q(a.stateNode,a.type,a.memoizedProps,b,c,a);a.updateQueue=b;return null!==b?!0:!1},prepareToHydrateHostTextInstance:function(a){return T(a.stateNode,
-a.memoizedProps,a)},popHydrationState:function(a){if(a!==l)return!1;if(!Z)return d(a),Z=!0,!1;var c=a.type;if(5!==a.tag||"head"!==c&&"body"!==c&&!e(c,a.memoizedProps))for(c=r;c;)b(a,c),c=h(c);d(a);r=l?h(a.stateNode):null;return!0}}}function Ue(a){function b(a){a===qa?m("174"):void 0;return a}var c=a.getChildHostContext,d=a.getRootHostContext,e={current:qa},f={current:qa},g={current:qa};return{getHostContext:function(){return b(e.current)},getRootHostContainer:function(){return b(g.current)},popHostContainer:function(a){K(e,
-a);K(f,a);K(g,a)},popHostContext:function(a){f.current===a&&(K(e,a),K(f,a))},pushHostContainer:function(a,b){L(g,b,a);b=d(b);L(f,a,a);L(e,b,a)},pushHostContext:function(a){var d=b(g.current),h=b(e.current);d=c(h,a.type,d);h!==d&&(L(f,a,a),L(e,d,a))},resetHostContainer:function(){e.current=qa;g.current=qa}}}function Ye(a,b){function c(a){var c=a.ref;if(null!==c)try{c(null)}catch(p){b(a,p)}}function d(a){return 5===a.tag||3===a.tag||4===a.tag}function e(a){for(var b=a;;)if(g(b),null!==b.child&&4!==
-b.tag)b.child["return"]=b,b=b.child;else{if(b===a)break;for(;null===b.sibling;){if(null===b["return"]||b["return"]===a)return;b=b["return"]}b.sibling["return"]=b["return"];b=b.sibling}}function f(a){for(var b=a,c=!1,d=void 0,f=void 0;;){if(!c){c=b["return"];a:for(;;){null===c?m("160"):void 0;switch(c.tag){case 5:d=c.stateNode;f=!1;break a;case 3:d=c.stateNode.containerInfo;f=!0;break a;case 4:d=c.stateNode.containerInfo;f=!0;break a}c=c["return"]}c=!0}if(5===b.tag||6===b.tag)e(b),f?H(d,b.stateNode):
-Z(d,b.stateNode);else if(4===b.tag?d=b.stateNode.containerInfo:g(b),null!==b.child){b.child["return"]=b;b=b.child;continue}if(b===a)break;for(;null===b.sibling;){if(null===b["return"]||b["return"]===a)return;b=b["return"];4===b.tag&&(c=!1)}b.sibling["return"]=b["return"];b=b.sibling}}function g(a){"function"===typeof gd&&gd(a);switch(a.tag){case 2:c(a);var d=a.stateNode;if("function"===typeof d.componentWillUnmount)try{d.props=a.memoizedProps,d.state=a.memoizedState,d.componentWillUnmount()}catch(p){b(a,
-p)}break;case 5:c(a);break;case 7:e(a.stateNode);break;case 4:f(a)}}var h=a.commitMount,k=a.commitUpdate,Q=a.resetTextContent,T=a.commitTextUpdate,l=a.appendChild,r=a.appendChildToContainer,t=a.insertBefore,q=a.insertInContainerBefore,Z=a.removeChild,H=a.removeChildFromContainer,w=a.getPublicInstance;return{commitPlacement:function(a){a:{for(var b=a["return"];null!==b;){if(d(b)){var c=b;break a}b=b["return"]}m("160");c=void 0}var e=b=void 0;switch(c.tag){case 5:b=c.stateNode;e=!1;break;case 3:b=c.stateNode.containerInfo;
-e=!0;break;case 4:b=c.stateNode.containerInfo;e=!0;break;default:m("161")}c.effectTag&16&&(Q(b),c.effectTag&=-17);a:b:for(c=a;;){for(;null===c.sibling;){if(null===c["return"]||d(c["return"])){c=null;break a}c=c["return"]}c.sibling["return"]=c["return"];for(c=c.sibling;5!==c.tag&&6!==c.tag;){if(c.effectTag&2)continue b;if(null===c.child||4===c.tag)continue b;else c.child["return"]=c,c=c.child}if(!(c.effectTag&2)){c=c.stateNode;break a}}for(var f=a;;){if(5===f.tag||6===f.tag)c?e?q(b,f.stateNode,c):
-t(b,f.stateNode,c):e?r(b,f.stateNode):l(b,f.stateNode);else if(4!==f.tag&&null!==f.child){f.child["return"]=f;f=f.child;continue}if(f===a)break;for(;null===f.sibling;){if(null===f["return"]||f["return"]===a)return;f=f["return"]}f.sibling["return"]=f["return"];f=f.sibling}},commitDeletion:function(a){f(a);a["return"]=null;a.child=null;a.alternate&&(a.alternate.child=null,a.alternate["return"]=null)},commitWork:function(a,b){switch(b.tag){case 2:break;case 5:var c=b.stateNode;if(null!=c){var d=b.memoizedProps;
-a=null!==a?a.memoizedProps:d;var e=b.type,f=b.updateQueue;b.updateQueue=null;null!==f&&k(c,f,e,a,d,b)}break;case 6:null===b.stateNode?m("162"):void 0;c=b.memoizedProps;T(b.stateNode,null!==a?a.memoizedProps:c,c);break;case 3:break;case 4:break;default:m("163")}},commitLifeCycles:function(a,b){switch(b.tag){case 2:var c=b.stateNode;if(b.effectTag&4)if(null===a)c.props=b.memoizedProps,c.state=b.memoizedState,c.componentDidMount();else{var d=a.memoizedProps;a=a.memoizedState;c.props=b.memoizedProps;
-c.state=b.memoizedState;c.componentDidUpdate(d,a)}b.effectTag&32&&null!==b.updateQueue&&hd(b,b.updateQueue,c);break;case 3:a=b.updateQueue;null!==a&&hd(b,a,b.child&&b.child.stateNode);break;case 5:c=b.stateNode;null===a&&b.effectTag&4&&h(c,b.type,b.memoizedProps,b);break;case 6:break;case 4:break;default:m("163")}},commitAttachRef:function(a){var b=a.ref;if(null!==b){var c=a.stateNode;switch(a.tag){case 5:b(w(c));break;default:b(c)}}},commitDetachRef:function(a){a=a.ref;null!==a&&a(null)}}}function gd(a){"function"===
-typeof Wb&&Wb(a)}function hd(a,b,c){a=b.callbackList;if(null!==a)for(b.callbackList=null,b=0;b<a.length;b++){var d=a[b];"function"!==typeof d?m("191",d):void 0;d.call(c)}}function Xe(a,b,c){var d=a.createInstance,e=a.createTextInstance,f=a.appendInitialChild,g=a.finalizeInitialChildren,h=a.prepareUpdate,k=b.getRootHostContainer,Q=b.popHostContext,T=b.getHostContext,l=b.popHostContainer,r=c.prepareToHydrateHostInstance,t=c.prepareToHydrateHostTextInstance,q=c.popHydrationState;return{completeWork:function(a,
-b,c){var x=b.pendingProps;if(null===x)x=b.memoizedProps;else if(5!==b.pendingWorkPriority||5===c)b.pendingProps=null;switch(b.tag){case 1:return null;case 2:return dd(b),null;case 3:l(b);K(S,b);K(ca,b);x=b.stateNode;x.pendingContext&&(x.context=x.pendingContext,x.pendingContext=null);if(null===a||null===a.child)q(b),b.effectTag&=-3;return null;case 5:Q(b);c=k();var n=b.type;if(null!==a&&null!=b.stateNode){var p=a.memoizedProps,v=b.stateNode,pa=T();x=h(v,n,p,x,c,pa);if(b.updateQueue=x)b.effectTag|=
-4;a.ref!==b.ref&&(b.effectTag|=128)}else{if(!x)return null===b.stateNode?m("166"):void 0,null;a=T();if(q(b))r(b,c,a)&&(b.effectTag|=4);else{a=d(n,x,c,a,b);a:for(p=b.child;null!==p;){if(5===p.tag||6===p.tag)f(a,p.stateNode);else if(4!==p.tag&&null!==p.child){p=p.child;continue}if(p===b)break a;for(;null===p.sibling;){if(null===p["return"]||p["return"]===b)break a;p=p["return"]}p=p.sibling}g(a,n,x,c)&&(b.effectTag|=4);b.stateNode=a}null!==b.ref&&(b.effectTag|=128)}return null;case 6:if(a&&null!=b.stateNode)a.memoizedProps!==
-x&&(b.effectTag|=4);else{if("string"!==typeof x)return null===b.stateNode?m("166"):void 0,null;a=k();c=T();q(b)?t(b)&&(b.effectTag|=4):b.stateNode=e(x,a,c,b)}return null;case 7:(x=b.memoizedProps)?void 0:m("165");b.tag=8;c=[];a:for((n=b.stateNode)&&(n["return"]=b);null!==n;){if(5===n.tag||6===n.tag||4===n.tag)m("164");else if(9===n.tag)c.push(n.type);else if(null!==n.child){n.child["return"]=n;n=n.child;continue}for(;null===n.sibling;){if(null===n["return"]||n["return"]===b)break a;n=n["return"]}n.sibling["return"]=
-n["return"];n=n.sibling}n=x.handler;x=n(x.props,c);b.child=Xb(b,null!==a?a.child:null,x,b.pendingWorkPriority);return b.child;case 8:return b.tag=7,null;case 9:return null;case 10:return null;case 4:return b.effectTag|=4,l(b),null;case 0:m("167");default:m("156")}}}}function We(a,b,c,d,e){function f(a,b,c){g(a,b,c,b.pendingWorkPriority)}function g(a,b,c,d){b.child=null===a?Yb(b,b.child,c,d):a.child===b.child?Xb(b,b.child,c,d):Zb(b,b.child,c,d)}function h(a,b){var c=b.ref;null===c||a&&a.ref===c||(b.effectTag|=
-128)}function k(a,b,c,d){h(a,b);if(!c)return d&&id(b,!1),l(a,b);c=b.stateNode;Ze.current=b;var e=c.render();b.effectTag|=1;f(a,b,e);b.memoizedState=c.state;b.memoizedProps=c.props;d&&id(b,!0);return b.child}function Q(a){var b=a.stateNode;b.pendingContext?jd(a,b.pendingContext,b.pendingContext!==b.context):b.context&&jd(a,b.context,!1);H(a,b.containerInfo)}function l(a,b){null!==a&&b.child!==a.child?m("153"):void 0;if(null!==b.child){a=b.child;var c=$b(a,a.pendingWorkPriority);c.pendingProps=a.pendingProps;
-b.child=c;for(c["return"]=b;null!==a.sibling;)a=a.sibling,c=c.sibling=$b(a,a.pendingWorkPriority),c.pendingProps=a.pendingProps,c["return"]=b;c.sibling=null}return b.child}function r(a,b){switch(b.tag){case 3:Q(b);break;case 2:gb(b);break;case 4:H(b,b.stateNode.containerInfo)}return null}var q=a.shouldSetTextContent,t=a.useSyncScheduling,w=a.shouldDeprioritizeSubtree,z=b.pushHostContext,H=b.pushHostContainer,A=c.enterHydrationState,x=c.resetHydrationState,n=c.tryToClaimNextHydratableInstance;a=$e(d,
-e,function(a,b){a.memoizedProps=b},function(a,b){a.memoizedState=b});var p=a.adoptClassInstance,v=a.constructClassInstance,pa=a.mountClassInstance,Ub=a.updateClassInstance;return{beginWork:function(a,b,c){if(0===b.pendingWorkPriority||b.pendingWorkPriority>c)return r(a,b);switch(b.tag){case 0:null!==a?m("155"):void 0;var d=b.type,e=b.pendingProps,g=Ca(b);g=Da(b,g);d=d(e,g);b.effectTag|=1;"object"===typeof d&&null!==d&&"function"===typeof d.render?(b.tag=2,e=gb(b),p(b,d),pa(b,c),b=k(a,b,!0,e)):(b.tag=
-1,f(a,b,d),b.memoizedProps=e,b=b.child);return b;case 1:a:{e=b.type;c=b.pendingProps;d=b.memoizedProps;if(S.current)null===c&&(c=d);else if(null===c||d===c){b=l(a,b);break a}d=Ca(b);d=Da(b,d);e=e(c,d);b.effectTag|=1;f(a,b,e);b.memoizedProps=c;b=b.child}return b;case 2:return e=gb(b),d=void 0,null===a?b.stateNode?m("153"):(v(b,b.pendingProps),pa(b,c),d=!0):d=Ub(a,b,c),k(a,b,d,e);case 3:return Q(b),d=b.updateQueue,null!==d?(e=b.memoizedState,d=ac(a,b,d,null,e,null,c),e===d?(x(),b=l(a,b)):(e=d.element,
-null!==a&&null!==a.child||!A(b)?(x(),f(a,b,e)):(b.effectTag|=2,b.child=Yb(b,b.child,e,c)),b.memoizedState=d,b=b.child)):(x(),b=l(a,b)),b;case 5:z(b);null===a&&n(b);e=b.type;var E=b.memoizedProps;d=b.pendingProps;null===d&&(d=E,null===d?m("154"):void 0);g=null!==a?a.memoizedProps:null;S.current||null!==d&&E!==d?(E=d.children,q(e,d)?E=null:g&&q(e,g)&&(b.effectTag|=16),h(a,b),5!==c&&!t&&w(e,d)?(b.pendingWorkPriority=5,b=null):(f(a,b,E),b.memoizedProps=d,b=b.child)):b=l(a,b);return b;case 6:return null===
-a&&n(b),a=b.pendingProps,null===a&&(a=b.memoizedProps),b.memoizedProps=a,null;case 8:b.tag=7;case 7:c=b.pendingProps;if(S.current)null===c&&(c=a&&a.memoizedProps,null===c?m("154"):void 0);else if(null===c||b.memoizedProps===c)c=b.memoizedProps;e=c.children;d=b.pendingWorkPriority;b.stateNode=null===a?Yb(b,b.stateNode,e,d):a.child===b.child?Xb(b,b.stateNode,e,d):Zb(b,b.stateNode,e,d);b.memoizedProps=c;return b.stateNode;case 9:return null;case 4:a:{H(b,b.stateNode.containerInfo);c=b.pendingWorkPriority;
-e=b.pendingProps;if(S.current)null===e&&(e=a&&a.memoizedProps,null==e?m("154"):void 0);else if(null===e||b.memoizedProps===e){b=l(a,b);break a}null===a?b.child=Zb(b,b.child,e,c):f(a,b,e);b.memoizedProps=e;b=b.child}return b;case 10:a:{c=b.pendingProps;if(S.current)null===c&&(c=b.memoizedProps);else if(null===c||b.memoizedProps===c){b=l(a,b);break a}f(a,b,c);b.memoizedProps=c;b=b.child}return b;default:m("156")}},beginFailedWork:function(a,b,c){switch(b.tag){case 2:gb(b);break;case 3:Q(b);break;default:m("157")}b.effectTag|=
-64;null===a?b.child=null:b.child!==a.child&&(b.child=a.child);if(0===b.pendingWorkPriority||b.pendingWorkPriority>c)return r(a,b);b.firstEffect=null;b.lastEffect=null;g(a,b,null,c);2===b.tag&&(a=b.stateNode,b.memoizedProps=a.props,b.memoizedState=a.state);return b.child}}}function id(a,b){var c=a.stateNode;c?void 0:m("169");if(b){var d=kd(a,cb,!0);c.__reactInternalMemoizedMergedChildContext=d;K(S,a);K(ca,a);L(ca,d,a)}else K(S,a);L(S,b,a)}function jd(a,b,c){null!=ca.cursor?m("168"):void 0;L(ca,b,a);
-L(S,c,a)}function gb(a){if(!Ea(a))return!1;var b=a.stateNode;b=b&&b.__reactInternalMemoizedMergedChildContext||ba;cb=ca.current;L(ca,b,a);L(S,S.current,a);return!0}function $e(a,b,c,d){function e(a,b){b.updater=f;a.stateNode=b;fa.set(b,a)}var f={isMounted:af,enqueueSetState:function(c,d,e){c=fa.get(c);var f=b(c,!1);hb(c,{priorityLevel:f,partialState:d,callback:void 0===e?null:e,isReplace:!1,isForced:!1,isTopLevelUnmount:!1,next:null});a(c,f)},enqueueReplaceState:function(c,d,e){c=fa.get(c);var f=
-b(c,!1);hb(c,{priorityLevel:f,partialState:d,callback:void 0===e?null:e,isReplace:!0,isForced:!1,isTopLevelUnmount:!1,next:null});a(c,f)},enqueueForceUpdate:function(c,d){c=fa.get(c);var e=b(c,!1);hb(c,{priorityLevel:e,partialState:null,callback:void 0===d?null:d,isReplace:!1,isForced:!0,isTopLevelUnmount:!1,next:null});a(c,e)}};return{adoptClassInstance:e,constructClassInstance:function(a,b){var c=a.type,d=Ca(a),f=2===a.tag&&null!=a.type.contextTypes,g=f?Da(a,d):ba;b=new c(b,g);e(a,b);f&&(a=a.stateNode,
-a.__reactInternalMemoizedUnmaskedChildContext=d,a.__reactInternalMemoizedMaskedChildContext=g);return b},mountClassInstance:function(a,b){var c=a.alternate,d=a.stateNode,e=d.state||null,g=a.pendingProps;g?void 0:m("158");var h=Ca(a);d.props=g;d.state=e;d.refs=ba;d.context=Da(a,h);null!=a.type&&null!=a.type.prototype&&!0===a.type.prototype.unstable_isAsyncReactComponent&&(a.internalContextTag|=1);"function"===typeof d.componentWillMount&&(h=d.state,d.componentWillMount(),h!==d.state&&f.enqueueReplaceState(d,
-d.state,null),h=a.updateQueue,null!==h&&(d.state=ac(c,a,h,d,e,g,b)));"function"===typeof d.componentDidMount&&(a.effectTag|=4)},updateClassInstance:function(a,b,e){var g=b.stateNode;g.props=b.memoizedProps;g.state=b.memoizedState;var h=b.memoizedProps,k=b.pendingProps;k||(k=h,null==k?m("159"):void 0);var l=g.context,r=Ca(b);r=Da(b,r);"function"!==typeof g.componentWillReceiveProps||h===k&&l===r||(l=g.state,g.componentWillReceiveProps(k,r),g.state!==l&&f.enqueueReplaceState(g,g.state,null));l=b.memoizedState;
-e=null!==b.updateQueue?ac(a,b,b.updateQueue,g,l,k,e):l;if(!(h!==k||l!==e||S.current||null!==b.updateQueue&&b.updateQueue.hasForceUpdate))return"function"!==typeof g.componentDidUpdate||h===a.memoizedProps&&l===a.memoizedState||(b.effectTag|=4),!1;var q=k;if(null===h||null!==b.updateQueue&&b.updateQueue.hasForceUpdate)q=!0;else{var t=b.stateNode,w=b.type;q="function"===typeof t.shouldComponentUpdate?t.shouldComponentUpdate(q,e,r):w.prototype&&w.prototype.isPureReactComponent?!bc(h,q)||!bc(l,e):!0}q?
-("function"===typeof g.componentWillUpdate&&g.componentWillUpdate(k,e,r),"function"===typeof g.componentDidUpdate&&(b.effectTag|=4)):("function"!==typeof g.componentDidUpdate||h===a.memoizedProps&&l===a.memoizedState||(b.effectTag|=4),c(b,k),d(b,e));g.props=k;g.state=e;g.context=r;return q}}}function bc(a,b){if(ld(a,b))return!0;if("object"!==typeof a||null===a||"object"!==typeof b||null===b)return!1;var c=Object.keys(a),d=Object.keys(b);if(c.length!==d.length)return!1;for(d=0;d<c.length;d++)if(!bf.call(b,
-c[d])||!ld(a[c[d]],b[c[d]]))return!1;return!0}function cc(a,b,c){b=new F(4,a.key,b);b.pendingProps=a.children||[];b.pendingWorkPriority=c;b.stateNode={containerInfo:a.containerInfo,implementation:a.implementation};return b}function dc(a,b,c){b=new F(7,a.key,b);b.type=a.handler;b.pendingProps=a;b.pendingWorkPriority=c;return b}function ec(a,b,c){b=new F(6,null,b);b.pendingProps=a;b.pendingWorkPriority=c;return b}function md(a,b,c){b=new F(10,null,b);b.pendingProps=a;b.pendingWorkPriority=c;return b}
-function fc(a,b,c){var d=a.type,e=a.key,f=void 0;"function"===typeof d?(f=d.prototype&&d.prototype.isReactComponent?new F(2,e,b):new F(0,e,b),f.type=d):"string"===typeof d?(f=new F(5,e,b),f.type=d):"object"===typeof d&&null!==d&&"number"===typeof d.tag?f=d:m("130",null==d?d:typeof d,"");b=f;b.pendingProps=a.props;b.pendingWorkPriority=c;return b}function ad(a,b){var c=a.alternate;null===c?(c=new F(a.tag,a.key,a.internalContextTag),c.type=a.type,c.stateNode=a.stateNode,c.alternate=a,a.alternate=c):
-(c.effectTag=0,c.nextEffect=null,c.firstEffect=null,c.lastEffect=null);c.pendingWorkPriority=b;c.child=a.child;c.memoizedProps=a.memoizedProps;c.memoizedState=a.memoizedState;c.updateQueue=a.updateQueue;c.sibling=a.sibling;c.index=a.index;c.ref=a.ref;return c}function dd(a){Ea(a)&&(K(S,a),K(ca,a))}function Da(a,b){var c=a.type.contextTypes;if(!c)return ba;var d=a.stateNode;if(d&&d.__reactInternalMemoizedUnmaskedChildContext===b)return d.__reactInternalMemoizedMaskedChildContext;var e={},f;for(f in c)e[f]=
-b[f];d&&(a=a.stateNode,a.__reactInternalMemoizedUnmaskedChildContext=b,a.__reactInternalMemoizedMaskedChildContext=e);return e}function Ca(a){return Ea(a)?cb:ca.current}function L(a,b){da++;bb[da]=a.current;a.current=b}function K(a){0>da||(a.current=bb[da],bb[da]=null,da--)}function ac(a,b,c,d,e,f,g){null!==a&&a.updateQueue===c&&(c=b.updateQueue={first:c.first,last:c.last,callbackList:null,hasForceUpdate:!1});a=c.callbackList;for(var h=c.hasForceUpdate,m=!0,l=c.first;null!==l&&0>=gc(l.priorityLevel,
-g);){c.first=l.next;null===c.first&&(c.last=null);var r;if(l.isReplace)e=nd(l,d,e,f),m=!0;else if(r=nd(l,d,e,f))e=m?q({},e,r):q(e,r),m=!1;l.isForced&&(h=!0);null===l.callback||l.isTopLevelUnmount&&null!==l.next||(a=null!==a?a:[],a.push(l.callback),b.effectTag|=32);l=l.next}c.callbackList=a;c.hasForceUpdate=h;null!==c.first||null!==a||h||(b.updateQueue=null);return e}function od(a,b){if(b){var c=a.firstChild;if(c&&c===a.lastChild&&3===c.nodeType){c.nodeValue=b;return}}a.textContent=b}function hc(a,
-b){if(-1===a.indexOf("-"))return"string"===typeof b.is;switch(a){case "annotation-xml":case "color-profile":case "font-face":case "font-face-src":case "font-face-uri":case "font-face-format":case "font-face-name":case "missing-glyph":return!1;default:return!0}}function ic(a,b){b&&(cf[a]&&(null!=b.children||null!=b.dangerouslySetInnerHTML?m("137",a,""):void 0),null!=b.dangerouslySetInnerHTML&&(null!=b.children?m("60"):void 0,"object"===typeof b.dangerouslySetInnerHTML&&"__html"in b.dangerouslySetInnerHTML?
-void 0:m("61")),null!=b.style&&"object"!==typeof b.style?m("62",""):void 0)}function ib(a){if(jc[a])return jc[a];if(!ra[a])return a;var b=ra[a],c;for(c in b)if(b.hasOwnProperty(c)&&c in pd)return jc[a]=b[c];return""}function Fa(a,b){if(!z||b&&!("addEventListener"in document))return!1;b="on"+a;var c=b in document;c||(c=document.createElement("div"),c.setAttribute(b,"return;"),c="function"===typeof c[b]);!c&&qd&&"wheel"===a&&(c=document.implementation.hasFeature("Events.wheel","3.0"));return c}function df(a){return rd(a,
-!1)}function ef(a){return rd(a,!0)}function rd(a,b){a&&(Ga.executeDispatchesInOrder(a,b),a.isPersistent()||a.constructor.release(a))}function Ha(a,b,c){Array.isArray(a)?a.forEach(b,c):a&&b.call(c,a)}function sa(a,b){null==b?m("30"):void 0;if(null==a)return b;if(Array.isArray(a)){if(Array.isArray(b))return a.push.apply(a,b),a;a.push(b);return a}return Array.isArray(b)?[a].concat(b):[a,b]}function jb(a){a=a.target||a.srcElement||window;a.correspondingUseElement&&(a=a.correspondingUseElement);return 3===
-a.nodeType?a.parentNode:a}function sd(a,b){return a(b)}function kc(a,b,c,d,e,f){return a(b,c,d,e,f)}function ff(){if(t._hasRethrowError){var a=t._rethrowError;t._rethrowError=null;t._hasRethrowError=!1;throw a;}}function td(a,b,c,d,e,f,g,h,m){t._hasCaughtError=!1;t._caughtError=null;var k=Array.prototype.slice.call(arguments,3);try{b.apply(c,k)}catch(T){t._caughtError=T,t._hasCaughtError=!0}}function Ba(a){if("function"===typeof a.getName)return a.getName();if("number"===typeof a.tag){a=a.type;if("string"===
-typeof a)return a;if("function"===typeof a)return a.displayName||a.name}return null}function ka(){}function m(a){for(var b=arguments.length-1,c="Minified React error #"+a+"; visit http://facebook.github.io/react/docs/error-decoder.html?invariant\x3d"+a,d=0;d<b;d++)c+="\x26args[]\x3d"+encodeURIComponent(arguments[d+1]);b=Error(c+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings.");b.name="Invariant Violation";b.framesToPop=1;throw b;}function Sc(a){switch(a){case "svg":return"http://www.w3.org/2000/svg";
-case "math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function ud(){if(kb)for(var a in ta){var b=ta[a],c=kb.indexOf(a);-1<c?void 0:m("96",a);if(!ha.plugins[c]){b.extractEvents?void 0:m("97",a);ha.plugins[c]=b;c=b.eventTypes;for(var d in c){var e=void 0;var f=c[d],g=b,h=d;ha.eventNameDispatchConfigs.hasOwnProperty(h)?m("99",h):void 0;ha.eventNameDispatchConfigs[h]=f;var k=f.phasedRegistrationNames;if(k){for(e in k)k.hasOwnProperty(e)&&vd(k[e],g,h);e=!0}else f.registrationName?
-(vd(f.registrationName,g,h),e=!0):e=!1;e?void 0:m("98",d,a)}}}}function vd(a,b,c){ha.registrationNameModules[a]?m("100",a):void 0;ha.registrationNameModules[a]=b;ha.registrationNameDependencies[a]=b.eventTypes[c].dependencies}function lb(a){return function(){return a}}function ua(a,b){return(a&b)===b}function wd(a){for(var b;b=a._renderedComponent;)a=b;return a}function xd(a,b){a=wd(a);a._hostNode=b;b[M]=a}function lc(a,b){if(!(a._flags&yd.hasCachedChildNodes)){var c=a._renderedChildren;b=b.firstChild;
-var d;a:for(d in c)if(c.hasOwnProperty(d)){var e=c[d],f=wd(e)._domID;if(0!==f){for(;null!==b;b=b.nextSibling){var g=b,h=f;if(1===g.nodeType&&g.getAttribute(gf)===""+h||8===g.nodeType&&g.nodeValue===" react-text: "+h+" "||8===g.nodeType&&g.nodeValue===" react-empty: "+h+" "){xd(e,b);continue a}}m("32",f)}}a._flags|=yd.hasCachedChildNodes}}function zd(a){if(a[M])return a[M];for(var b=[];!a[M];)if(b.push(a),a.parentNode)a=a.parentNode;else return null;var c=a[M];if(5===c.tag||6===c.tag)return c;for(;a&&
-(c=a[M]);a=b.pop()){var d=c;b.length&&lc(c,a)}return d}function mb(a){var b=a;if(a.alternate)for(;b["return"];)b=b["return"];else{if(0!==(b.effectTag&2))return 1;for(;b["return"];)if(b=b["return"],0!==(b.effectTag&2))return 1}return 3===b.tag?2:3}function Ad(a){2!==mb(a)?m("188"):void 0}function mc(a){var b=a.alternate;if(!b)return b=mb(a),3===b?m("188"):void 0,1===b?null:a;for(var c=a,d=b;;){var e=c["return"],f=e?e.alternate:null;if(!e||!f)break;if(e.child===f.child){for(var g=e.child;g;){if(g===
-c)return Ad(e),a;if(g===d)return Ad(e),b;g=g.sibling}m("188")}if(c["return"]!==d["return"])c=e,d=f;else{g=!1;for(var h=e.child;h;){if(h===c){g=!0;c=e;d=f;break}if(h===d){g=!0;d=e;c=f;break}h=h.sibling}if(!g){for(h=f.child;h;){if(h===c){g=!0;c=f;d=e;break}if(h===d){g=!0;d=f;c=e;break}h=h.sibling}g?void 0:m("189")}}c.alternate!==d?m("190"):void 0}3!==c.tag?m("188"):void 0;return c.stateNode.current===c?a:b}function Bd(a,b,c,d){b=a.type||"unknown-event";a.currentTarget=nc.getNodeFromInstance(d);Cd.invokeGuardedCallbackAndCatchFirstError(b,
-c,void 0,a);a.currentTarget=null}function Dd(a){if(a=Ga.getInstanceFromNode(a))if("number"===typeof a.tag){nb&&"function"===typeof nb.restoreControlledState?void 0:m("194");var b=Ga.getFiberCurrentPropsFromNode(a.stateNode);nb.restoreControlledState(a.stateNode,a.type,b)}else"function"!==typeof a.restoreControlledState?m("195"):void 0,a.restoreControlledState()}function Ed(a,b){return sd(a,b)}function hf(a){var b=a.targetInst;do{if(!b){a.ancestors.push(b);break}var c=b;if("number"===typeof c.tag){for(;c["return"];)c=
-c["return"];c=3!==c.tag?null:c.stateNode.containerInfo}else{for(;c._hostParent;)c=c._hostParent;c=N.getNodeFromInstance(c).parentNode}if(!c)break;a.ancestors.push(b);b=N.getClosestInstanceFromNode(c)}while(b);for(c=0;c<a.ancestors.length;c++)b=a.ancestors[c],ia._handleTopLevel(a.topLevelType,b,a.nativeEvent,jb(a.nativeEvent))}function Fd(a,b,c){switch(a){case "onClick":case "onClickCapture":case "onDoubleClick":case "onDoubleClickCapture":case "onMouseDown":case "onMouseDownCapture":case "onMouseMove":case "onMouseMoveCapture":case "onMouseUp":case "onMouseUpCapture":return!(!c.disabled||
-"button"!==b&&"input"!==b&&"select"!==b&&"textarea"!==b);default:return!1}}function ob(a,b){var c={};c[a.toLowerCase()]=b.toLowerCase();c["Webkit"+a]="webkit"+b;c["Moz"+a]="moz"+b;c["ms"+a]="MS"+b;c["O"+a]="o"+b.toLowerCase();return c}function Gd(a){Object.prototype.hasOwnProperty.call(a,pb)||(a[pb]=jf++,Hd[a[pb]]={});return Hd[a[pb]]}function kf(a){if(Id.hasOwnProperty(a))return!0;if(Jd.hasOwnProperty(a))return!1;if(lf.test(a))return Id[a]=!0;Jd[a]=!0;return!1}function Kd(){return null}function mf(a){var b=
-"";Za.Children.forEach(a,function(a){null==a||"string"!==typeof a&&"number"!==typeof a||(b+=a)});return b}function va(a,b,c){a=a.options;if(b){b={};for(var d=0;d<c.length;d++)b["$"+c[d]]=!0;for(c=0;c<a.length;c++)d=b.hasOwnProperty("$"+a[c].value),a[c].selected!==d&&(a[c].selected=d)}else{c=""+c;b=null;for(d=0;d<a.length;d++){if(a[d].value===c){a[d].selected=!0;return}null!==b||a[d].disabled||(b=a[d])}null!==b&&(b.selected=!0)}}function Ld(a){var b=a.type;return(a=a.nodeName)&&"input"===a.toLowerCase()&&
-("checkbox"===b||"radio"===b)}function nf(a){var b=Ld(a)?"checked":"value",c=Object.getOwnPropertyDescriptor(a.constructor.prototype,b),d=""+a[b];if(!a.hasOwnProperty(b)&&"function"===typeof c.get&&"function"===typeof c.set)return Object.defineProperty(a,b,{enumerable:c.enumerable,configurable:!0,get:function(){return c.get.call(this)},set:function(a){d=""+a;c.set.call(this,a)}}),{getValue:function(){return d},setValue:function(a){d=""+a},stopTracking:function(){a._valueTracker=null;delete a[b]}}}
-function R(a,b){of(b,9===a.nodeType||11===a.nodeType?a:a.ownerDocument)}function gc(a,b){return 2!==a&&1!==a||2!==b&&1!==b?0===a&&0!==b?-255:0!==a&&0===b?255:a-b:0}function Md(){return{first:null,last:null,hasForceUpdate:!1,callbackList:null}}function oc(a,b,c,d){null!==c?c.next=b:(b.next=a.first,a.first=b);null!==d?b.next=d:a.last=b}function Nd(a,b){b=b.priorityLevel;var c=null;if(null!==a.last&&0>=gc(a.last.priorityLevel,b))c=a.last;else for(a=a.first;null!==a&&0>=gc(a.priorityLevel,b);)c=a,a=a.next;
-return c}function hb(a,b){var c=a.alternate,d=a.updateQueue;null===d&&(d=a.updateQueue=Md());null!==c?(a=c.updateQueue,null===a&&(a=c.updateQueue=Md())):a=null;pc=d;qc=a!==d?a:null;var e=pc;c=qc;var f=Nd(e,b),g=null!==f?f.next:e.first;if(null===c)return oc(e,b,f,g),null;d=Nd(c,b);a=null!==d?d.next:c.first;oc(e,b,f,g);if(g===a&&null!==g||f===d&&null!==f)return null===d&&(c.first=b),null===a&&(c.last=null),null;b={priorityLevel:b.priorityLevel,partialState:b.partialState,callback:b.callback,isReplace:b.isReplace,
-isForced:b.isForced,isTopLevelUnmount:b.isTopLevelUnmount,next:null};oc(c,b,d,a);return b}function nd(a,b,c,d){a=a.partialState;return"function"===typeof a?a.call(b,c,d):a}function Ea(a){return 2===a.tag&&null!=a.type.childContextTypes}function kd(a,b){var c=a.stateNode,d=a.type.childContextTypes;if("function"!==typeof c.getChildContext)return b;c=c.getChildContext();for(var e in c)e in d?void 0:m("108",Ba(a)||"Unknown",e);return q({},b,c)}function F(a,b,c){this.tag=a;this.key=b;this.stateNode=this.type=
-null;this.sibling=this.child=this["return"]=null;this.index=0;this.memoizedState=this.updateQueue=this.memoizedProps=this.pendingProps=this.ref=null;this.internalContextTag=c;this.effectTag=0;this.lastEffect=this.firstEffect=this.nextEffect=null;this.pendingWorkPriority=0;this.alternate=null}function Ia(a){if(null===a||"undefined"===typeof a)return null;a=Od&&a[Od]||a["@@iterator"];return"function"===typeof a?a:null}function Ja(a,b){var c=b.ref;if(null!==c&&"function"!==typeof c){if(b._owner){b=b._owner;
-var d=void 0;b&&("number"===typeof b.tag?(2!==b.tag?m("110"):void 0,d=b.stateNode):d=b.getPublicInstance());d?void 0:m("147",c);var e=""+c;if(null!==a&&null!==a.ref&&a.ref._stringRef===e)return a.ref;a=function(a){var b=d.refs===ba?d.refs={}:d.refs;null===a?delete b[e]:b[e]=a};a._stringRef=e;return a}"string"!==typeof c?m("148"):void 0;b._owner?void 0:m("149",c)}return c}function qb(a,b){"textarea"!==a.type&&m("31","[object Object]"===Object.prototype.toString.call(b)?"object with keys {"+Object.keys(b).join(", ")+
-"}":b,"")}function rc(a,b){function c(c,d){if(b){if(!a){if(null===d.alternate)return;d=d.alternate}var e=c.lastEffect;null!==e?(e.nextEffect=d,c.lastEffect=d):c.firstEffect=c.lastEffect=d;d.nextEffect=null;d.effectTag=8}}function d(a,d){if(!b)return null;for(;null!==d;)c(a,d),d=d.sibling;return null}function e(a,b){for(a=new Map;null!==b;)null!==b.key?a.set(b.key,b):a.set(b.index,b),b=b.sibling;return a}function f(b,c){if(a)return b=$b(b,c),b.index=0,b.sibling=null,b;b.pendingWorkPriority=c;b.effectTag=
-0;b.index=0;b.sibling=null;return b}function g(a,c,d){a.index=d;if(!b)return c;d=a.alternate;if(null!==d)return d=d.index,d<c?(a.effectTag=2,c):d;a.effectTag=2;return c}function h(a){b&&null===a.alternate&&(a.effectTag=2);return a}function k(a,b,c,d){if(null===b||6!==b.tag)return c=ec(c,a.internalContextTag,d),c["return"]=a,c;b=f(b,d);b.pendingProps=c;b["return"]=a;return b}function l(a,b,c,d){if(null===b||b.type!==c.type)return d=fc(c,a.internalContextTag,d),d.ref=Ja(b,c),d["return"]=a,d;d=f(b,d);
-d.ref=Ja(b,c);d.pendingProps=c.props;d["return"]=a;return d}function r(a,b,c,d){if(null===b||7!==b.tag)return c=dc(c,a.internalContextTag,d),c["return"]=a,c;b=f(b,d);b.pendingProps=c;b["return"]=a;return b}function q(a,b,c,d){if(null===b||9!==b.tag)return b=new F(9,null,a.internalContextTag),b.type=c.value,b["return"]=a,b;b=f(b,d);b.type=c.value;b["return"]=a;return b}function t(a,b,c,d){if(null===b||4!==b.tag||b.stateNode.containerInfo!==c.containerInfo||b.stateNode.implementation!==c.implementation)return c=
-cc(c,a.internalContextTag,d),c["return"]=a,c;b=f(b,d);b.pendingProps=c.children||[];b["return"]=a;return b}function w(a,b,c,d){if(null===b||10!==b.tag)return c=md(c,a.internalContextTag,d),c["return"]=a,c;b=f(b,d);b.pendingProps=c;b["return"]=a;return b}function z(a,b,c){if("string"===typeof b||"number"===typeof b)return b=ec(""+b,a.internalContextTag,c),b["return"]=a,b;if("object"===typeof b&&null!==b){switch(b.$$typeof){case rb:return c=fc(b,a.internalContextTag,c),c.ref=Ja(null,b),c["return"]=
-a,c;case sb:return b=dc(b,a.internalContextTag,c),b["return"]=a,b;case tb:return c=new F(9,null,a.internalContextTag),c.type=b.value,c["return"]=a,c;case ub:return b=cc(b,a.internalContextTag,c),b["return"]=a,b}if(vb(b)||Ia(b))return b=md(b,a.internalContextTag,c),b["return"]=a,b;qb(a,b)}return null}function A(a,b,c,d){var e=null!==b?b.key:null;if("string"===typeof c||"number"===typeof c)return null!==e?null:k(a,b,""+c,d);if("object"===typeof c&&null!==c){switch(c.$$typeof){case rb:return c.key===
-e?l(a,b,c,d):null;case sb:return c.key===e?r(a,b,c,d):null;case tb:return null===e?q(a,b,c,d):null;case ub:return c.key===e?t(a,b,c,d):null}if(vb(c)||Ia(c))return null!==e?null:w(a,b,c,d);qb(a,c)}return null}function B(a,b,c,d,e){if("string"===typeof d||"number"===typeof d)return a=a.get(c)||null,k(b,a,""+d,e);if("object"===typeof d&&null!==d){switch(d.$$typeof){case rb:return a=a.get(null===d.key?c:d.key)||null,l(b,a,d,e);case sb:return a=a.get(null===d.key?c:d.key)||null,r(b,a,d,e);case tb:return a=
-a.get(c)||null,q(b,a,d,e);case ub:return a=a.get(null===d.key?c:d.key)||null,t(b,a,d,e)}if(vb(d)||Ia(d))return a=a.get(c)||null,w(b,a,d,e);qb(b,d)}return null}function C(a,f,h,m){for(var p=null,n=null,l=f,k=f=0,v=null;null!==l&&k<h.length;k++){l.index>k?(v=l,l=null):v=l.sibling;var r=A(a,l,h[k],m);if(null===r){null===l&&(l=v);break}b&&l&&null===r.alternate&&c(a,l);f=g(r,f,k);null===n?p=r:n.sibling=r;n=r;l=v}if(k===h.length)return d(a,l),p;if(null===l){for(;k<h.length;k++)if(l=z(a,h[k],m))f=g(l,f,
-k),null===n?p=l:n.sibling=l,n=l;return p}for(l=e(a,l);k<h.length;k++)if(v=B(l,a,k,h[k],m)){if(b&&null!==v.alternate)l["delete"](null===v.key?k:v.key);f=g(v,f,k);null===n?p=v:n.sibling=v;n=v}b&&l.forEach(function(b){return c(a,b)});return p}function x(a,f,h,l){var p=Ia(h);"function"!==typeof p?m("150"):void 0;h=p.call(h);null==h?m("151"):void 0;for(var n=p=null,k=f,v=f=0,r=null,q=h.next();null!==k&&!q.done;v++,q=h.next()){k.index>v?(r=k,k=null):r=k.sibling;var t=A(a,k,q.value,l);if(null===t){k||(k=
-r);break}b&&k&&null===t.alternate&&c(a,k);f=g(t,f,v);null===n?p=t:n.sibling=t;n=t;k=r}if(q.done)return d(a,k),p;if(null===k){for(;!q.done;v++,q=h.next())q=z(a,q.value,l),null!==q&&(f=g(q,f,v),null===n?p=q:n.sibling=q,n=q);return p}for(k=e(a,k);!q.done;v++,q=h.next())if(q=B(k,a,v,q.value,l),null!==q){if(b&&null!==q.alternate)k["delete"](null===q.key?v:q.key);f=g(q,f,v);null===n?p=q:n.sibling=q;n=q}b&&k.forEach(function(b){return c(a,b)});return p}return function(a,b,e,g){var k="object"===typeof e&&
-null!==e;if(k)switch(e.$$typeof){case rb:a:{var l=e.key;for(k=b;null!==k;){if(k.key===l)if(k.type===e.type){d(a,k.sibling);b=f(k,g);b.ref=Ja(k,e);b.pendingProps=e.props;b["return"]=a;a=b;break a}else{d(a,k);break}else c(a,k);k=k.sibling}g=fc(e,a.internalContextTag,g);g.ref=Ja(b,e);g["return"]=a;a=g}return h(a);case sb:a:{for(k=e.key;null!==b;){if(b.key===k)if(7===b.tag){d(a,b.sibling);b=f(b,g);b.pendingProps=e;b["return"]=a;a=b;break a}else{d(a,b);break}else c(a,b);b=b.sibling}e=dc(e,a.internalContextTag,
-g);e["return"]=a;a=e}return h(a);case tb:a:{if(null!==b)if(9===b.tag){d(a,b.sibling);b=f(b,g);b.type=e.value;b["return"]=a;a=b;break a}else d(a,b);b=new F(9,null,a.internalContextTag);b.type=e.value;b["return"]=a;a=b}return h(a);case ub:a:{for(k=e.key;null!==b;){if(b.key===k)if(4===b.tag&&b.stateNode.containerInfo===e.containerInfo&&b.stateNode.implementation===e.implementation){d(a,b.sibling);b=f(b,g);b.pendingProps=e.children||[];b["return"]=a;a=b;break a}else{d(a,b);break}else c(a,b);b=b.sibling}e=
-cc(e,a.internalContextTag,g);e["return"]=a;a=e}return h(a)}if("string"===typeof e||"number"===typeof e)return e=""+e,null!==b&&6===b.tag?(d(a,b.sibling),b=f(b,g),b.pendingProps=e,b["return"]=a,a=b):(d(a,b),e=ec(e,a.internalContextTag,g),e["return"]=a,a=e),h(a);if(vb(e))return C(a,b,e,g);if(Ia(e))return x(a,b,e,g);k&&qb(a,e);if("undefined"===typeof e)switch(a.tag){case 2:case 1:e=a.type,m("152",e.displayName||e.name||"Component")}return d(a,b)}}function ld(a,b){return a===b?0!==a||0!==b||1/a===1/b:
-a!==a&&b!==b}function Pd(a){return function(b){try{return a(b)}catch(c){}}}function sc(a){if(!a)return ba;a=fa.get(a);return"number"===typeof a.tag?$c(a):a._processChildContext(a._context)}function Zc(a){for(;a&&a.firstChild;)a=a.firstChild;return a}function Qd(a,b){return a&&b?a===b?!0:Wc(a)?!1:Wc(b)?Qd(a,b.parentNode):"contains"in a?a.contains(b):a.compareDocumentPosition?!!(a.compareDocumentPosition(b)&16):!1:!1}function C(a){if(void 0!==a._hostParent)return a._hostParent;if("number"===typeof a.tag){do a=
-a["return"];while(a&&5!==a.tag);if(a)return a}return null}function Rd(a,b){for(var c=0,d=a;d;d=C(d))c++;d=0;for(var e=b;e;e=C(e))d++;for(;0<c-d;)a=C(a),c--;for(;0<d-c;)b=C(b),d--;for(;c--;){if(a===b||a===b.alternate)return a;a=C(a);b=C(b)}return null}function Sd(a,b,c){if(b=Td(a,c.dispatchConfig.phasedRegistrationNames[b]))c._dispatchListeners=sa(c._dispatchListeners,b),c._dispatchInstances=sa(c._dispatchInstances,a)}function pf(a){a&&a.dispatchConfig.phasedRegistrationNames&&wb.traverseTwoPhase(a._targetInst,
-Sd,a)}function qf(a){if(a&&a.dispatchConfig.phasedRegistrationNames){var b=a._targetInst;b=b?wb.getParentInstance(b):null;wb.traverseTwoPhase(b,Sd,a)}}function Ud(a,b,c){a&&c&&c.dispatchConfig.registrationName&&(b=Td(a,c.dispatchConfig.registrationName))&&(c._dispatchListeners=sa(c._dispatchListeners,b),c._dispatchInstances=sa(c._dispatchInstances,a))}function rf(a){a&&a.dispatchConfig.registrationName&&Ud(a._targetInst,null,a)}function Ka(a,b,c,d){this.dispatchConfig=a;this._targetInst=b;this.nativeEvent=
-c;a=this.constructor.Interface;for(var e in a)a.hasOwnProperty(e)&&((b=a[e])?this[e]=b(c):"target"===e?this.target=d:this[e]=c[e]);this.isDefaultPrevented=(null!=c.defaultPrevented?c.defaultPrevented:!1===c.returnValue)?w.thatReturnsTrue:w.thatReturnsFalse;this.isPropagationStopped=w.thatReturnsFalse;return this}function sf(a,b,c,d){if(this.eventPool.length){var e=this.eventPool.pop();this.call(e,a,b,c,d);return e}return new this(a,b,c,d)}function tf(a){a instanceof this?void 0:m("223");a.destructor();
-10>this.eventPool.length&&this.eventPool.push(a)}function Vd(a){a.eventPool=[];a.getPooled=sf;a.release=tf}function Wd(a,b,c,d){return O.call(this,a,b,c,d)}function Xd(a,b,c,d){return O.call(this,a,b,c,d)}function uf(){var a=window.opera;return"object"===typeof a&&"function"===typeof a.version&&12>=parseInt(a.version(),10)}function Yd(a,b){switch(a){case "topKeyUp":return-1!==vf.indexOf(b.keyCode);case "topKeyDown":return 229!==b.keyCode;case "topKeyPress":case "topMouseDown":case "topBlur":return!0;
-default:return!1}}function Zd(a){a=a.detail;return"object"===typeof a&&"data"in a?a.data:null}function wf(a,b){switch(a){case "topCompositionEnd":return Zd(b);case "topKeyPress":if(32!==b.which)return null;$d=!0;return ae;case "topTextInput":return a=b.data,a===ae&&$d?null:a;default:return null}}function xf(a,b){if(wa)return"topCompositionEnd"===a||!tc&&Yd(a,b)?(a=xb.getData(),xb.reset(),wa=!1,a):null;switch(a){case "topPaste":return null;case "topKeyPress":if(!(b.ctrlKey||b.altKey||b.metaKey)||b.ctrlKey&&
-b.altKey){if(b.char&&1<b.char.length)return b.char;if(b.which)return String.fromCharCode(b.which)}return null;case "topCompositionEnd":return be?null:b.data;default:return null}}function ce(a,b,c){a=O.getPooled(de.change,a,b,c);a.type="change";yb.enqueueStateRestore(c);la.accumulateTwoPhaseDispatches(a);return a}function yf(a){X.enqueueEvents(a);X.processEventQueue(!1)}function zb(a){var b=N.getNodeFromInstance(a);if(xa.updateValueIfChanged(b))return a}function zf(a,b){if("topChange"===a)return b}
-function ee(){La&&(La.detachEvent("onpropertychange",fe),Ma=La=null)}function fe(a){"value"===a.propertyName&&zb(Ma)&&(a=ce(Ma,a,jb(a)),Ab.batchedUpdates(yf,a))}function Af(a,b,c){"topFocus"===a?(ee(),La=b,Ma=c,La.attachEvent("onpropertychange",fe)):"topBlur"===a&&ee()}function Bf(a){if("topSelectionChange"===a||"topKeyUp"===a||"topKeyDown"===a)return zb(Ma)}function Cf(a,b){if("topClick"===a)return zb(b)}function Df(a,b){if("topInput"===a||"topChange"===a)return zb(b)}function ge(a,b,c,d){return O.call(this,
-a,b,c,d)}function Ne(a){var b=this.nativeEvent;return b.getModifierState?b.getModifierState(a):(a=Ef[a])?!!b[a]:!1}function he(a,b,c,d){return Y.call(this,a,b,c,d)}function ie(a,b){if(uc||null==ya||ya!==Qb())return null;var c=ya;"selectionStart"in c&&vc.hasSelectionCapabilities(c)?c={start:c.selectionStart,end:c.selectionEnd}:window.getSelection?(c=window.getSelection(),c={anchorNode:c.anchorNode,anchorOffset:c.anchorOffset,focusNode:c.focusNode,focusOffset:c.focusOffset}):c=void 0;return Na&&bc(Na,
-c)?null:(Na=c,a=O.getPooled(je.select,wc,a,b),a.type="select",a.target=ya,la.accumulateTwoPhaseDispatches(a),a)}function ke(a,b,c,d){return O.call(this,a,b,c,d)}function le(a,b,c,d){return O.call(this,a,b,c,d)}function me(a,b,c,d){return Y.call(this,a,b,c,d)}function ne(a,b,c,d){return Y.call(this,a,b,c,d)}function oe(a,b,c,d){return ma.call(this,a,b,c,d)}function pe(a,b,c,d){return Y.call(this,a,b,c,d)}function qe(a,b,c,d){return O.call(this,a,b,c,d)}function re(a,b,c,d){return ma.call(this,a,b,
-c,d)}function xc(a){return!(!a||1!==a.nodeType&&9!==a.nodeType&&11!==a.nodeType&&(8!==a.nodeType||" react-mount-point-unstable "!==a.nodeValue))}function Ff(a){a=a?9===a.nodeType?a.documentElement:a.firstChild:null;return!(!a||1!==a.nodeType||!a.hasAttribute(Gf))}function Bb(a,b,c,d,e){xc(c)?void 0:m("200");var f=c._reactRootContainer;if(f)B.updateContainer(b,f,a,e);else{if(!d&&!Ff(c))for(d=void 0;d=c.lastChild;)c.removeChild(d);var g=B.createContainer(c);f=c._reactRootContainer=g;B.unbatchedUpdates(function(){B.updateContainer(b,
-g,a,e)})}return B.getPublicRootInstance(f)}function se(a,b){var c=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;xc(b)?void 0:m("200");return te.createPortal(a,b,null,c)}Za?void 0:m("227");var z=!("undefined"===typeof window||!window.document||!window.document.createElement),q=Za.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.assign,kb=null,ta={},ha={plugins:[],eventNameDispatchConfigs:{},registrationNameModules:{},registrationNameDependencies:{},possibleRegistrationNames:null,injectEventPluginOrder:function(a){kb?
-m("101"):void 0;kb=Array.prototype.slice.call(a);ud()},injectEventPluginsByName:function(a){var b=!1,c;for(c in a)if(a.hasOwnProperty(c)){var d=a[c];ta.hasOwnProperty(c)&&ta[c]===d||(ta[c]?m("102",c):void 0,ta[c]=d,b=!0)}b&&ud()}},na=ha;ka.thatReturns=lb;ka.thatReturnsFalse=lb(!1);ka.thatReturnsTrue=lb(!0);ka.thatReturnsNull=lb(null);ka.thatReturnsThis=function(){return this};ka.thatReturnsArgument=function(a){return a};var w=ka,ue={listen:function(a,b,c){if(a.addEventListener)return a.addEventListener(b,
-c,!1),{remove:function(){a.removeEventListener(b,c,!1)}};if(a.attachEvent)return a.attachEvent("on"+b,c),{remove:function(){a.detachEvent("on"+b,c)}}},capture:function(a,b,c){return a.addEventListener?(a.addEventListener(b,c,!0),{remove:function(){a.removeEventListener(b,c,!0)}}):{remove:w}},registerDefault:function(){}},Hf={children:!0,dangerouslySetInnerHTML:!0,autoFocus:!0,defaultValue:!0,defaultChecked:!0,innerHTML:!0,suppressContentEditableWarning:!0,style:!0},ve={MUST_USE_PROPERTY:1,HAS_BOOLEAN_VALUE:4,
-HAS_NUMERIC_VALUE:8,HAS_POSITIVE_NUMERIC_VALUE:24,HAS_OVERLOADED_BOOLEAN_VALUE:32,HAS_STRING_BOOLEAN_VALUE:64,injectDOMPropertyConfig:function(a){var b=ve,c=a.Properties||{},d=a.DOMAttributeNamespaces||{},e=a.DOMAttributeNames||{};a=a.DOMMutationMethods||{};for(var f in c){aa.properties.hasOwnProperty(f)?m("48",f):void 0;var g=f.toLowerCase(),h=c[f];g={attributeName:g,attributeNamespace:null,propertyName:f,mutationMethod:null,mustUseProperty:ua(h,b.MUST_USE_PROPERTY),hasBooleanValue:ua(h,b.HAS_BOOLEAN_VALUE),
-hasNumericValue:ua(h,b.HAS_NUMERIC_VALUE),hasPositiveNumericValue:ua(h,b.HAS_POSITIVE_NUMERIC_VALUE),hasOverloadedBooleanValue:ua(h,b.HAS_OVERLOADED_BOOLEAN_VALUE),hasStringBooleanValue:ua(h,b.HAS_STRING_BOOLEAN_VALUE)};1>=g.hasBooleanValue+g.hasNumericValue+g.hasOverloadedBooleanValue?void 0:m("50",f);e.hasOwnProperty(f)&&(g.attributeName=e[f]);d.hasOwnProperty(f)&&(g.attributeNamespace=d[f]);a.hasOwnProperty(f)&&(g.mutationMethod=a[f]);aa.properties[f]=g}}},aa={ID_ATTRIBUTE_NAME:"data-reactid",
-ROOT_ATTRIBUTE_NAME:"data-reactroot",ATTRIBUTE_NAME_START_CHAR:":A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD",ATTRIBUTE_NAME_CHAR:":A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040",properties:{},shouldSetAttribute:function(a,
-b){if(aa.isReservedProp(a)||!("o"!==a[0]&&"O"!==a[0]||"n"!==a[1]&&"N"!==a[1]))return!1;if(null===b)return!0;switch(typeof b){case "boolean":return aa.shouldAttributeAcceptBooleanValue(a);case "undefined":case "number":case "string":case "object":return!0;default:return!1}},getPropertyInfo:function(a){return aa.properties.hasOwnProperty(a)?aa.properties[a]:null},shouldAttributeAcceptBooleanValue:function(a){if(aa.isReservedProp(a))return!0;var b=aa.getPropertyInfo(a);if(b)return b.hasBooleanValue||
-b.hasStringBooleanValue||b.hasOverloadedBooleanValue;a=a.toLowerCase().slice(0,5);return"data-"===a||"aria-"===a},isReservedProp:function(a){return Hf.hasOwnProperty(a)},injection:ve},A=aa,gf=A.ID_ATTRIBUTE_NAME,yd={hasCachedChildNodes:1},we=Math.random().toString(36).slice(2),M="__reactInternalInstance$"+we,xe="__reactEventHandlers$"+we,N={getClosestInstanceFromNode:zd,getInstanceFromNode:function(a){var b=a[M];if(b)return 5===b.tag||6===b.tag?b:b._hostNode===a?b:null;b=zd(a);return null!=b&&b._hostNode===
-a?b:null},getNodeFromInstance:function(a){if(5===a.tag||6===a.tag)return a.stateNode;void 0===a._hostNode?m("33"):void 0;if(a._hostNode)return a._hostNode;for(var b=[];!a._hostNode;)b.push(a),a._hostParent?void 0:m("34"),a=a._hostParent;for(;b.length;a=b.pop())lc(a,a._hostNode);return a._hostNode},precacheChildNodes:lc,precacheNode:xd,uncacheNode:function(a){var b=a._hostNode;b&&(delete b[M],a._hostNode=null)},precacheFiberNode:function(a,b){b[M]=a},getFiberCurrentPropsFromNode:function(a){return a[xe]||
-null},updateFiberProps:function(a,b){a[xe]=b}},fa={remove:function(a){a._reactInternalFiber=void 0},get:function(a){return a._reactInternalFiber},has:function(a){return void 0!==a._reactInternalFiber},set:function(a,b){a._reactInternalFiber=b}},yc={ReactCurrentOwner:Za.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner},Oa={isFiberMounted:function(a){return 2===mb(a)},isMounted:function(a){return(a=fa.get(a))?2===mb(a):!1},findCurrentFiberUsingSlowPath:mc,findCurrentHostFiber:function(a){a=
-mc(a);if(!a)return null;for(var b=a;;){if(5===b.tag||6===b.tag)return b;if(b.child)b.child["return"]=b,b=b.child;else{if(b===a)break;for(;!b.sibling;){if(!b["return"]||b["return"]===a)return null;b=b["return"]}b.sibling["return"]=b["return"];b=b.sibling}}return null},findCurrentHostFiberWithNoPortals:function(a){a=mc(a);if(!a)return null;for(var b=a;;){if(5===b.tag||6===b.tag)return b;if(b.child&&4!==b.tag)b.child["return"]=b,b=b.child;else{if(b===a)break;for(;!b.sibling;){if(!b["return"]||b["return"]===
-a)return null;b=b["return"]}b.sibling["return"]=b["return"];b=b.sibling}}return null}},t={_caughtError:null,_hasCaughtError:!1,_rethrowError:null,_hasRethrowError:!1,injection:{injectErrorUtils:function(a){"function"!==typeof a.invokeGuardedCallback?m("197"):void 0;td=a.invokeGuardedCallback}},invokeGuardedCallback:function(a,b,c,d,e,f,g,h,k){td.apply(t,arguments)},invokeGuardedCallbackAndCatchFirstError:function(a,b,c,d,e,f,g,h,k){t.invokeGuardedCallback.apply(this,arguments);if(t.hasCaughtError()){var l=
-t.clearCaughtError();t._hasRethrowError||(t._hasRethrowError=!0,t._rethrowError=l)}},rethrowCaughtError:function(){return ff.apply(t,arguments)},hasCaughtError:function(){return t._hasCaughtError},clearCaughtError:function(){if(t._hasCaughtError){var a=t._caughtError;t._caughtError=null;t._hasCaughtError=!1;return a}m("198")}},Cd=t,Cb,nc={isEndish:function(a){return"topMouseUp"===a||"topTouchEnd"===a||"topTouchCancel"===a},isMoveish:function(a){return"topMouseMove"===a||"topTouchMove"===a},isStartish:function(a){return"topMouseDown"===
-a||"topTouchStart"===a},executeDirectDispatch:function(a){var b=a._dispatchListeners,c=a._dispatchInstances;Array.isArray(b)?m("103"):void 0;a.currentTarget=b?nc.getNodeFromInstance(c):null;b=b?b(a):null;a.currentTarget=null;a._dispatchListeners=null;a._dispatchInstances=null;return b},executeDispatchesInOrder:function(a,b){var c=a._dispatchListeners,d=a._dispatchInstances;if(Array.isArray(c))for(var e=0;e<c.length&&!a.isPropagationStopped();e++)Bd(a,b,c[e],d[e]);else c&&Bd(a,b,c,d);a._dispatchListeners=
-null;a._dispatchInstances=null},executeDispatchesInOrderStopAtTrue:function(a){a:{var b=a._dispatchListeners;var c=a._dispatchInstances;if(Array.isArray(b))for(var d=0;d<b.length&&!a.isPropagationStopped();d++){if(b[d](a,c[d])){b=c[d];break a}}else if(b&&b(a,c)){b=c;break a}b=null}a._dispatchInstances=null;a._dispatchListeners=null;return b},hasDispatches:function(a){return!!a._dispatchListeners},getFiberCurrentPropsFromNode:function(a){return Cb.getFiberCurrentPropsFromNode(a)},getInstanceFromNode:function(a){return Cb.getInstanceFromNode(a)},
-getNodeFromInstance:function(a){return Cb.getNodeFromInstance(a)},injection:{injectComponentTree:function(a){Cb=a}}},Ga=nc,nb=null,Pa=null,Qa=null,yb={injection:{injectFiberControlledHostComponent:function(a){nb=a}},enqueueStateRestore:function(a){Pa?Qa?Qa.push(a):Qa=[a]:Pa=a},restoreStateIfNeeded:function(){if(Pa){var a=Pa,b=Qa;Qa=Pa=null;Dd(a);if(b)for(a=0;a<b.length;a++)Dd(b[a])}}},zc=!1,Ab={batchedUpdates:function(a,b){if(zc)return kc(Ed,a,b);zc=!0;try{return kc(Ed,a,b)}finally{zc=!1,yb.restoreStateIfNeeded()}},
-injection:{injectStackBatchedUpdates:function(a){kc=a},injectFiberBatchedUpdates:function(a){sd=a}}},Db=[],ia={_enabled:!0,_handleTopLevel:null,setHandleTopLevel:function(a){ia._handleTopLevel=a},setEnabled:function(a){ia._enabled=!!a},isEnabled:function(){return ia._enabled},trapBubbledEvent:function(a,b,c){return c?ue.listen(c,b,ia.dispatchEvent.bind(null,a)):null},trapCapturedEvent:function(a,b,c){return c?ue.capture(c,b,ia.dispatchEvent.bind(null,a)):null},dispatchEvent:function(a,b){if(ia._enabled){var c=
-jb(b);c=N.getClosestInstanceFromNode(c);null===c||"number"!==typeof c.tag||Oa.isFiberMounted(c)||(c=null);if(Db.length){var d=Db.pop();d.topLevelType=a;d.nativeEvent=b;d.targetInst=c;a=d}else a={topLevelType:a,nativeEvent:b,targetInst:c,ancestors:[]};try{Ab.batchedUpdates(hf,a)}finally{a.topLevelType=null,a.nativeEvent=null,a.targetInst=null,a.ancestors.length=0,10>Db.length&&Db.push(a)}}}},G=ia,Ra=null,X={injection:{injectEventPluginOrder:na.injectEventPluginOrder,injectEventPluginsByName:na.injectEventPluginsByName},
-getListener:function(a,b){if("number"===typeof a.tag){var c=a.stateNode;if(!c)return null;var d=Ga.getFiberCurrentPropsFromNode(c);if(!d)return null;c=d[b];if(Fd(b,a.type,d))return null}else{d=a._currentElement;if("string"===typeof d||"number"===typeof d||!a._rootNodeID)return null;a=d.props;c=a[b];if(Fd(b,d.type,a))return null}c&&"function"!==typeof c?m("231",b,typeof c):void 0;return c},extractEvents:function(a,b,c,d){for(var e,f=na.plugins,g=0;g<f.length;g++){var h=f[g];h&&(h=h.extractEvents(a,
-b,c,d))&&(e=sa(e,h))}return e},enqueueEvents:function(a){a&&(Ra=sa(Ra,a))},processEventQueue:function(a){var b=Ra;Ra=null;a?Ha(b,ef):Ha(b,df);Ra?m("95"):void 0;Cd.rethrowCaughtError()}},qd;z&&(qd=document.implementation&&document.implementation.hasFeature&&!0!==document.implementation.hasFeature("",""));var ra={animationend:ob("Animation","AnimationEnd"),animationiteration:ob("Animation","AnimationIteration"),animationstart:ob("Animation","AnimationStart"),transitionend:ob("Transition","TransitionEnd")},
-jc={},pd={};z&&(pd=document.createElement("div").style,"AnimationEvent"in window||(delete ra.animationend.animation,delete ra.animationiteration.animation,delete ra.animationstart.animation),"TransitionEvent"in window||delete ra.transitionend.transition);var ye={topAbort:"abort",topAnimationEnd:ib("animationend")||"animationend",topAnimationIteration:ib("animationiteration")||"animationiteration",topAnimationStart:ib("animationstart")||"animationstart",topBlur:"blur",topCancel:"cancel",topCanPlay:"canplay",
-topCanPlayThrough:"canplaythrough",topChange:"change",topClick:"click",topClose:"close",topCompositionEnd:"compositionend",topCompositionStart:"compositionstart",topCompositionUpdate:"compositionupdate",topContextMenu:"contextmenu",topCopy:"copy",topCut:"cut",topDoubleClick:"dblclick",topDrag:"drag",topDragEnd:"dragend",topDragEnter:"dragenter",topDragExit:"dragexit",topDragLeave:"dragleave",topDragOver:"dragover",topDragStart:"dragstart",topDrop:"drop",topDurationChange:"durationchange",topEmptied:"emptied",
-topEncrypted:"encrypted",topEnded:"ended",topError:"error",topFocus:"focus",topInput:"input",topKeyDown:"keydown",topKeyPress:"keypress",topKeyUp:"keyup",topLoadedData:"loadeddata",topLoad:"load",topLoadedMetadata:"loadedmetadata",topLoadStart:"loadstart",topMouseDown:"mousedown",topMouseMove:"mousemove",topMouseOut:"mouseout",topMouseOver:"mouseover",topMouseUp:"mouseup",topPaste:"paste",topPause:"pause",topPlay:"play",topPlaying:"playing",topProgress:"progress",topRateChange:"ratechange",topScroll:"scroll",
-topSeeked:"seeked",topSeeking:"seeking",topSelectionChange:"selectionchange",topStalled:"stalled",topSuspend:"suspend",topTextInput:"textInput",topTimeUpdate:"timeupdate",topToggle:"toggle",topTouchCancel:"touchcancel",topTouchEnd:"touchend",topTouchMove:"touchmove",topTouchStart:"touchstart",topTransitionEnd:ib("transitionend")||"transitionend",topVolumeChange:"volumechange",topWaiting:"waiting",topWheel:"wheel"},Hd={},jf=0,pb="_reactListenersID"+(""+Math.random()).slice(2),l=q({},{handleTopLevel:function(a,
-b,c,d){a=X.extractEvents(a,b,c,d);X.enqueueEvents(a);X.processEventQueue(!1)}},{setEnabled:function(a){G&&G.setEnabled(a)},isEnabled:function(){return!(!G||!G.isEnabled())},listenTo:function(a,b){var c=Gd(b);a=na.registrationNameDependencies[a];for(var d=0;d<a.length;d++){var e=a[d];c.hasOwnProperty(e)&&c[e]||("topWheel"===e?Fa("wheel")?G.trapBubbledEvent("topWheel","wheel",b):Fa("mousewheel")?G.trapBubbledEvent("topWheel","mousewheel",b):G.trapBubbledEvent("topWheel","DOMMouseScroll",b):"topScroll"===
-e?G.trapCapturedEvent("topScroll","scroll",b):"topFocus"===e||"topBlur"===e?(G.trapCapturedEvent("topFocus","focus",b),G.trapCapturedEvent("topBlur","blur",b),c.topBlur=!0,c.topFocus=!0):"topCancel"===e?(Fa("cancel",!0)&&G.trapCapturedEvent("topCancel","cancel",b),c.topCancel=!0):"topClose"===e?(Fa("close",!0)&&G.trapCapturedEvent("topClose","close",b),c.topClose=!0):ye.hasOwnProperty(e)&&G.trapBubbledEvent(e,ye[e],b),c[e]=!0)}},isListeningToAllDependencies:function(a,b){b=Gd(b);a=na.registrationNameDependencies[a];
-for(var c=0;c<a.length;c++){var d=a[c];if(!b.hasOwnProperty(d)||!b[d])return!1}return!0},trapBubbledEvent:function(a,b,c){return G.trapBubbledEvent(a,b,c)},trapCapturedEvent:function(a,b,c){return G.trapCapturedEvent(a,b,c)}}),Sa={animationIterationCount:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,
-gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},If=["Webkit","ms","Moz","O"];Object.keys(Sa).forEach(function(a){If.forEach(function(b){b=b+a.charAt(0).toUpperCase()+a.substring(1);Sa[b]=Sa[a]})});var Jf={background:{backgroundAttachment:!0,
-backgroundColor:!0,backgroundImage:!0,backgroundPositionX:!0,backgroundPositionY:!0,backgroundRepeat:!0},backgroundPosition:{backgroundPositionX:!0,backgroundPositionY:!0},border:{borderWidth:!0,borderStyle:!0,borderColor:!0},borderBottom:{borderBottomWidth:!0,borderBottomStyle:!0,borderBottomColor:!0},borderLeft:{borderLeftWidth:!0,borderLeftStyle:!0,borderLeftColor:!0},borderRight:{borderRightWidth:!0,borderRightStyle:!0,borderRightColor:!0},borderTop:{borderTopWidth:!0,borderTopStyle:!0,borderTopColor:!0},
-font:{fontStyle:!0,fontVariant:!0,fontWeight:!0,fontSize:!0,lineHeight:!0,fontFamily:!0},outline:{outlineWidth:!0,outlineStyle:!0,outlineColor:!0}},ze=!1;if(z){var Kf=document.createElement("div").style;try{Kf.font=""}catch(a){ze=!0}}var Ae={createDangerousStringForStyles:function(){},setValueForStyles:function(a,b){a=a.style;for(var c in b)if(b.hasOwnProperty(c)){var d=0===c.indexOf("--");var e=c;var f=b[c];e=null==f||"boolean"===typeof f||""===f?"":d||"number"!==typeof f||0===f||Sa.hasOwnProperty(e)&&
-Sa[e]?(""+f).trim():f+"px";"float"===c&&(c="cssFloat");if(d)a.setProperty(c,e);else if(e)a[c]=e;else if(d=ze&&Jf[c])for(var g in d)a[g]="";else a[c]=""}}},lf=new RegExp("^["+A.ATTRIBUTE_NAME_START_CHAR+"]["+A.ATTRIBUTE_NAME_CHAR+"]*$"),Jd={},Id={},Ac={setAttributeForID:function(a,b){a.setAttribute(A.ID_ATTRIBUTE_NAME,b)},setAttributeForRoot:function(a){a.setAttribute(A.ROOT_ATTRIBUTE_NAME,"")},getValueForProperty:function(){},getValueForAttribute:function(){},setValueForProperty:function(a,b,c){var d=
-A.getPropertyInfo(b);if(d&&A.shouldSetAttribute(b,c)){var e=d.mutationMethod;e?e(a,c):null==c||d.hasBooleanValue&&!c||d.hasNumericValue&&isNaN(c)||d.hasPositiveNumericValue&&1>c||d.hasOverloadedBooleanValue&&!1===c?Ac.deleteValueForProperty(a,b):d.mustUseProperty?a[d.propertyName]=c:(b=d.attributeName,(e=d.attributeNamespace)?a.setAttributeNS(e,b,""+c):d.hasBooleanValue||d.hasOverloadedBooleanValue&&!0===c?a.setAttribute(b,""):a.setAttribute(b,""+c))}else Ac.setValueForAttribute(a,b,A.shouldSetAttribute(b,
-c)?c:null)},setValueForAttribute:function(a,b,c){kf(b)&&(null==c?a.removeAttribute(b):a.setAttribute(b,""+c))},deleteValueForAttribute:function(a,b){a.removeAttribute(b)},deleteValueForProperty:function(a,b){var c=A.getPropertyInfo(b);c?(b=c.mutationMethod)?b(a,void 0):c.mustUseProperty?a[c.propertyName]=c.hasBooleanValue?!1:"":a.removeAttribute(c.attributeName):a.removeAttribute(b)}},oa=Ac,Be=yc.ReactDebugCurrentFrame,Ta={current:null,phase:null,resetCurrentFiber:function(){Be.getCurrentStack=null;
-Ta.current=null;Ta.phase=null},setCurrentFiber:function(a,b){Be.getCurrentStack=Kd;Ta.current=a;Ta.phase=b},getCurrentFiberOwnerName:function(){return null},getCurrentFiberStackAddendum:Kd},Lf=Ta,Bc={getHostProps:function(a,b){var c=b.value,d=b.checked;return q({type:void 0,step:void 0,min:void 0,max:void 0},b,{defaultChecked:void 0,defaultValue:void 0,value:null!=c?c:a._wrapperState.initialValue,checked:null!=d?d:a._wrapperState.initialChecked})},initWrapperState:function(a,b){var c=b.defaultValue;
-a._wrapperState={initialChecked:null!=b.checked?b.checked:b.defaultChecked,initialValue:null!=b.value?b.value:c,controlled:"checkbox"===b.type||"radio"===b.type?null!=b.checked:null!=b.value}},updateWrapper:function(a,b){var c=b.checked;null!=c&&oa.setValueForProperty(a,"checked",c||!1);c=b.value;if(null!=c)if(0===c&&""===a.value)a.value="0";else if("number"===b.type){if(b=parseFloat(a.value)||0,c!=b||c==b&&a.value!=c)a.value=""+c}else a.value!==""+c&&(a.value=""+c);else null==b.value&&null!=b.defaultValue&&
-a.defaultValue!==""+b.defaultValue&&(a.defaultValue=""+b.defaultValue),null==b.checked&&null!=b.defaultChecked&&(a.defaultChecked=!!b.defaultChecked)},postMountWrapper:function(a,b){switch(b.type){case "submit":case "reset":break;case "color":case "date":case "datetime":case "datetime-local":case "month":case "time":case "week":a.value="";a.value=a.defaultValue;break;default:a.value=a.value}b=a.name;""!==b&&(a.name="");a.defaultChecked=!a.defaultChecked;a.defaultChecked=!a.defaultChecked;""!==b&&
-(a.name=b)},restoreControlledState:function(a,b){Bc.updateWrapper(a,b);var c=b.name;if("radio"===b.type&&null!=c){for(b=a;b.parentNode;)b=b.parentNode;c=b.querySelectorAll("input[name\x3d"+JSON.stringify(""+c)+'][type\x3d"radio"]');for(b=0;b<c.length;b++){var d=c[b];if(d!==a&&d.form===a.form){var e=N.getFiberCurrentPropsFromNode(d);e?void 0:m("90");Bc.updateWrapper(d,e)}}}}},U=Bc,za={validateProps:function(){},postMountWrapper:function(a,b){null!=b.value&&a.setAttribute("value",b.value)},getHostProps:function(a,
-b){a=q({children:void 0},b);if(b=mf(b.children))a.children=b;return a}},ja={getHostProps:function(a,b){return q({},b,{value:void 0})},initWrapperState:function(a,b){var c=b.value;a._wrapperState={initialValue:null!=c?c:b.defaultValue,wasMultiple:!!b.multiple}},postMountWrapper:function(a,b){a.multiple=!!b.multiple;var c=b.value;null!=c?va(a,!!b.multiple,c):null!=b.defaultValue&&va(a,!!b.multiple,b.defaultValue)},postUpdateWrapper:function(a,b){a._wrapperState.initialValue=void 0;var c=a._wrapperState.wasMultiple;
-a._wrapperState.wasMultiple=!!b.multiple;var d=b.value;null!=d?va(a,!!b.multiple,d):c!==!!b.multiple&&(null!=b.defaultValue?va(a,!!b.multiple,b.defaultValue):va(a,!!b.multiple,b.multiple?[]:""))},restoreControlledState:function(a,b){var c=b.value;null!=c&&va(a,!!b.multiple,c)}},Ce={getHostProps:function(a,b){null!=b.dangerouslySetInnerHTML?m("91"):void 0;return q({},b,{value:void 0,defaultValue:void 0,children:""+a._wrapperState.initialValue})},initWrapperState:function(a,b){var c=b.value,d=c;null==
-c&&(c=b.defaultValue,b=b.children,null!=b&&(null!=c?m("92"):void 0,Array.isArray(b)&&(1>=b.length?void 0:m("93"),b=b[0]),c=""+b),null==c&&(c=""),d=c);a._wrapperState={initialValue:""+d}},updateWrapper:function(a,b){var c=b.value;null!=c&&(c=""+c,c!==a.value&&(a.value=c),null==b.defaultValue&&(a.defaultValue=c));null!=b.defaultValue&&(a.defaultValue=b.defaultValue)},postMountWrapper:function(a){var b=a.textContent;b===a._wrapperState.initialValue&&(a.value=b)},restoreControlledState:function(a,b){Ce.updateWrapper(a,
-b)}},V=Ce,cf=q({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0}),xa={_getTrackerFromNode:function(a){return a._valueTracker},track:function(a){a._valueTracker||(a._valueTracker=nf(a))},updateValueIfChanged:function(a){if(!a)return!1;var b=a._valueTracker;if(!b)return!0;var c=b.getValue();var d="";a&&(d=Ld(a)?a.checked?"true":"false":a.value);a=d;return a!==c?(b.setValue(a),!0):!1},stopTracking:function(a){(a=a._valueTracker)&&
-a.stopTracking()}},Eb,Cc=function(a){return"undefined"!==typeof MSApp&&MSApp.execUnsafeLocalFunction?function(b,c,d,e){MSApp.execUnsafeLocalFunction(function(){return a(b,c,d,e)})}:a}(function(a,b){if("http://www.w3.org/2000/svg"!==a.namespaceURI||"innerHTML"in a)a.innerHTML=b;else for(Eb=Eb||document.createElement("div"),Eb.innerHTML="\x3csvg\x3e"+b+"\x3c/svg\x3e",b=Eb.firstChild;b.firstChild;)a.appendChild(b.firstChild)}),Mf=/["'&<>]/;z&&("textContent"in document.documentElement||(od=function(a,
-b){if(3===a.nodeType)a.nodeValue=b;else{if("boolean"===typeof b||"number"===typeof b)b=""+b;else{b=""+b;var c=Mf.exec(b);if(c){var d="",e,f=0;for(e=c.index;e<b.length;e++){switch(b.charCodeAt(e)){case 34:c="\x26quot;";break;case 38:c="\x26amp;";break;case 39:c="\x26#x27;";break;case 60:c="\x26lt;";break;case 62:c="\x26gt;";break;default:continue}f!==e&&(d+=b.substring(f,e));f=e+1;d+=c}b=f!==e?d+b.substring(f,e):d}}Cc(a,b)}}));var Dc=od,Ec=Lf.getCurrentFiberOwnerName,of=l.listenTo,Fb=na.registrationNameModules,
-Aa={topAbort:"abort",topCanPlay:"canplay",topCanPlayThrough:"canplaythrough",topDurationChange:"durationchange",topEmptied:"emptied",topEncrypted:"encrypted",topEnded:"ended",topError:"error",topLoadedData:"loadeddata",topLoadedMetadata:"loadedmetadata",topLoadStart:"loadstart",topPause:"pause",topPlay:"play",topPlaying:"playing",topProgress:"progress",topRateChange:"ratechange",topSeeked:"seeked",topSeeking:"seeking",topStalled:"stalled",topSuspend:"suspend",topTimeUpdate:"timeupdate",topVolumeChange:"volumechange",
-topWaiting:"waiting"},I={createElement:function(a,b,c,d){c=9===c.nodeType?c:c.ownerDocument;"http://www.w3.org/1999/xhtml"===d&&(d=Sc(a));"http://www.w3.org/1999/xhtml"===d?"script"===a?(a=c.createElement("div"),a.innerHTML="\x3cscript\x3e\x3c/script\x3e",a=a.removeChild(a.firstChild)):a="string"===typeof b.is?c.createElement(a,{is:b.is}):c.createElement(a):a=c.createElementNS(d,a);return a},createTextNode:function(a,b){return(9===b.nodeType?b:b.ownerDocument).createTextNode(a)},setInitialProperties:function(a,
-b,c,d){var e=hc(b,c);switch(b){case "iframe":case "object":l.trapBubbledEvent("topLoad","load",a);var f=c;break;case "video":case "audio":for(f in Aa)Aa.hasOwnProperty(f)&&l.trapBubbledEvent(f,Aa[f],a);f=c;break;case "source":l.trapBubbledEvent("topError","error",a);f=c;break;case "img":case "image":l.trapBubbledEvent("topError","error",a);l.trapBubbledEvent("topLoad","load",a);f=c;break;case "form":l.trapBubbledEvent("topReset","reset",a);l.trapBubbledEvent("topSubmit","submit",a);f=c;break;case "details":l.trapBubbledEvent("topToggle",
-"toggle",a);f=c;break;case "input":U.initWrapperState(a,c);f=U.getHostProps(a,c);l.trapBubbledEvent("topInvalid","invalid",a);R(d,"onChange");break;case "option":za.validateProps(a,c);f=za.getHostProps(a,c);break;case "select":ja.initWrapperState(a,c);f=ja.getHostProps(a,c);l.trapBubbledEvent("topInvalid","invalid",a);R(d,"onChange");break;case "textarea":V.initWrapperState(a,c);f=V.getHostProps(a,c);l.trapBubbledEvent("topInvalid","invalid",a);R(d,"onChange");break;default:f=c}ic(b,f,Ec);var g=f,
-h;for(h in g)if(g.hasOwnProperty(h)){var k=g[h];"style"===h?Ae.setValueForStyles(a,k):"dangerouslySetInnerHTML"===h?(k=k?k.__html:void 0,null!=k&&Cc(a,k)):"children"===h?"string"===typeof k?Dc(a,k):"number"===typeof k&&Dc(a,""+k):"suppressContentEditableWarning"!==h&&(Fb.hasOwnProperty(h)?null!=k&&R(d,h):e?oa.setValueForAttribute(a,h,k):null!=k&&oa.setValueForProperty(a,h,k))}switch(b){case "input":xa.track(a);U.postMountWrapper(a,c);break;case "textarea":xa.track(a);V.postMountWrapper(a,c);break;
-case "option":za.postMountWrapper(a,c);break;case "select":ja.postMountWrapper(a,c);break;default:"function"===typeof f.onClick&&(a.onclick=w)}},diffProperties:function(a,b,c,d,e){var f=null;switch(b){case "input":c=U.getHostProps(a,c);d=U.getHostProps(a,d);f=[];break;case "option":c=za.getHostProps(a,c);d=za.getHostProps(a,d);f=[];break;case "select":c=ja.getHostProps(a,c);d=ja.getHostProps(a,d);f=[];break;case "textarea":c=V.getHostProps(a,c);d=V.getHostProps(a,d);f=[];break;default:"function"!==
-typeof c.onClick&&"function"===typeof d.onClick&&(a.onclick=w)}ic(b,d,Ec);var g,h;a=null;for(g in c)if(!d.hasOwnProperty(g)&&c.hasOwnProperty(g)&&null!=c[g])if("style"===g)for(h in b=c[g],b)b.hasOwnProperty(h)&&(a||(a={}),a[h]="");else"dangerouslySetInnerHTML"!==g&&"children"!==g&&"suppressContentEditableWarning"!==g&&(Fb.hasOwnProperty(g)?f||(f=[]):(f=f||[]).push(g,null));for(g in d){var k=d[g];b=null!=c?c[g]:void 0;if(d.hasOwnProperty(g)&&k!==b&&(null!=k||null!=b))if("style"===g)if(b){for(h in b)!b.hasOwnProperty(h)||
-k&&k.hasOwnProperty(h)||(a||(a={}),a[h]="");for(h in k)k.hasOwnProperty(h)&&b[h]!==k[h]&&(a||(a={}),a[h]=k[h])}else a||(f||(f=[]),f.push(g,a)),a=k;else"dangerouslySetInnerHTML"===g?(k=k?k.__html:void 0,b=b?b.__html:void 0,null!=k&&b!==k&&(f=f||[]).push(g,""+k)):"children"===g?b===k||"string"!==typeof k&&"number"!==typeof k||(f=f||[]).push(g,""+k):"suppressContentEditableWarning"!==g&&(Fb.hasOwnProperty(g)?(null!=k&&R(e,g),f||b===k||(f=[])):(f=f||[]).push(g,k))}a&&(f=f||[]).push("style",a);return f},
-updateProperties:function(a,b,c,d,e){hc(c,d);d=hc(c,e);for(var f=0;f<b.length;f+=2){var g=b[f],h=b[f+1];"style"===g?Ae.setValueForStyles(a,h):"dangerouslySetInnerHTML"===g?Cc(a,h):"children"===g?Dc(a,h):d?null!=h?oa.setValueForAttribute(a,g,h):oa.deleteValueForAttribute(a,g):null!=h?oa.setValueForProperty(a,g,h):oa.deleteValueForProperty(a,g)}switch(c){case "input":U.updateWrapper(a,e);xa.updateValueIfChanged(a);break;case "textarea":V.updateWrapper(a,e);break;case "select":ja.postUpdateWrapper(a,
-e)}},diffHydratedProperties:function(a,b,c,d,e){switch(b){case "iframe":case "object":l.trapBubbledEvent("topLoad","load",a);break;case "video":case "audio":for(var f in Aa)Aa.hasOwnProperty(f)&&l.trapBubbledEvent(f,Aa[f],a);break;case "source":l.trapBubbledEvent("topError","error",a);break;case "img":case "image":l.trapBubbledEvent("topError","error",a);l.trapBubbledEvent("topLoad","load",a);break;case "form":l.trapBubbledEvent("topReset","reset",a);l.trapBubbledEvent("topSubmit","submit",a);break;
-case "details":l.trapBubbledEvent("topToggle","toggle",a);break;case "input":U.initWrapperState(a,c);l.trapBubbledEvent("topInvalid","invalid",a);R(e,"onChange");break;case "option":za.validateProps(a,c);break;case "select":ja.initWrapperState(a,c);l.trapBubbledEvent("topInvalid","invalid",a);R(e,"onChange");break;case "textarea":V.initWrapperState(a,c),l.trapBubbledEvent("topInvalid","invalid",a),R(e,"onChange")}ic(b,c,Ec);d=null;for(var g in c)c.hasOwnProperty(g)&&(f=c[g],"children"===g?"string"===
-typeof f?a.textContent!==f&&(d=["children",f]):"number"===typeof f&&a.textContent!==""+f&&(d=["children",""+f]):Fb.hasOwnProperty(g)&&null!=f&&R(e,g));switch(b){case "input":xa.track(a);U.postMountWrapper(a,c);break;case "textarea":xa.track(a);V.postMountWrapper(a,c);break;case "select":case "option":break;default:"function"===typeof c.onClick&&(a.onclick=w)}return d},diffHydratedText:function(a,b){return a.nodeValue!==b},warnForDeletedHydratableElement:function(){},warnForDeletedHydratableText:function(){},
-warnForInsertedHydratedElement:function(){},warnForInsertedHydratedText:function(){},restoreControlledState:function(a,b,c){switch(b){case "input":U.restoreControlledState(a,c);break;case "textarea":V.restoreControlledState(a,c);break;case "select":ja.restoreControlledState(a,c)}}},Gb=void 0;if(z)if("function"!==typeof requestIdleCallback){var De=null,Fc=null,Gc=!1,Hc=!1,Hb=0,Ib=33,Ua=33,Nf={timeRemaining:"object"===typeof performance&&"function"===typeof performance.now?function(){return Hb-performance.now()}:
-function(){return Hb-Date.now()}},Ee="__reactIdleCallback$"+Math.random().toString(36).slice(2);window.addEventListener("message",function(a){a.source===window&&a.data===Ee&&(Gc=!1,a=Fc,Fc=null,null!==a&&a(Nf))},!1);var Of=function(a){Hc=!1;var b=a-Hb+Ua;b<Ua&&Ib<Ua?(8>b&&(b=8),Ua=b<Ib?Ib:b):Ib=b;Hb=a+Ua;Gc||(Gc=!0,window.postMessage(Ee,"*"));b=De;De=null;null!==b&&b(a)};Gb=function(a){Fc=a;Hc||(Hc=!0,requestAnimationFrame(Of));return 0}}else Gb=requestIdleCallback;else Gb=function(a){setTimeout(function(){a({timeRemaining:function(){return Infinity}})});
-return 0};var Pf=Gb,pc=void 0,qc=void 0,ba={},bb=[],da=-1,Qf=Oa.isFiberMounted,ca={current:ba},S={current:!1},cb=ba;if("function"===typeof Symbol&&Symbol["for"]){var Fe=Symbol["for"]("react.coroutine");var Ge=Symbol["for"]("react.yield")}else Fe=60104,Ge=60105;var Rf=Ge,Sf=Fe,Ic="function"===typeof Symbol&&Symbol["for"]&&Symbol["for"]("react.portal")||60106,te={createPortal:function(a,b,c){var d=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:Ic,key:null==d?null:""+d,children:a,
-containerInfo:b,implementation:c}},isPortal:function(a){return"object"===typeof a&&null!==a&&a.$$typeof===Ic},REACT_PORTAL_TYPE:Ic},sb=Sf,tb=Rf,ub=te.REACT_PORTAL_TYPE,$b=ad,vb=Array.isArray,Od="function"===typeof Symbol&&Symbol.iterator,rb="function"===typeof Symbol&&Symbol["for"]&&Symbol["for"]("react.element")||60103,Xb=rc(!0,!0),Zb=rc(!1,!0),Yb=rc(!1,!1),bf=Object.prototype.hasOwnProperty,af=Oa.isMounted,Ze=yc.ReactCurrentOwner,Vb=null,Wb=null,qa={},db=yc.ReactCurrentOwner;sc._injectFiber=function(a){$c=
-a};var Tf=Oa.findCurrentHostFiber,Uf=Oa.findCurrentHostFiberWithNoPortals;sc._injectFiber(function(a){var b;a:{Qf(a)&&2===a.tag?void 0:m("170");for(b=a;3!==b.tag;){if(Ea(b)){b=b.stateNode.__reactInternalMemoizedMergedChildContext;break a}(b=b["return"])?void 0:m("171")}b=b.stateNode.context}return Ea(a)?kd(a,b,!1):b});var Rb=null,He={getOffsets:function(a){var b=window.getSelection&&window.getSelection();if(!b||0===b.rangeCount)return null;var c=b.anchorNode,d=b.anchorOffset,e=b.focusNode,f=b.focusOffset,
-g=b.getRangeAt(0);try{g.startContainer.nodeType,g.endContainer.nodeType}catch(k){return null}b=b.anchorNode===b.focusNode&&b.anchorOffset===b.focusOffset?0:g.toString().length;var h=g.cloneRange();h.selectNodeContents(a);h.setEnd(g.startContainer,g.startOffset);a=h.startContainer===h.endContainer&&h.startOffset===h.endOffset?0:h.toString().length;g=a+b;b=document.createRange();b.setStart(c,d);b.setEnd(e,f);c=b.collapsed;return{start:c?g:a,end:c?a:g}},setOffsets:function(a,b){if(window.getSelection){var c=
-window.getSelection(),d=a[Xc()].length,e=Math.min(b.start,d);b=void 0===b.end?e:Math.min(b.end,d);!c.extend&&e>b&&(d=b,b=e,e=d);d=Yc(a,e);a=Yc(a,b);if(d&&a){var f=document.createRange();f.setStart(d.node,d.offset);c.removeAllRanges();e>b?(c.addRange(f),c.extend(a.node,a.offset)):(f.setEnd(a.node,a.offset),c.addRange(f))}}}},Va={hasSelectionCapabilities:function(a){var b=a&&a.nodeName&&a.nodeName.toLowerCase();return b&&("input"===b&&"text"===a.type||"textarea"===b||"true"===a.contentEditable)},getSelectionInformation:function(){var a=
-Qb();return{focusedElem:a,selectionRange:Va.hasSelectionCapabilities(a)?Va.getSelection(a):null}},restoreSelection:function(a){var b=Qb(),c=a.focusedElem;a=a.selectionRange;if(b!==c&&Qd(document.documentElement,c)){Va.hasSelectionCapabilities(c)&&Va.setSelection(c,a);b=[];for(a=c;a=a.parentNode;)1===a.nodeType&&b.push({element:a,left:a.scrollLeft,top:a.scrollTop});try{c.focus()}catch(d){}for(c=0;c<b.length;c++)a=b[c],a.element.scrollLeft=a.left,a.element.scrollTop=a.top}},getSelection:function(a){return("selectionStart"in
-a?{start:a.selectionStart,end:a.selectionEnd}:He.getOffsets(a))||{start:0,end:0}},setSelection:function(a,b){var c=b.start,d=b.end;void 0===d&&(d=c);"selectionStart"in a?(a.selectionStart=c,a.selectionEnd=Math.min(d,a.value.length)):He.setOffsets(a,b)}},vc=Va;ab._injectFiber=function(a){Uc=a};ab._injectStack=function(a){Vc=a};var wb={isAncestor:function(a,b){for(;b;){if(a===b||a===b.alternate)return!0;b=C(b)}return!1},getLowestCommonAncestor:Rd,getParentInstance:function(a){return C(a)},traverseTwoPhase:function(a,
-b,c){for(var d=[];a;)d.push(a),a=C(a);for(a=d.length;0<a--;)b(d[a],"captured",c);for(a=0;a<d.length;a++)b(d[a],"bubbled",c)},traverseEnterLeave:function(a,b,c,d,e){for(var f=a&&b?Rd(a,b):null,g=[];a&&a!==f;)g.push(a),a=C(a);for(a=[];b&&b!==f;)a.push(b),b=C(b);for(b=0;b<g.length;b++)c(g[b],"bubbled",d);for(b=a.length;0<b--;)c(a[b],"captured",e)}},Td=X.getListener,la={accumulateTwoPhaseDispatches:function(a){Ha(a,pf)},accumulateTwoPhaseDispatchesSkipTarget:function(a){Ha(a,qf)},accumulateDirectDispatches:function(a){Ha(a,
-rf)},accumulateEnterLeaveDispatches:function(a,b,c,d){wb.traverseEnterLeave(c,d,Ud,a,b)}},Wa=null,Jc=null,Jb=null,Kc={initialize:function(a){Wa=a;Jc=Kc.getText();return!0},reset:function(){Jb=Jc=Wa=null},getData:function(){if(Jb)return Jb;var a,b=Jc,c=b.length,d,e=Kc.getText(),f=e.length;for(a=0;a<c&&b[a]===e[a];a++);var g=c-a;for(d=1;d<=g&&b[c-d]===e[f-d];d++);return Jb=e.slice(a,1<d?1-d:void 0)},getText:function(){return"value"in Wa?Wa.value:Wa[Xc()]}},xb=Kc,Ie="dispatchConfig _targetInst nativeEvent isDefaultPrevented isPropagationStopped _dispatchListeners _dispatchInstances".split(" "),
-Vf={type:null,target:null,currentTarget:w.thatReturnsNull,eventPhase:null,bubbles:null,cancelable:null,timeStamp:function(a){return a.timeStamp||Date.now()},defaultPrevented:null,isTrusted:null};q(Ka.prototype,{preventDefault:function(){this.defaultPrevented=!0;var a=this.nativeEvent;a&&(a.preventDefault?a.preventDefault():"unknown"!==typeof a.returnValue&&(a.returnValue=!1),this.isDefaultPrevented=w.thatReturnsTrue)},stopPropagation:function(){var a=this.nativeEvent;a&&(a.stopPropagation?a.stopPropagation():
-"unknown"!==typeof a.cancelBubble&&(a.cancelBubble=!0),this.isPropagationStopped=w.thatReturnsTrue)},persist:function(){this.isPersistent=w.thatReturnsTrue},isPersistent:w.thatReturnsFalse,destructor:function(){var a=this.constructor.Interface,b;for(b in a)this[b]=null;for(a=0;a<Ie.length;a++)this[Ie[a]]=null}});Ka.Interface=Vf;Ka.augmentClass=function(a,b){function c(){}c.prototype=this.prototype;var d=new c;q(d,a.prototype);a.prototype=d;a.prototype.constructor=a;a.Interface=q({},this.Interface,
-b);a.augmentClass=this.augmentClass;Vd(a)};Vd(Ka);var O=Ka;O.augmentClass(Wd,{data:null});O.augmentClass(Xd,{data:null});var vf=[9,13,27,32],tc=z&&"CompositionEvent"in window,Xa=null;z&&"documentMode"in document&&(Xa=document.documentMode);var Wf=z&&"TextEvent"in window&&!Xa&&!uf(),be=z&&(!tc||Xa&&8<Xa&&11>=Xa),ae=String.fromCharCode(32),ea={beforeInput:{phasedRegistrationNames:{bubbled:"onBeforeInput",captured:"onBeforeInputCapture"},dependencies:["topCompositionEnd","topKeyPress","topTextInput",
-"topPaste"]},compositionEnd:{phasedRegistrationNames:{bubbled:"onCompositionEnd",captured:"onCompositionEndCapture"},dependencies:"topBlur topCompositionEnd topKeyDown topKeyPress topKeyUp topMouseDown".split(" ")},compositionStart:{phasedRegistrationNames:{bubbled:"onCompositionStart",captured:"onCompositionStartCapture"},dependencies:"topBlur topCompositionStart topKeyDown topKeyPress topKeyUp topMouseDown".split(" ")},compositionUpdate:{phasedRegistrationNames:{bubbled:"onCompositionUpdate",captured:"onCompositionUpdateCapture"},
-dependencies:"topBlur topCompositionUpdate topKeyDown topKeyPress topKeyUp topMouseDown".split(" ")}},$d=!1,wa=!1,Xf={eventTypes:ea,extractEvents:function(a,b,c,d){var e;if(tc)b:{switch(a){case "topCompositionStart":var f=ea.compositionStart;break b;case "topCompositionEnd":f=ea.compositionEnd;break b;case "topCompositionUpdate":f=ea.compositionUpdate;break b}f=void 0}else wa?Yd(a,c)&&(f=ea.compositionEnd):"topKeyDown"===a&&229===c.keyCode&&(f=ea.compositionStart);f?(be&&(wa||f!==ea.compositionStart?
-f===ea.compositionEnd&&wa&&(e=xb.getData()):wa=xb.initialize(d)),f=Wd.getPooled(f,b,c,d),e?f.data=e:(e=Zd(c),null!==e&&(f.data=e)),la.accumulateTwoPhaseDispatches(f),e=f):e=null;(a=Wf?wf(a,c):xf(a,c))?(b=Xd.getPooled(ea.beforeInput,b,c,d),b.data=a,la.accumulateTwoPhaseDispatches(b)):b=null;return[e,b]}},Oe={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0},de={change:{phasedRegistrationNames:{bubbled:"onChange",
-captured:"onChangeCapture"},dependencies:"topBlur topChange topClick topFocus topInput topKeyDown topKeyUp topSelectionChange".split(" ")}},La=null,Ma=null,Lc=!1;z&&(Lc=Fa("input")&&(!document.documentMode||9<document.documentMode));var Yf={eventTypes:de,_isInputEventSupported:Lc,extractEvents:function(a,b,c,d){var e=b?N.getNodeFromInstance(b):window,f=e.nodeName&&e.nodeName.toLowerCase();if("select"===f||"input"===f&&"file"===e.type)var g=zf;else if(Tc(e))if(Lc)g=Df;else{g=Bf;var h=Af}else f=e.nodeName,
-!f||"input"!==f.toLowerCase()||"checkbox"!==e.type&&"radio"!==e.type||(g=Cf);if(g&&(g=g(a,b)))return ce(g,c,d);h&&h(a,e,b);"topBlur"===a&&null!=b&&(a=b._wrapperState||e._wrapperState)&&a.controlled&&"number"===e.type&&(a=""+e.value,e.getAttribute("value")!==a&&e.setAttribute("value",a))}};O.augmentClass(ge,{view:function(a){if(a.view)return a.view;a=jb(a);return a.window===a?a:(a=a.ownerDocument)?a.defaultView||a.parentWindow:window},detail:function(a){return a.detail||0}});var Y=ge,Ef={Alt:"altKey",
-Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};Y.augmentClass(he,{screenX:null,screenY:null,clientX:null,clientY:null,pageX:null,pageY:null,ctrlKey:null,shiftKey:null,altKey:null,metaKey:null,getModifierState:Pb,button:null,buttons:null,relatedTarget:function(a){return a.relatedTarget||(a.fromElement===a.srcElement?a.toElement:a.fromElement)}});var ma=he,Mc={mouseEnter:{registrationName:"onMouseEnter",dependencies:["topMouseOut","topMouseOver"]},mouseLeave:{registrationName:"onMouseLeave",dependencies:["topMouseOut",
-"topMouseOver"]}},Zf={eventTypes:Mc,extractEvents:function(a,b,c,d){if("topMouseOver"===a&&(c.relatedTarget||c.fromElement)||"topMouseOut"!==a&&"topMouseOver"!==a)return null;var e=d.window===d?d:(e=d.ownerDocument)?e.defaultView||e.parentWindow:window;"topMouseOut"===a?(a=b,b=(b=c.relatedTarget||c.toElement)?N.getClosestInstanceFromNode(b):null):a=null;if(a===b)return null;var f=null==a?e:N.getNodeFromInstance(a);e=null==b?e:N.getNodeFromInstance(b);var g=ma.getPooled(Mc.mouseLeave,a,c,d);g.type=
-"mouseleave";g.target=f;g.relatedTarget=e;c=ma.getPooled(Mc.mouseEnter,b,c,d);c.type="mouseenter";c.target=e;c.relatedTarget=f;la.accumulateEnterLeaveDispatches(g,c,a,b);return[g,c]}},$f=z&&"documentMode"in document&&11>=document.documentMode,je={select:{phasedRegistrationNames:{bubbled:"onSelect",captured:"onSelectCapture"},dependencies:"topBlur topContextMenu topFocus topKeyDown topKeyUp topMouseDown topMouseUp topSelectionChange".split(" ")}},ya=null,wc=null,Na=null,uc=!1,ag=l.isListeningToAllDependencies,
-bg={eventTypes:je,extractEvents:function(a,b,c,d){var e=d.window===d?d.document:9===d.nodeType?d:d.ownerDocument;if(!e||!ag("onSelect",e))return null;e=b?N.getNodeFromInstance(b):window;switch(a){case "topFocus":if(Tc(e)||"true"===e.contentEditable)ya=e,wc=b,Na=null;break;case "topBlur":Na=wc=ya=null;break;case "topMouseDown":uc=!0;break;case "topContextMenu":case "topMouseUp":return uc=!1,ie(c,d);case "topSelectionChange":if($f)break;case "topKeyDown":case "topKeyUp":return ie(c,d)}return null}};
-O.augmentClass(ke,{animationName:null,elapsedTime:null,pseudoElement:null});O.augmentClass(le,{clipboardData:function(a){return"clipboardData"in a?a.clipboardData:window.clipboardData}});Y.augmentClass(me,{relatedTarget:null});var cg={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},dg={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",
-18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"};Y.augmentClass(ne,{key:function(a){if(a.key){var b=cg[a.key]||a.key;if("Unidentified"!==b)return b}return"keypress"===a.type?(a=$a(a),13===a?"Enter":String.fromCharCode(a)):
-"keydown"===a.type||"keyup"===a.type?dg[a.keyCode]||"Unidentified":""},location:null,ctrlKey:null,shiftKey:null,altKey:null,metaKey:null,repeat:null,locale:null,getModifierState:Pb,charCode:function(a){return"keypress"===a.type?$a(a):0},keyCode:function(a){return"keydown"===a.type||"keyup"===a.type?a.keyCode:0},which:function(a){return"keypress"===a.type?$a(a):"keydown"===a.type||"keyup"===a.type?a.keyCode:0}});ma.augmentClass(oe,{dataTransfer:null});Y.augmentClass(pe,{touches:null,targetTouches:null,
-changedTouches:null,altKey:null,metaKey:null,ctrlKey:null,shiftKey:null,getModifierState:Pb});O.augmentClass(qe,{propertyName:null,elapsedTime:null,pseudoElement:null});ma.augmentClass(re,{deltaX:function(a){return"deltaX"in a?a.deltaX:"wheelDeltaX"in a?-a.wheelDeltaX:0},deltaY:function(a){return"deltaY"in a?a.deltaY:"wheelDeltaY"in a?-a.wheelDeltaY:"wheelDelta"in a?-a.wheelDelta:0},deltaZ:null,deltaMode:null});var Je={},Ke={};"abort animationEnd animationIteration animationStart blur cancel canPlay canPlayThrough click close contextMenu copy cut doubleClick drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error focus input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing progress rateChange reset scroll seeked seeking stalled submit suspend timeUpdate toggle touchCancel touchEnd touchMove touchStart transitionEnd volumeChange waiting wheel".split(" ").forEach(function(a){var b=
-a[0].toUpperCase()+a.slice(1),c="on"+b;b="top"+b;c={phasedRegistrationNames:{bubbled:c,captured:c+"Capture"},dependencies:[b]};Je[a]=c;Ke[b]=c});var eg={eventTypes:Je,extractEvents:function(a,b,c,d){var e=Ke[a];if(!e)return null;switch(a){case "topAbort":case "topCancel":case "topCanPlay":case "topCanPlayThrough":case "topClose":case "topDurationChange":case "topEmptied":case "topEncrypted":case "topEnded":case "topError":case "topInput":case "topInvalid":case "topLoad":case "topLoadedData":case "topLoadedMetadata":case "topLoadStart":case "topPause":case "topPlay":case "topPlaying":case "topProgress":case "topRateChange":case "topReset":case "topSeeked":case "topSeeking":case "topStalled":case "topSubmit":case "topSuspend":case "topTimeUpdate":case "topToggle":case "topVolumeChange":case "topWaiting":var f=
-O;break;case "topKeyPress":if(0===$a(c))return null;case "topKeyDown":case "topKeyUp":f=ne;break;case "topBlur":case "topFocus":f=me;break;case "topClick":if(2===c.button)return null;case "topDoubleClick":case "topMouseDown":case "topMouseMove":case "topMouseUp":case "topMouseOut":case "topMouseOver":case "topContextMenu":f=ma;break;case "topDrag":case "topDragEnd":case "topDragEnter":case "topDragExit":case "topDragLeave":case "topDragOver":case "topDragStart":case "topDrop":f=oe;break;case "topTouchCancel":case "topTouchEnd":case "topTouchMove":case "topTouchStart":f=
-pe;break;case "topAnimationEnd":case "topAnimationIteration":case "topAnimationStart":f=ke;break;case "topTransitionEnd":f=qe;break;case "topScroll":f=Y;break;case "topWheel":f=re;break;case "topCopy":case "topCut":case "topPaste":f=le}f?void 0:m("86",a);a=f.getPooled(e,b,c,d);la.accumulateTwoPhaseDispatches(a);return a}};G.setHandleTopLevel(l.handleTopLevel);X.injection.injectEventPluginOrder("ResponderEventPlugin SimpleEventPlugin TapEventPlugin EnterLeaveEventPlugin ChangeEventPlugin SelectEventPlugin BeforeInputEventPlugin".split(" "));
-Ga.injection.injectComponentTree(N);X.injection.injectEventPluginsByName({SimpleEventPlugin:eg,EnterLeaveEventPlugin:Zf,ChangeEventPlugin:Yf,SelectEventPlugin:bg,BeforeInputEventPlugin:Xf});var Kb=A.injection.MUST_USE_PROPERTY,r=A.injection.HAS_BOOLEAN_VALUE,Le=A.injection.HAS_NUMERIC_VALUE,Lb=A.injection.HAS_POSITIVE_NUMERIC_VALUE,Ya=A.injection.HAS_STRING_BOOLEAN_VALUE,fg={Properties:{allowFullScreen:r,allowTransparency:Ya,async:r,autoPlay:r,capture:r,checked:Kb|r,cols:Lb,contentEditable:Ya,controls:r,
-"default":r,defer:r,disabled:r,download:A.injection.HAS_OVERLOADED_BOOLEAN_VALUE,draggable:Ya,formNoValidate:r,hidden:r,loop:r,multiple:Kb|r,muted:Kb|r,noValidate:r,open:r,playsInline:r,readOnly:r,required:r,reversed:r,rows:Lb,rowSpan:Le,scoped:r,seamless:r,selected:Kb|r,size:Lb,start:Le,span:Lb,spellCheck:Ya,style:0,itemScope:r,acceptCharset:0,className:0,htmlFor:0,httpEquiv:0,value:Ya},DOMAttributeNames:{acceptCharset:"accept-charset",className:"class",htmlFor:"for",httpEquiv:"http-equiv"},DOMMutationMethods:{value:function(a,
-b){if(null==b)return a.removeAttribute("value");"number"!==a.type||!1===a.hasAttribute("value")?a.setAttribute("value",""+b):a.validity&&!a.validity.badInput&&a.ownerDocument.activeElement!==a&&a.setAttribute("value",""+b)}}},Nc=A.injection.HAS_STRING_BOOLEAN_VALUE,Oc={Properties:{autoReverse:Nc,externalResourcesRequired:Nc,preserveAlpha:Nc},DOMAttributeNames:{autoReverse:"autoReverse",externalResourcesRequired:"externalResourcesRequired",preserveAlpha:"preserveAlpha"},DOMAttributeNamespaces:{xlinkActuate:"http://www.w3.org/1999/xlink",
-xlinkArcrole:"http://www.w3.org/1999/xlink",xlinkHref:"http://www.w3.org/1999/xlink",xlinkRole:"http://www.w3.org/1999/xlink",xlinkShow:"http://www.w3.org/1999/xlink",xlinkTitle:"http://www.w3.org/1999/xlink",xlinkType:"http://www.w3.org/1999/xlink",xmlBase:"http://www.w3.org/XML/1998/namespace",xmlLang:"http://www.w3.org/XML/1998/namespace",xmlSpace:"http://www.w3.org/XML/1998/namespace"}},gg=/[\-\:]([a-z])/g;"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode x-height xlink:actuate xlink:arcrole xlink:href xlink:role xlink:show xlink:title xlink:type xml:base xmlns:xlink xml:lang xml:space".split(" ").forEach(function(a){var b=
-a.replace(gg,Me);Oc.Properties[b]=0;Oc.DOMAttributeNames[b]=a});A.injection.injectDOMPropertyConfig(fg);A.injection.injectDOMPropertyConfig(Oc);var Gf=A.ROOT_ATTRIBUTE_NAME,hg=I.createElement,ig=I.createTextNode,jg=I.setInitialProperties,kg=I.diffProperties,lg=I.updateProperties,mg=I.diffHydratedProperties,ng=I.diffHydratedText,og=I.warnForDeletedHydratableElement,pg=I.warnForDeletedHydratableText,qg=I.warnForInsertedHydratedElement,rg=I.warnForInsertedHydratedText,Mb=N.precacheFiberNode,Pc=N.updateFiberProps;
-yb.injection.injectFiberControlledHostComponent(I);ab._injectFiber(function(a){return B.findHostInstance(a)});var Qc=null,Rc=null,B=function(a){var b=a.getPublicInstance;a=Pe(a);var c=a.scheduleUpdate,d=a.getPriorityContext;return{createContainer:function(a){var b=new F(3,null,0);a={current:b,containerInfo:a,isScheduled:!1,nextScheduledRoot:null,context:null,pendingContext:null};return b.stateNode=a},updateContainer:function(a,b,g,h){var e=b.current;g=sc(g);null===b.context?b.context=g:b.pendingContext=
-g;b=d(e,null!=a&&null!=a.type&&null!=a.type.prototype&&!0===a.type.prototype.unstable_isAsyncReactComponent);g={element:a};a=null===g.element;h={priorityLevel:b,partialState:g,callback:void 0===h?null:h,isReplace:!1,isForced:!1,isTopLevelUnmount:a,next:null};g=hb(e,h);if(a){a=pc;var f=qc;null!==a&&null!==h.next&&(h.next=null,a.last=h);null!==f&&null!==g&&null!==g.next&&(g.next=null,f.last=h)}c(e,b)},batchedUpdates:a.batchedUpdates,unbatchedUpdates:a.unbatchedUpdates,deferredUpdates:a.deferredUpdates,
-flushSync:a.flushSync,getPublicRootInstance:function(a){a=a.current;if(!a.child)return null;switch(a.child.tag){case 5:return b(a.child.stateNode);default:return a.child.stateNode}},findHostInstance:function(a){a=Tf(a);return null===a?null:a.stateNode},findHostInstanceWithNoPortals:function(a){a=Uf(a);return null===a?null:a.stateNode}}}({getRootHostContext:function(a){if(9===a.nodeType)a=(a=a.documentElement)?a.namespaceURI:Ob(null,"");else{var b=8===a.nodeType?a.parentNode:a;a=b.namespaceURI||null;
-b=b.tagName;a=Ob(a,b)}return a},getChildHostContext:function(a,b){return Ob(a,b)},getPublicInstance:function(a){return a},prepareForCommit:function(){Qc=l.isEnabled();Rc=vc.getSelectionInformation();l.setEnabled(!1)},resetAfterCommit:function(){vc.restoreSelection(Rc);Rc=null;l.setEnabled(Qc);Qc=null},createInstance:function(a,b,c,d,e){a=hg(a,b,c,d);Mb(e,a);Pc(a,b);return a},appendInitialChild:function(a,b){a.appendChild(b)},finalizeInitialChildren:function(a,b,c,d){jg(a,b,c,d);a:{switch(b){case "button":case "input":case "select":case "textarea":a=
-!!c.autoFocus;break a}a=!1}return a},prepareUpdate:function(a,b,c,d,e){return kg(a,b,c,d,e)},commitMount:function(a){a.focus()},commitUpdate:function(a,b,c,d,e){Pc(a,e);lg(a,b,c,d,e)},shouldSetTextContent:function(a,b){return"textarea"===a||"string"===typeof b.children||"number"===typeof b.children||"object"===typeof b.dangerouslySetInnerHTML&&null!==b.dangerouslySetInnerHTML&&"string"===typeof b.dangerouslySetInnerHTML.__html},resetTextContent:function(a){a.textContent=""},shouldDeprioritizeSubtree:function(a,
-b){return!!b.hidden},createTextInstance:function(a,b,c,d){a=ig(a,b);Mb(d,a);return a},commitTextUpdate:function(a,b,c){a.nodeValue=c},appendChild:function(a,b){a.appendChild(b)},appendChildToContainer:function(a,b){8===a.nodeType?a.parentNode.insertBefore(b,a):a.appendChild(b)},insertBefore:function(a,b,c){a.insertBefore(b,c)},insertInContainerBefore:function(a,b,c){8===a.nodeType?a.parentNode.insertBefore(b,c):a.insertBefore(b,c)},removeChild:function(a,b){a.removeChild(b)},removeChildFromContainer:function(a,
-b){8===a.nodeType?a.parentNode.removeChild(b):a.removeChild(b)},canHydrateInstance:function(a,b){return 1===a.nodeType&&b===a.nodeName.toLowerCase()},canHydrateTextInstance:function(a,b){return""===b?!1:3===a.nodeType},getNextHydratableSibling:function(a){for(a=a.nextSibling;a&&1!==a.nodeType&&3!==a.nodeType;)a=a.nextSibling;return a},getFirstHydratableChild:function(a){for(a=a.firstChild;a&&1!==a.nodeType&&3!==a.nodeType;)a=a.nextSibling;return a},hydrateInstance:function(a,b,c,d,e,f){Mb(f,a);Pc(a,
-c);return mg(a,b,c,e,d)},hydrateTextInstance:function(a,b,c){Mb(c,a);return ng(a,b)},didNotHydrateInstance:function(a,b){1===b.nodeType?og(a,b):pg(a,b)},didNotFindHydratableInstance:function(a,b,c){qg(a,b,c)},didNotFindHydratableTextInstance:function(a,b){rg(a,b)},scheduleDeferredCallback:Pf,useSyncScheduling:!0});Ab.injection.injectFiberBatchedUpdates(B.batchedUpdates);var sg={createPortal:se,hydrate:function(a,b,c){return Bb(null,a,b,!0,c)},render:function(a,b,c){return Bb(null,a,b,!1,c)},unstable_renderSubtreeIntoContainer:function(a,
-b,c,d){null!=a&&fa.has(a)?void 0:m("38");return Bb(a,b,c,!1,d)},unmountComponentAtNode:function(a){xc(a)?void 0:m("40");return a._reactRootContainer?(B.unbatchedUpdates(function(){Bb(null,null,a,!1,function(){a._reactRootContainer=null})}),!0):!1},findDOMNode:ab,unstable_createPortal:se,unstable_batchedUpdates:Ab.batchedUpdates,unstable_deferredUpdates:B.deferredUpdates,flushSync:B.flushSync,__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED:{EventPluginHub:X,EventPluginRegistry:na,EventPropagators:la,
-ReactControlledComponent:yb,ReactDOMComponentTree:N,ReactDOMEventListener:G}};(function(a){if("undefined"===typeof __REACT_DEVTOOLS_GLOBAL_HOOK__)return!1;var b=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!b.supportsFiber)return!0;try{var c=b.inject(a);Vb=Pd(function(a){return b.onCommitFiberRoot(c,a)});Wb=Pd(function(a){return b.onCommitFiberUnmount(c,a)})}catch(d){}return!0})({findFiberByHostInstance:N.getClosestInstanceFromNode,findHostInstanceByFiber:B.findHostInstance,bundleType:0,version:"16.0.0",rendererPackageName:"react-dom"});
-return sg}"object"===typeof exports&&"undefined"!==typeof module?module.exports=Nb(require("react")):"function"===typeof define&&define.amd?define(["react"],Nb):this.ReactDOM=Nb(this.React);
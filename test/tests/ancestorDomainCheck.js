@@ -0,0 +1,61 @@
+/* @flow */
+
+import { assert } from 'chai';
+import { getDomain } from 'cross-domain-utils/src';
+
+import { testComponent_ancestorDomains_match,
+    testComponent_ancestorDomains_function_match,
+    testComponent_ancestorDomains_function_truthy,
+    testComponent_ancestorDomains_string
+} from '../component';
+import { getAncestorDomains } from '../../src/component/window';
+import { RenderError } from '../../src/error';
+
+describe('ancestor domain check', () => {
+
+    it('should get the domain of every ancestor frame', () => {
+        let domains = getAncestorDomains();
+
+        assert.isArray(domains);
+
+        for (let domain of domains || []) {
+            assert.equal(domain, getDomain());
+        }
+    });
+
+    it('should not throw error when allowedAncestorDomains matches every ancestor', done => {
+        testComponent_ancestorDomains_match.renderIframe({
+            onEnter: () => {
+                done();
+            }
+        }, document.body);
+    });
+
+    it('should not throw error when allowedAncestorDomains is a function allowing every ancestor', done => {
+        testComponent_ancestorDomains_function_match.renderIframe({
+            onEnter: () => {
+                done();
+            }
+        }, document.body);
+    });
+
+    it('should throw error when allowedAncestorDomains does not match an ancestor', done => {
+        testComponent_ancestorDomains_string.renderIframe({}, document.body)
+            .catch(err => {
+                assert.isTrue(err instanceof RenderError);
+                // $FlowFixMe
+                assert.isTrue(err && err.toString().indexOf('whose ancestors include a domain which is not allowed') > -1);
+                done();
+            });
+    });
+
+    it('should throw error when an allowedAncestorDomains function does not return true', done => {
+        testComponent_ancestorDomains_function_truthy.renderIframe({}, document.body)
+            .catch(err => {
+                assert.isTrue(err instanceof RenderError);
+                // $FlowFixMe
+                assert.isTrue(err && err.toString().indexOf('whose ancestors include a domain which is not allowed') > -1);
+                done();
+            });
+    });
+});
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { assert } from 'chai';
+import { ZalgoPromise } from 'zalgo-promise/src';
 
 import { angular2 } from './../../src/drivers/angular2';
 
@@ -8,31 +9,51 @@ const sinon = window.sinon;
 
 let initializedZoid = {
     render:      sinon.spy(),
-    updateProps: sinon.spy()
+    updateProps: sinon.spy(),
+    on:          sinon.spy(),
+    close:       sinon.spy(() => ZalgoPromise.resolve()),
+    destroy:     sinon.spy()
 };
 
 let unInitializedZoid = {
-    log:  () => { /* pass */ },
-    tag:  'my-log-in',
-    init: sinon.spy(() => initializedZoid)
+    log:          () => { /* pass */ },
+    logWarning:   () => { /* pass */ },
+    tag:          'my-log-in',
+    events:       [ 'logged-in' ],
+    getPropNames: () => [ 'prefilledEmail', 'onLogin', 'onClose', 'onError' ],
+    init:         sinon.spy(() => initializedZoid)
 };
 
-const componentClassSpy = sinon.spy(() => 'ng-component value');
+class EventEmitter {
+    observers : Array<mixed>
+    emit : Function
 
-const moduleClassSpy = sinon.spy(() => 'ng-module value');
+    constructor() {
+        this.observers = [];
+        this.emit = sinon.spy();
+    }
+}
+
+const ElementRef = 'ElementRef token';
+const NgZone = 'NgZone token';
+
+const elementRef = {
+    nativeElement: 'nativeElement value'
+};
+
+const zone = {
+    run: sinon.spy((func) => func())
+};
+
+const componentDecoratorSpy = sinon.spy(() => 'ng-component value');
 
 let NgCore = {
-    Component: () => {
-        return { Class: componentClassSpy };
-    },
-    NgModule:  () => {
-        return { Class: moduleClassSpy };
-    },
-    ElementRef: {
-        nativeElement: 'nativeElement value'
-    },
-    NgZone: {
-        run: sinon.spy((func) => func())
+    Component: () => componentDecoratorSpy,
+    EventEmitter,
+    ElementRef,
+    NgZone,
+    inject:    (token) => {
+        return (token === ElementRef) ? elementRef : zone;
     }
 };
 
@@ -41,20 +62,20 @@ const registerDriver = () => angular2.register(unInitializedZoid, NgCore);
 
 describe('angular 2 driver', () => {
 
-    let ngModule;
+    let ngComponent;
 
     beforeEach(() => {
         sinon.spy(unInitializedZoid, 'log');
         sinon.spy(NgCore, 'Component');
-        sinon.spy(NgCore, 'NgModule');
-        ngModule = registerDriver();
+        sinon.spy(NgCore, 'inject');
+        ngComponent = registerDriver();
     });
 
     afterEach(() => {
         unInitializedZoid.log.restore();
         NgCore.Component.restore();
-        NgCore.NgModule.restore();
-        ngModule = undefined;
+        NgCore.inject.restore();
+        ngComponent = undefined;
     });
 
     it('should not enable automatic driver registration', () => {
@@ -65,65 +86,57 @@ describe('angular 2 driver', () => {
         sinon.assert.calledWith(unInitializedZoid.log, 'initializing angular2 component');
     });
 
-    it('should create component with zoid tag', () => {
-        sinon.assert.calledWithMatch(NgCore.Component, { selector: unInitializedZoid.tag });
+    it('should create a standalone component with zoid tag', () => {
+        sinon.assert.calledWithMatch(NgCore.Component, { selector: unInitializedZoid.tag, standalone: true });
     });
 
     it('should create component with empty div template', () => {
         sinon.assert.calledWithMatch(NgCore.Component, { template: '<div></div>' });
     });
 
-    it('should create component with props input', () => {
-        sinon.assert.calledWithMatch(NgCore.Component, { inputs: [ 'props' ] });
+    it('should create component with an input for each prop, and a props input', () => {
+        sinon.assert.calledWithMatch(NgCore.Component, { inputs: [ 'props', 'prefilledEmail', 'onLogin', 'onClose', 'onError' ] });
     });
 
-    it('should create module that declares the component', () => {
-        sinon.assert.calledWithMatch(NgCore.NgModule, { declarations: [ 'ng-component value' ] });
+    it('should create component with an output for each lifecycle callback and event', () => {
+        sinon.assert.calledWithMatch(NgCore.Component, { outputs: [ 'display', 'enter', 'render', 'close', 'error', 'logged-in' ] });
     });
 
-    it('should create module that exports the component', () => {
-        sinon.assert.calledWithMatch(NgCore.NgModule, { exports: [ 'ng-component value' ] });
-    });
-
-    it('should return the module', () => {
-        assert.isTrue(ngModule === 'ng-module value');
+    it('should return the component', () => {
+        assert.isTrue(ngComponent === 'ng-component value');
     });
 
     describe('component class', () => {
-        let componentClass;
+        let ComponentClass;
+
+        let createComponent = (inputs : Object) : Object => {
+            // $FlowFixMe
+            let component = new ComponentClass();
+            Object.assign(component, inputs);
+            return component;
+        };
+
         beforeEach(() => {
-            componentClass = componentClassSpy.lastCall.args[0];
+            ComponentClass = componentDecoratorSpy.lastCall.args[0];
         });
+
         afterEach(() => {
-            componentClass = undefined;
+            ComponentClass = undefined;
         });
-        describe('constructor', () => {
-            it('receives elementRef as a DI token', () => {
-                // $FlowFixMe
-                assert.isTrue(componentClass.constructor[0] === NgCore.ElementRef);
-            });
-
-            it('receives ngZone as a DI token', () => {
-                // $FlowFixMe
-                assert.isTrue(componentClass.constructor[1] === NgCore.NgZone);
-
-            });
-
-            it('holds a reference to DOM element ', () => {
-                const component = {};
-                // $FlowFixMe
-                componentClass.constructor[componentClass.constructor.length - 1]
-                    .bind(component)('elementRef');
-                assert.isTrue(component.elementRef === 'elementRef');
 
+        describe('constructor', () => {
+            it('injects ElementRef and NgZone', () => {
+                let component = createComponent({});
+                sinon.assert.calledWith(NgCore.inject, ElementRef);
+                sinon.assert.calledWith(NgCore.inject, NgZone);
+                assert.isTrue(component.elementRef === elementRef);
+                assert.isTrue(component.zone === zone);
             });
 
-            it('holds a reference to ngZone ', () => {
-                const component = {};
-                // $FlowFixMe
-                (componentClass.constructor[componentClass.constructor.length - 1])
-                    .bind(component)(null, 'ngZone');
-                assert.isTrue(component.zone === 'ngZone');
+            it('creates an event emitter for each output', () => {
+                let component = createComponent({});
+                assert.instanceOf(component.close, EventEmitter);
+                assert.instanceOf(component['logged-in'], EventEmitter);
             });
         });
 
@@ -131,26 +144,19 @@ describe('angular 2 driver', () => {
             let component;
 
             beforeEach(() => {
-                component =  {
-                    props: {
-                        prefilledEmail: 'a@b.com'
-                    }
-                };
-                // $FlowFixMe
-                componentClass.constructor[componentClass.constructor.length - 1]
-                    .bind(component)(NgCore.ElementRef, NgCore.NgZone);
-                // $FlowFixMe
-                componentClass.ngOnInit
-                    .bind(component)();
+                component = createComponent({
+                    props:          { prefilledEmail: 'a@b.com', foo: 'bar' },
+                    prefilledEmail: 'c@d.com'
+                });
+                component.ngOnInit();
             });
 
             afterEach(() => {
                 component = undefined;
             });
 
-            it('initilize zoid using provided props', () => {
-                // $FlowFixMe
-                sinon.assert.calledWith(unInitializedZoid.init, component.props, null, 'nativeElement value');
+            it('initilize zoid using provided inputs, overriding the props input', () => {
+                sinon.assert.calledWithMatch(unInitializedZoid.init, { prefilledEmail: 'c@d.com', foo: 'bar' }, null, 'nativeElement value');
             });
 
             it('render zoid into target element', () => {
@@ -162,59 +168,66 @@ describe('angular 2 driver', () => {
                 assert.isTrue(component.parent === initializedZoid);
             });
 
-        });
-
-        describe('ngOnChanges', () => {
-            let component;
-            beforeEach(() => {
-                component =  {
-                    props: {
-                        prefilledEmail: 'a@b.com'
-                    }
-                };
-                // $FlowFixMe
-                componentClass.constructor[componentClass.constructor.length - 1]
-                    .bind(component)(NgCore.ElementRef, NgCore.NgZone);
-                // $FlowFixMe
-                componentClass.ngOnInit
-                    .bind(component)();
+            it('listens for custom events', () => {
+                sinon.assert.calledWith(initializedZoid.on, 'logged-in');
             });
 
-            afterEach(() => {
-                component = undefined;
+            it('does not pass lifecycle callbacks which are not bound', () => {
+                const propsPassedToZoid = unInitializedZoid.init.lastCall.args[0];
+                assert.isUndefined(propsPassedToZoid.onError);
+                assert.isUndefined(propsPassedToZoid.onClose);
             });
+        });
 
+        describe('ngOnChanges', () => {
             it('updates props in zoid', () => {
-                // $FlowFixMe
-                component.props.prefilledEmail = 'b@b.com';
-                // $FlowFixMe
-                componentClass.ngOnChanges
-                    .bind(component)();
+                let component = createComponent({ prefilledEmail: 'a@b.com' });
+                component.ngOnInit();
+                component.prefilledEmail = 'b@b.com';
+                component.ngOnChanges();
                 sinon.assert.calledWithMatch(initializedZoid.updateProps, { prefilledEmail: 'b@b.com' });
             });
         });
 
+        describe('ngOnDestroy', () => {
+            it('closes the zoid component', () => {
+                initializedZoid.close.reset();
+                let component = createComponent({});
+                component.ngOnInit();
+                component.ngOnDestroy();
+                sinon.assert.calledOnce(initializedZoid.close);
+                assert.isUndefined(component.parent);
+            });
+        });
+
         it('passed functions trigger change detection when called from zoid', () => {
-            let component;
-            component =  {
-                props: {
-                    onLogin: (email) => {
-                        // $FlowFixMe
-                        component.email = email;
-                    }
+            zone.run.reset();
+            let component = createComponent({
+                onLogin: (email) => {
+                    component.email = email;
                 }
-            };
-            // $FlowFixMe
-            componentClass.constructor[componentClass.constructor.length - 1]
-                .bind(component)(NgCore.ElementRef, NgCore.NgZone);
-            // $FlowFixMe
-            componentClass.ngOnInit
-                .bind(component)();
+            });
+            component.ngOnInit();
             const propsPassedToZoid = unInitializedZoid.init.lastCall.args[0];
             propsPassedToZoid.onLogin('c@b.com');
-            // $FlowFixMe
             assert.isTrue(component.email === 'c@b.com');
-            sinon.assert.calledOnce(NgCore.NgZone.run);
+            sinon.assert.calledOnce(zone.run);
+        });
+
+        it('emits outputs for bound lifecycle callbacks', () => {
+            let component = createComponent({});
+            component.close.observers.push('subscriber');
+            component.ngOnInit();
+            const propsPassedToZoid = unInitializedZoid.init.lastCall.args[0];
+            propsPassedToZoid.onClose('reason');
+            sinon.assert.calledWith(component.close.emit, 'reason');
+        });
+
+        it('emits outputs for custom events', () => {
+            let component = createComponent({});
+            component.ngOnInit();
+            initializedZoid.on.lastCall.args[1]({ foo: 'bar' });
+            sinon.assert.calledWith(component['logged-in'].emit, { foo: 'bar' });
         });
     });
 
@@ -0,0 +1,96 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import { testComponent, testComponent_clickjacking } from '../component';
+
+describe('zoid clickjacking protection', () => {
+
+    it('should ignore clicks in the child until the parent reports the iframe is visible', done => {
+
+        let results = [];
+
+        testComponent_clickjacking.renderIframe({
+
+            foo(clicked, visible) {
+                results.push({ clicked, visible });
+
+                if (results.length === 2) {
+                    assert.deepEqual(results[0], { clicked: false, visible: false });
+                    assert.deepEqual(results[1], { clicked: true, visible: true });
+                    done();
+                }
+            },
+
+            run: `
+                function tryClick() {
+                    var clicked = false;
+                    var listener = function() { clicked = true; };
+                    document.body.addEventListener('click', listener);
+                    document.body.click();
+                    document.body.removeEventListener('click', listener);
+                    return window.xprops.foo(clicked, window.xchild.isVisible());
+                }
+
+                tryClick();
+
+                window.xchild.on('zoid-visibility', function(visible) {
+                    if (visible) {
+                        tryClick();
+                    }
+                });
+            `
+        }, document.body);
+    });
+
+    it('should report the iframe as obscured when another element is placed over it', done => {
+
+        testComponent_clickjacking.renderIframe({
+
+            onEnter() {
+                let rect = this.iframe.getBoundingClientRect();
+                let overlay = document.createElement('div');
+
+                overlay.style.position = 'fixed';
+                overlay.style.left = `${ rect.left }px`;
+                overlay.style.top = `${ rect.top }px`;
+                overlay.style.width = `${ rect.width }px`;
+                overlay.style.height = `${ rect.height }px`;
+                overlay.style.opacity = '0';
+                overlay.style.zIndex = '2147483647';
+
+                let body = document.body;
+
+                if (!body) {
+                    throw new Error(`Expected document.body to be present`);
+                }
+
+                body.appendChild(overlay);
+
+                setTimeout(() => {
+                    assert.isFalse(this.visible);
+                    body.removeChild(overlay);
+                    done();
+                }, 300);
+            }
+        }, document.body);
+    });
+
+    it('should report the iframe as visible when it is rendered into another window using renderTo', done => {
+
+        testComponent.renderIframe({
+            foo: () => done(),
+
+            run: `
+                zoid.getByTag('test-component-clickjacking').renderTo(window.parent, {
+                    foo: function() {
+                        return window.xprops.foo();
+                    },
+
+                    run: 'if (window.xchild.isVisible()) { window.xprops.foo(); } else { ' +
+                         'window.xchild.on("zoid-visibility", function(visible) { if (visible) { window.xprops.foo(); } }); }'
+                }, 'body');
+            `
+        }, document.body);
+    });
+});
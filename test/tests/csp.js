@@ -0,0 +1,70 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import zoid from '../../src';
+import { htmlAttributeEncode } from '../../src/lib';
+import { testComponent_csp, testComponent_noInlineScripts } from '../component';
+
+describe('zoid csp nonce', () => {
+
+    afterEach(() => {
+        zoid.setCspNonce(null);
+    });
+
+    it('should add the global csp nonce to the styles in the container template', done => {
+
+        zoid.setCspNonce('global-nonce');
+
+        testComponent_csp.renderIframe({
+            onEnter() {
+                let style = document.querySelector(`#zoid-test-component-csp-${ this.props.uid } style`);
+
+                assert.ok(style, `Expected container template to include a style element`);
+                // $FlowFixMe
+                assert.equal(style.getAttribute('nonce'), 'global-nonce');
+                done();
+            }
+        }, document.body);
+    });
+
+    it('should prefer a csp nonce passed when rendering over the global nonce', done => {
+
+        zoid.setCspNonce('global-nonce');
+
+        testComponent_csp.renderIframe({
+            cspNonce: 'render-nonce',
+
+            onEnter() {
+                let style = document.querySelector(`#zoid-test-component-csp-${ this.props.uid } style`);
+
+                assert.ok(style, `Expected container template to include a style element`);
+                // $FlowFixMe
+                assert.equal(style.getAttribute('nonce'), 'render-nonce');
+                done();
+            }
+        }, document.body);
+    });
+
+    it('should error when a template uses an inline script and inline scripts are disabled', () => {
+
+        return testComponent_noInlineScripts.renderIframe({
+            onError() {
+                // pass
+            }
+        }, document.body).then(() => {
+            throw new Error(`Expected render to fail`);
+        }, err => {
+            if (!(err instanceof Error)) {
+                throw err;
+            }
+
+            assert.isTrue(err.message.indexOf('Inline scripts are disabled') !== -1, `Unexpected error: ${ err.message }`);
+            assert.isUndefined(window.inlineScriptRan);
+        });
+    });
+
+    it('should escape a csp nonce before writing it into html', () => {
+        assert.equal(htmlAttributeEncode(`"><script>alert(1)</script>`), '&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;');
+    });
+});
@@ -0,0 +1,75 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import zoid from '../../src';
+import { testComponent, testComponent_custom_context } from '../component';
+
+describe('zoid custom contexts', () => {
+
+    it('should enter a component rendered in a registered context', done => {
+
+        testComponent_custom_context.render({
+            onEnter() {
+                assert.equal(this.context, 'inline');
+                done();
+            }
+        }, document.body);
+    });
+
+    it('should enter a component rendered in a registered context and call a prop', done => {
+
+        testComponent_custom_context.init({
+
+            foo(bar) {
+                assert.equal(bar, 'bar');
+                done();
+            },
+
+            run: `
+                window.xprops.foo('bar');
+            `
+        }, 'inline', document.body).render(document.body);
+    });
+
+    it('should render a component to the parent in a registered context', done => {
+
+        testComponent.renderIframe({
+            foo: done,
+
+            run: `
+                zoid.getByTag('test-component-custom-context').renderTo(window.parent, {
+                    onEnter: function() {
+                        return window.xprops.foo();
+                    }
+                }, 'body');
+            `
+        }, document.body);
+    });
+
+    it('should error out when registering an invalid context driver', () => {
+
+        assert.throws(() => {
+            // $FlowFixMe
+            zoid.registerContext('drawer', {});
+        });
+
+        assert.throws(() => {
+            // $FlowFixMe
+            zoid.registerContext('iframe', {});
+        });
+    });
+
+    it('should error out when creating a component with an unregistered context', () => {
+
+        assert.throws(() => {
+            zoid.create({
+                tag:      'test-component-unregistered-context',
+                url:      '/base/test/child.htm',
+                contexts: {
+                    drawer: true
+                }
+            });
+        });
+    });
+});
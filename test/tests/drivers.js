@@ -3,6 +3,7 @@
 import { assert } from 'chai';
 
 import { testComponent } from '../component';
+import type { ReactZoidHandleType } from '../../src/drivers/react';
 
 window.angular.module('app', [ 'test-component' ]);
 window.angular.bootstrap(document.body, [ 'app' ]);
@@ -77,6 +78,172 @@ describe('zoid drivers', () => {
         window.ReactDOM.render(window.React.createElement(Main, null), container);
     });
 
+    it('should close a component rendered with react when it is unmounted', done => {
+
+        let container = document.createElement('div');
+
+        if (!document.body) {
+            throw new Error(`Expected document.body to be present`);
+        }
+
+        document.body.appendChild(container);
+
+        window.ReactDOM.render(
+            // $FlowFixMe
+            window.React.createElement(testComponent.react, {
+                onEnter() {
+                    window.ReactDOM.unmountComponentAtNode(container);
+                },
+
+                onClose() {
+                    done();
+                }
+            }),
+            container
+        );
+    });
+
+    it('should render a fallback and expose exports through a ref for a component rendered with react', done => {
+
+        let handle : ?ReactZoidHandleType;
+        let container = document.createElement('div');
+
+        if (!document.body) {
+            throw new Error(`Expected document.body to be present`);
+        }
+
+        document.body.appendChild(container);
+
+        window.ReactDOM.render(
+            // $FlowFixMe
+            window.React.createElement(testComponent.react, {
+                ref: instance => {
+                    handle = handle || instance;
+                },
+
+                fallback: window.React.createElement('span', { className: 'test-fallback' }, 'Loading'),
+
+                run: `
+                    window.xchild.export({
+                        echo: function(value) {
+                            return value;
+                        }
+                    });
+                `
+            }),
+            container
+        );
+
+        assert.ok(container.querySelector('.test-fallback'), `Expected fallback to be rendered`);
+
+        let ref = handle;
+
+        if (!ref) {
+            throw new Error(`Expected ref to be set`);
+        }
+
+        ref.exports.echo('foo').then(result => {
+            assert.equal(result, 'foo');
+            assert.notOk(container.querySelector('.test-fallback'), `Expected fallback to be removed`);
+            return ref.close();
+        }).then(() => done(), done);
+    });
+
+    it('should render a component with the react hook, pass props down on re-render, and close it on unmount', done => {
+
+        let container = document.createElement('div');
+
+        if (!document.body) {
+            throw new Error(`Expected document.body to be present`);
+        }
+
+        document.body.appendChild(container);
+
+        let Main = ({ count } : { count : number }) : Object => {
+
+            // $FlowFixMe
+            let { ref, loading } = testComponent.react.useZoidComponent({
+                numberProp: count,
+
+                foo(value) {
+                    if (value === 2) {
+                        assert.isFalse(loading, `Expected loading to be false`);
+                        window.ReactDOM.unmountComponentAtNode(container);
+                    }
+                },
+
+                onClose() {
+                    done();
+                },
+
+                run: `
+                    window.xchild.onProps(function() {
+                        window.xprops.foo(window.xprops.numberProp);
+                    });
+                `
+            });
+
+            window.React.useEffect(() => {
+                if (!loading && count === 1) {
+                    window.ReactDOM.render(window.React.createElement(Main, { count: 2 }), container);
+                }
+            }, [ loading ]);
+
+            return window.React.createElement('div', { ref });
+        };
+
+        window.ReactDOM.render(window.React.createElement(Main, { count: 1 }), container);
+    });
+
+    it('should not pass props down again when a component rendered with the react hook re-renders with the same props', done => {
+
+        let container = document.createElement('div');
+
+        if (!document.body) {
+            throw new Error(`Expected document.body to be present`);
+        }
+
+        document.body.appendChild(container);
+
+        let Main = (props : Object) : Object => {
+            // $FlowFixMe
+            let { ref } = testComponent.react.useZoidComponent(props);
+            return window.React.createElement('div', { ref });
+        };
+
+        let render = (props : Object) => {
+            window.ReactDOM.render(window.React.createElement(Main, props), container);
+        };
+
+        let props = {
+            stringProp: 'foo',
+
+            onEnter() {
+                let updateProps = window.sinon.spy(this, 'updateProps');
+
+                render({ ...props });
+
+                setTimeout(() => {
+                    window.sinon.assert.notCalled(updateProps);
+
+                    render({ ...props, stringProp: 'bar' });
+
+                    setTimeout(() => {
+                        window.sinon.assert.calledOnce(updateProps);
+                        assert.equal(updateProps.lastCall.args[0].stringProp, 'bar');
+                        window.ReactDOM.unmountComponentAtNode(container);
+                    }, 50);
+                }, 50);
+            },
+
+            onClose() {
+                done();
+            }
+        };
+
+        render(props);
+    });
+
     it('should enter a component rendered with angular and call onEnter', done => {
 
         let injector = window.angular.element(document.body).injector();
@@ -128,6 +295,77 @@ describe('zoid drivers', () => {
         });
     });
 
+    it('should call an expression bound to a function prop of a component rendered with angular', done => {
+
+        let injector = window.angular.element(document.body).injector();
+        let $compile = injector.get('$compile');
+        let $rootScope = injector.get('$rootScope');
+
+        let $scope = $rootScope.$new();
+
+        $scope.onFoo = function onFoo(bar) {
+            assert.equal(bar, 'bar');
+            $scope.$destroy();
+        };
+
+        $scope.onClose = function onClose() {
+            done();
+        };
+
+        $scope.run = `
+            window.xprops.foo('bar');
+        `;
+
+        $compile(`
+            <test-component foo="onFoo($args[0])" run="run" on-close="onClose"></test-component>
+        `)($scope, element => {
+            if (!document.body) {
+                throw new Error(`Expected document.body to be present`);
+            }
+            document.body.appendChild(element[0]);
+        });
+    });
+
+    it('should only update the changed props of a component rendered with angular', done => {
+
+        let injector = window.angular.element(document.body).injector();
+        let $compile = injector.get('$compile');
+        let $rootScope = injector.get('$rootScope');
+
+        let $scope = $rootScope.$new();
+
+        $scope.stringProp = 'foo';
+        $scope.objectProp = { foo: 'bar' };
+
+        $scope.onEnter = function onEnter() {
+            let updateProps = window.sinon.spy(this, 'updateProps');
+
+            $scope.$apply(() => {
+                $scope.stringProp = 'baz';
+            });
+
+            window.sinon.assert.calledOnce(updateProps);
+            assert.deepEqual(Object.keys(updateProps.lastCall.args[0]), [ 'stringProp' ]);
+
+            $scope.$apply(() => {
+                $scope.objectProp = { foo: 'bar' };
+            });
+
+            window.sinon.assert.calledOnce(updateProps);
+
+            this.close().then(() => done());
+        };
+
+        $compile(`
+            <test-component on-enter="onEnter" string-prop="stringProp" object-prop="objectProp"></test-component>
+        `)($scope, element => {
+            if (!document.body) {
+                throw new Error(`Expected document.body to be present`);
+            }
+            document.body.appendChild(element[0]);
+        });
+    });
+
     it('should enter a component rendered with a script tag and call onEnter', done => {
 
         let container = document.createElement('div');
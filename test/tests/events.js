@@ -0,0 +1,160 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import zoid from '../../src';
+import { EVENTS, WILDCARD } from '../../src/constants';
+import { testComponent } from '../component';
+
+describe('zoid custom events', () => {
+
+    it('should receive an event emitted by the child with a payload', done => {
+
+        let instance = testComponent.init({
+            run: `
+                window.xchild.emit('test-event', { foo: 'bar' });
+            `
+        }, 'iframe', document.body);
+
+        instance.on('test-event', data => {
+            assert.deepEqual(data, { foo: 'bar' });
+            done();
+        });
+
+        instance.render(document.body);
+    });
+
+    it('should send an event from the parent to the child', done => {
+
+        testComponent.renderIframe({
+
+            foo(data) {
+                assert.deepEqual(data, { hello: 'world' });
+                done();
+            },
+
+            onEnter() {
+                this.emit('test-event', { hello: 'world' });
+            },
+
+            run: `
+                window.xchild.on('test-event', function(data) {
+                    window.xprops.foo(data);
+                });
+            `
+        }, document.body);
+    });
+
+    it('should call wildcard listeners with the event name and payload', done => {
+
+        let instance = testComponent.init({
+            run: `
+                window.xchild.emit('other-event', 'baz');
+            `
+        }, 'iframe', document.body);
+
+        instance.on('*', (name, data) => {
+            if (name === 'other-event') {
+                assert.equal(data, 'baz');
+                done();
+            }
+        });
+
+        instance.render(document.body);
+    });
+
+    it('should not call wildcard listeners for internal events', done => {
+
+        let names = [];
+
+        let instance = testComponent.init({
+            run: `
+                window.xchild.emit('other-event');
+            `
+        }, 'iframe', document.body);
+
+        instance.on('*', name => {
+            names.push(name);
+
+            if (name === 'other-event') {
+                instance.close().then(() => {
+                    assert.deepEqual(names, [ 'other-event' ]);
+                    done();
+                }).catch(done);
+            }
+        });
+
+        instance.render(document.body);
+    });
+
+    it('should only call once listeners a single time', done => {
+
+        let count = 0;
+
+        let instance = testComponent.init({
+            foo() {
+                assert.equal(count, 1, 'Expected once listener to be called only once');
+                done();
+            },
+
+            run: `
+                window.xchild.emit('test-event').then(function() {
+                    return window.xchild.emit('test-event');
+                }).then(function() {
+                    return window.xprops.foo();
+                });
+            `
+        }, 'iframe', document.body);
+
+        instance.once('test-event', () => {
+            count += 1;
+        });
+
+        instance.render(document.body);
+    });
+
+    it('should reject unknown events emitted by the child', done => {
+
+        testComponent.renderIframe({
+
+            foo(err) {
+                assert.isTrue(err.indexOf('Unknown event') !== -1, 'Expected unknown event error');
+                done();
+            },
+
+            run: `
+                window.xchild.emit('unknown-event').catch(function(err) {
+                    window.xprops.foo(err.message);
+                });
+            `
+        }, document.body);
+    });
+
+    it('should reject unknown events emitted by the parent', () => {
+
+        let instance = testComponent.init({}, 'iframe', document.body);
+
+        return instance.emit('unknown-event').then(() => {
+            throw new Error(`Expected unknown event to be rejected`);
+        }, err => {
+            if (!(err instanceof Error)) {
+                throw err;
+            }
+
+            assert.isTrue(err.message.indexOf('Unknown event') !== -1, 'Expected unknown event error');
+        });
+    });
+
+    it('should not allow a component to declare one of zoid\'s own events', () => {
+
+        for (let name of [ WILDCARD, ...Object.keys(EVENTS).map(key => EVENTS[key]) ]) {
+            assert.throws(() => {
+                zoid.create({
+                    tag:    'test-component-reserved-event',
+                    url:    '/base/test/child.htm?devenv=true',
+                    events: [ name ]
+                });
+            }, /Invalid event name|reserved by zoid/, `Expected ${ name } to be rejected`);
+        }
+    });
+});
@@ -0,0 +1,87 @@
+/* @flow */
+
+import { assert } from 'chai';
+import { type ZalgoPromise } from 'zalgo-promise/src';
+
+import { testComponent } from '../component';
+
+describe('zoid child exports', () => {
+
+    it('should call a method exported by the child', done => {
+
+        testComponent.renderIframe({
+
+            onEnter() : ZalgoPromise<void> {
+                return this.exports.echo('foo').then(result => {
+                    assert.equal(result, 'foo');
+                    done();
+                });
+            },
+
+            run: `
+                window.xchild.export({
+                    echo: function(value) {
+                        return value;
+                    }
+                });
+            `
+        }, document.body);
+    });
+
+    it('should queue calls to exported methods until the child has initialized', done => {
+
+        let instance = testComponent.init({
+            run: `
+                window.xchild.export({
+                    getState: function() {
+                        return { ready: true };
+                    }
+                });
+            `
+        }, 'iframe', document.body);
+
+        instance.exports.getState().then(state => {
+            assert.deepEqual(state, { ready: true });
+            done();
+        });
+
+        instance.render(document.body);
+    });
+
+    it('should error out when calling a declared method the child has not exported', done => {
+
+        testComponent.renderIframe({
+
+            onEnter() : ZalgoPromise<void> {
+                return this.exports.getState().then(() => {
+                    done(new Error(`Expected getState to be rejected`));
+                }, () => {
+                    done();
+                });
+            }
+        }, document.body);
+    });
+
+    it('should error out when the child exports an undeclared method', done => {
+
+        testComponent.renderIframe({
+
+            foo(err) {
+                assert.isTrue(err.indexOf('undeclared') !== -1, 'Expected undeclared export error');
+                done();
+            },
+
+            run: `
+                try {
+                    window.xchild.export({
+                        notDeclared: function() {
+                            // pass
+                        }
+                    });
+                } catch (err) {
+                    window.xprops.foo(err.message);
+                }
+            `
+        }, document.body);
+    });
+});
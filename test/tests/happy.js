@@ -411,6 +411,60 @@ describe('zoid happy cases', () => {
         }, document.body);
     });
 
+    it('should enter a component and call back with an array prop', done => {
+
+        testComponent.renderIframe({
+
+            arrayProp: [ 1, 2, 3 ],
+
+            foo(result) {
+                assert.deepEqual(result, [ 1, 2, 3 ]);
+                done();
+            },
+
+            run: `
+                window.xprops.foo(window.xprops.arrayProp);
+            `
+        }, document.body);
+    });
+
+    it('should enter a component and receive a date prop as a date', done => {
+
+        let date = new Date(Date.UTC(2018, 0, 1));
+
+        testComponent.renderIframe({
+
+            dateProp: date,
+
+            foo(isDate, time) {
+                assert.isTrue(isDate, 'Expected dateProp to be a date in the child');
+                assert.equal(time, date.getTime());
+                done();
+            },
+
+            run: `
+                window.xprops.foo(window.xprops.dateProp instanceof Date, window.xprops.dateProp.getTime());
+            `
+        }, document.body);
+    });
+
+    it('should enter a component and call back with an enum prop', done => {
+
+        testComponent.renderIframe({
+
+            enumProp: 'medium',
+
+            foo(result) {
+                assert.equal(result, 'medium');
+                done();
+            },
+
+            run: `
+                window.xprops.foo(window.xprops.enumProp);
+            `
+        }, document.body);
+    });
+
     it('should enter a component and call back with a function prop', done => {
 
         testComponent.renderIframe({
@@ -7,10 +7,28 @@ import './error';
 import './templates';
 import './hijack';
 import './options';
+import './queryParams';
 import './parent';
 import './validation';
+import './propValidation';
 import './logging';
 import './parentDomainCheck';
+import './ancestorDomainCheck';
 import './angular2';
 import './vue';
-
+import './vue3';
+import './modal';
+import './customContext';
+import './exports';
+import './events';
+import './prompt';
+import './sensitive';
+import './initialProps';
+import './nonce';
+import './propDomains';
+import './propCalls';
+import './sandbox';
+import './csp';
+import './trustedTypes';
+import './clickjacking';
+import './webcomponent';
@@ -0,0 +1,90 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import { POST_MESSAGE } from '../../src/constants';
+import { testComponent, testComponent_crossDomain } from '../component';
+
+describe('zoid initial props token', () => {
+
+    // Karma serves the tests on both localhost and 127.0.0.1, which are different domains
+
+    function getCrossDomainUrl(path : string) : string {
+        let hostname = (window.location.hostname === 'localhost') ? '127.0.0.1' : 'localhost';
+        return `${ window.location.protocol }//${ hostname }:${ window.location.port }${ path }`;
+    }
+
+    it('should exchange a props token for the initial props exactly once', () => {
+
+        let instance = testComponent.init({
+            stringProp:    'foobar',
+            sensitiveProp: 'sensitive-value-004'
+        }, 'iframe', document.body);
+
+        instance.propsToken = 'abc123';
+
+        let getProps = instance.listeners()[POST_MESSAGE.GET_PROPS];
+
+        // $FlowFixMe
+        let { props } = getProps.call(instance, window, { token: 'abc123' });
+
+        assert.equal(props.stringProp, 'foobar');
+        assert.isUndefined(props.sensitiveProp, 'Expected sensitive prop to be excluded');
+
+        assert.throws(() => {
+            getProps.call(instance, window, { token: 'abc123' });
+        }, /Invalid props token/);
+    });
+
+    it('should reject an invalid props token', () => {
+
+        let instance = testComponent.init({}, 'iframe', document.body);
+
+        instance.propsToken = 'abc123';
+
+        assert.throws(() => {
+            instance.listeners()[POST_MESSAGE.GET_PROPS].call(instance, window, { token: 'xyz789' });
+        }, /Invalid props token/);
+    });
+
+    it('should exchange the props token over post-message when a child on another domain is rendered using renderTo', done => {
+
+        // Runs in the child, which reuses its token once it has initialized
+
+        let childRun = `
+            var usedToken = window.xchild.usesPropsToken();
+
+            window.xchild.fetchInitialProps().then(function() {
+                window.xprops.foo(window.xprops.stringProp, usedToken, 'Expected the token to only be accepted once');
+            }, function(err) {
+                window.xprops.foo(window.xprops.stringProp, usedToken, err.message);
+            });
+        `;
+
+        // The frame on the other domain renders the child back into this window
+
+        testComponent_crossDomain.renderIframe({
+
+            url: getCrossDomainUrl('/base/test/child.htm?devenv=true'),
+
+            foo(value, usedToken, message) {
+                assert.equal(value, 'foobar');
+                assert.isTrue(usedToken, 'Expected the child to exchange a props token');
+                assert.isTrue(message.indexOf('Invalid props token') !== -1, `Expected the token to be rejected, got ${ message }`);
+                done();
+            },
+
+            run: `
+                zoid.getByTag('test-component-cross-domain').renderTo(window.parent, {
+                    url:        ${ JSON.stringify(`${ window.location.origin }/base/test/child.htm?devenv=true`) },
+                    stringProp: 'foobar',
+                    run:        ${ JSON.stringify(childRun) },
+
+                    foo: function(value, usedToken, message) {
+                        return window.xprops.foo(value, usedToken, message);
+                    }
+                }, 'body');
+            `
+        }, document.body);
+    });
+});
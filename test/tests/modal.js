@@ -0,0 +1,204 @@
+/* @flow */
+
+import { assert } from 'chai';
+import { onCloseWindow } from 'cross-domain-utils/src';
+
+import { testComponent, testComponent_modal } from '../component';
+
+describe('zoid modal context', () => {
+
+    function pressEscape() {
+        let event = document.createEvent('Event');
+        event.initEvent('keydown', true, true);
+        // $FlowFixMe
+        event.keyCode = 27;
+        document.dispatchEvent(event);
+    }
+
+    it('should enter a component rendered as a modal', done => {
+
+        testComponent.renderModal({
+            onEnter() {
+                assert.isTrue(Boolean(this.overlay && this.overlay.parentNode), 'Expected modal overlay to be in the page');
+                assert.equal(this.context, 'modal');
+                done();
+            }
+        });
+    });
+
+    it('should lock scrolling on the parent page while a modal is open', done => {
+
+        let body = document.body;
+
+        if (!body) {
+            throw new Error(`Expected document.body to be present`);
+        }
+
+        let overflow = body.style.overflow;
+
+        testComponent.renderModal({
+            onEnter() {
+                assert.equal(body.style.overflow, 'hidden', 'Expected body scrolling to be locked');
+
+                this.close().then(() => {
+                    assert.equal(body.style.overflow, overflow, 'Expected body scrolling to be restored');
+                    done();
+                });
+            }
+        });
+    });
+
+    it('should close a modal when the escape key is pressed', done => {
+
+        testComponent.renderModal({
+
+            onEnter() {
+                onCloseWindow(this.window, () => {
+                    done();
+                }, 50);
+
+                pressEscape();
+            },
+
+            onClose(reason) {
+                assert.equal(reason, 'modal_dismissed');
+            }
+        });
+    });
+
+    it('should close a modal when the escape key is pressed inside the component', done => {
+
+        testComponent.renderModal({
+
+            onClose(reason) {
+                assert.equal(reason, 'modal_dismissed');
+                done();
+            },
+
+            run: `
+                var event = document.createEvent('Event');
+                event.initEvent('keydown', true, true);
+                event.keyCode = 27;
+                document.dispatchEvent(event);
+            `
+        });
+    });
+
+    it('should render the modal overlay as a dialog', done => {
+
+        testComponent.renderModal({
+            onEnter() {
+                let overlay = this.overlay;
+
+                if (!overlay) {
+                    throw new Error(`Expected modal overlay to be present`);
+                }
+
+                assert.equal(overlay.getAttribute('role'), 'dialog');
+                assert.equal(overlay.getAttribute('aria-modal'), 'true');
+                this.close().then(() => done(), done);
+            }
+        });
+    });
+
+    it('should keep focus inside the modal and restore it on close', done => {
+
+        let body = document.body;
+
+        if (!body) {
+            throw new Error(`Expected document.body to be present`);
+        }
+
+        let button = document.createElement('button');
+        body.appendChild(button);
+        button.focus();
+
+        testComponent.renderModal({
+            onEnter() {
+                let overlay = this.overlay;
+
+                if (!overlay) {
+                    throw new Error(`Expected modal overlay to be present`);
+                }
+
+                button.focus();
+                assert.equal(document.activeElement, overlay, 'Expected focus to be kept inside the modal');
+
+                this.close().then(() => {
+                    assert.equal(document.activeElement, button, 'Expected focus to be restored');
+                    body.removeChild(button);
+                    done();
+                }).catch(done);
+            }
+        });
+    });
+
+    it('should only close the topmost modal when the escape key is pressed', done => {
+
+        testComponent_modal.renderModal({
+
+            onEnter() {
+                testComponent_modal.renderModal({
+
+                    onEnter: () => {
+                        pressEscape();
+                    },
+
+                    onClose: (reason) => {
+                        assert.equal(reason, 'modal_dismissed');
+
+                        setTimeout(() => {
+                            assert.isTrue(Boolean(this.overlay && this.overlay.parentNode), 'Expected the first modal to still be open');
+                            this.close().then(() => done(), done);
+                        }, 50);
+                    }
+                });
+            },
+
+            onClose(reason) {
+                if (reason === 'modal_dismissed') {
+                    done(new Error(`Expected only the topmost modal to be dismissed`));
+                }
+            }
+        });
+    });
+
+    it('should close a modal on click of the backdrop', done => {
+
+        testComponent.renderModal({
+
+            onEnter() {
+                onCloseWindow(this.window, () => {
+                    done();
+                }, 50);
+
+                if (!this.overlay) {
+                    throw new Error(`Expected modal overlay to be present`);
+                }
+
+                this.overlay.click();
+            }
+        });
+    });
+
+    it('should not close a modal on click inside the component container', done => {
+
+        testComponent.renderModal({
+
+            onEnter() {
+                let closed = false;
+
+                onCloseWindow(this.window, () => {
+                    closed = true;
+                }, 50);
+
+                this.element.click();
+
+                setTimeout(() => {
+                    assert.isFalse(closed, 'Expected modal to remain open');
+                    done();
+                }, 200);
+            }
+        });
+    });
+});
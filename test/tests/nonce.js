@@ -0,0 +1,125 @@
+/* @flow */
+
+import { assert } from 'chai';
+import base32 from 'hi-base32';
+
+import { POST_MESSAGE } from '../../src/constants';
+import { RenderError } from '../../src/error';
+import { globalFor } from '../../src/lib';
+import { testComponent } from '../component';
+
+describe('zoid window name nonce', () => {
+
+    // Rewrite a child window name without the nonce, as a parent from before the nonce was introduced would build it
+
+    function removeNonce(windowName : string) : string {
+        let [ prefix, name, version, encodedOptions ] = windowName.split('__');
+        let options = JSON.parse(base32.decode(encodedOptions.toUpperCase()));
+
+        delete options.nonce;
+
+        encodedOptions = base32.encode(JSON.stringify(options)).replace(/[=]/g, '').toLowerCase();
+        return [ prefix, name, version, encodedOptions, '' ].join('__');
+    }
+
+    it('should register a nonce for the child window name in the parent window', () => {
+
+        let instance = testComponent.init({}, 'iframe', document.body);
+        let global = globalFor(window);
+
+        assert.isString(instance.childWindowNonce, 'Expected a nonce to be generated');
+        assert.isTrue(Boolean(global && global.nonces[instance.childWindowNonce]), 'Expected nonce to be registered');
+    });
+
+    it('should confirm a valid nonce and reject an invalid one', () => {
+
+        let instance = testComponent.init({}, 'iframe', document.body);
+        let confirmNonce = instance.listeners()[POST_MESSAGE.CONFIRM_NONCE];
+
+        confirmNonce.call(instance, window, { nonce: instance.childWindowNonce });
+
+        assert.throws(() => {
+            confirmNonce.call(instance, window, { nonce: 'not-the-nonce' });
+        }, /Invalid window name nonce/);
+    });
+
+    it('should expose props to a child whose nonce was confirmed', done => {
+
+        testComponent.renderIframe({
+
+            foo(confirmed) {
+                assert.isTrue(confirmed, 'Expected child to have confirmed the nonce');
+                done();
+            },
+
+            run: `
+                window.xprops.foo(window.xchild.nonceConfirmed);
+            `
+        }, document.body);
+    });
+
+    it('should error and log a nonce mismatch when the child window name nonce was not created by the parent', done => {
+
+        let errored = false;
+        let logged = false;
+
+        let finish = () => {
+            if (errored && logged) {
+                delete window.onChildErrorLog;
+                done();
+            }
+        };
+
+        window.onChildErrorLog = (event) => {
+            if (typeof event === 'string' && event.indexOf('window_name_nonce_mismatch') !== -1) {
+                logged = true;
+                finish();
+            }
+        };
+
+        let instance = testComponent.init({
+            onError(err) {
+                if (!(err instanceof RenderError)) {
+                    done(new Error(`Expected a RenderError`));
+                    return;
+                }
+
+                assert.isTrue(err.message.indexOf('Window name nonce was not created by parent window') !== -1, `Expected a nonce error, got ${ err.message }`);
+                errored = true;
+                finish();
+            }
+        }, 'iframe', document.body);
+
+        let global = globalFor(window);
+
+        if (!global || !instance.childWindowNonce) {
+            throw new Error(`Expected a nonce to be registered`);
+        }
+
+        // Forge the nonce, by forgetting that we created it
+
+        delete global.nonces[instance.childWindowNonce];
+
+        instance.render(document.body).catch(() => {
+            // pass
+        });
+    });
+
+    it('should still render a child whose window name has no nonce', done => {
+
+        let instance = testComponent.init({
+
+            foo(bar) {
+                assert.equal(bar, 'bar');
+                done();
+            },
+
+            run: `
+                window.xprops.foo('bar');
+            `
+        }, 'iframe', document.body);
+
+        instance.childWindowName = removeNonce(instance.childWindowName);
+        instance.render(document.body);
+    });
+});
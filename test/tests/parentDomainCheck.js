@@ -1,6 +1,7 @@
 /* @flow */
 
 import { assert } from 'chai';
+import { ZalgoPromise } from 'zalgo-promise/src';
 
 import { testComponent_parentDomains_string,
     testComponent_parentDomains_array_of_strings,
@@ -9,7 +10,10 @@ import { testComponent_parentDomains_string,
     testComponent_parentDomains_array_of_regex_match,
     testComponent_parentDomains_array_of_strings_match,
     testComponent_parentDomains_array_of_strings_match_wildcard,
-    testComponent_parentDomains_string_match_wildcard
+    testComponent_parentDomains_string_match_wildcard,
+    testComponent_parentDomains_function_match,
+    testComponent_parentDomains_async_function_match,
+    testComponent_parentDomains_async_function
 } from '../component';
 import { RenderError } from '../../src/error';
 
@@ -57,6 +61,22 @@ describe('parent domain check', () => {
             }, document.body);
         });
 
+        it('allowedParentDomains is specified as a function and allows the parent domain', done => {
+            testComponent_parentDomains_function_match.renderIframe({
+                onEnter: () => {
+                    done();
+                }
+            }, document.body);
+        });
+
+        it('allowedParentDomains is specified as an async function and allows the parent domain', done => {
+            testComponent_parentDomains_async_function_match.renderIframe({
+                onEnter: () => {
+                    done();
+                }
+            }, document.body);
+        });
+
     });
 
     describe('should throw error when: ', () => {
@@ -89,6 +109,58 @@ describe('parent domain check', () => {
                     done();
                 });
         });
+
+        it('allowedParentDomains is specified as an async function and does not allow the parent domain', done => {
+            testComponent_parentDomains_async_function.renderIframe({}, document.body)
+                .catch(err => {
+                    assert.isTrue(err instanceof RenderError);
+                    // $FlowFixMe
+                    assert.isTrue(err && err.toString().indexOf('Can not be rendered by domain:') > -1);
+                    done();
+                });
+        });
+    });
+
+    describe('domain callbacks', () => {
+
+        it('should only call a domain callback once per origin', () => {
+            let calls = 0;
+            let callback = () => {
+                calls += 1;
+                return ZalgoPromise.resolve(true);
+            };
+
+            return ZalgoPromise.all([
+                testComponent_parentDomains_function_match.isDomainAllowed(callback, 'http://www.somedomain.com'),
+                testComponent_parentDomains_function_match.isDomainAllowed(callback, 'http://www.somedomain.com'),
+                testComponent_parentDomains_function_match.isDomainAllowed(callback, 'http://www.otherdomain.com')
+            ]).then(results => {
+                assert.deepEqual(results, [ true, true, true ]);
+                assert.equal(calls, 2);
+            });
+        });
+
+        it('should call a domain callback again after it fails', () => {
+            let calls = 0;
+            let callback = () => {
+                calls += 1;
+                if (calls === 1) {
+                    throw new Error('Lookup failed');
+                }
+                return true;
+            };
+
+            return testComponent_parentDomains_function_match.isDomainAllowed(callback, 'http://www.somedomain.com').then(() => {
+                throw new Error('Expected domain callback to fail');
+            }, err => {
+                // $FlowFixMe
+                assert.equal(err.message, 'Lookup failed');
+                return testComponent_parentDomains_function_match.isDomainAllowed(callback, 'http://www.somedomain.com');
+            }).then(allowed => {
+                assert.isTrue(allowed);
+                assert.equal(calls, 2);
+            });
+        });
     });
 
 });
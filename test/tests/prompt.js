@@ -0,0 +1,77 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import { CloseError } from '../../src/error';
+import { CLOSE_REASONS } from '../../src/constants';
+import { testComponent } from '../component';
+
+describe('zoid prompt', () => {
+
+    it('should resolve with the value passed by the child', done => {
+
+        testComponent.prompt({
+            run: `
+                window.xchild.resolve({ color: 'blue' });
+            `
+        }, document.body).then(result => {
+            assert.deepEqual(result, { color: 'blue' });
+            done();
+        }).catch(done);
+    });
+
+    it('should reject with the error passed by the child', done => {
+
+        testComponent.prompt({
+            run: `
+                window.xchild.reject(new Error('cancelled by child'));
+            `
+        }, document.body).then(() => {
+            done(new Error(`Expected prompt to be rejected`));
+        }, err => {
+            if (!(err instanceof Error)) {
+                return done(new Error(`Expected an error`));
+            }
+
+            assert.isFalse(err instanceof CloseError, 'Expected a regular error');
+            assert.equal(err.message, 'cancelled by child');
+            done();
+        });
+    });
+
+    it('should reject with a CloseError when the child closes without a result', done => {
+
+        testComponent.prompt({
+            run: `
+                window.xchild.close();
+            `
+        }, document.body).then(() => {
+            done(new Error(`Expected prompt to be rejected`));
+        }, err => {
+            if (!(err instanceof CloseError)) {
+                return done(new Error(`Expected a CloseError`));
+            }
+
+            assert.equal(err.reason, CLOSE_REASONS.CHILD_CALL);
+            done();
+        });
+    });
+
+    it('should close the component after the child returns a result', done => {
+
+        let closed = false;
+
+        testComponent.prompt({
+            onClose() {
+                closed = true;
+            },
+
+            run: `
+                window.xchild.resolve('done');
+            `
+        }, document.body).then(() => {
+            assert.isTrue(closed, 'Expected component to be closed');
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,158 @@
+/* @flow */
+
+import { assert } from 'chai';
+import { getDomain } from 'cross-domain-utils/src';
+import { ZalgoPromise } from 'zalgo-promise/src';
+
+import zoid from '../../src';
+import { testComponent_propCalls, propCalls } from '../component';
+
+describe('zoid prop calls', () => {
+
+    beforeEach(() => {
+        propCalls.length = 0;
+    });
+
+    it('should pass the details of each call from the child to onPropCall', done => {
+
+        testComponent_propCalls.renderIframe({
+
+            foo(value) : string {
+                return `${ value }-result`;
+            },
+
+            rateLimitedProp() {
+                let call = propCalls.filter(item => item.key === 'foo')[0];
+
+                assert.ok(call, 'Expected onPropCall to be called for foo');
+                assert.deepEqual(call.args, [ 'bar' ]);
+                assert.equal(call.origin, getDomain());
+                assert.equal(call.result, 'bar-result');
+                assert.isNumber(call.duration);
+                done();
+            },
+
+            run: `
+                window.xchild.init().then(function() {
+                    return window.xprops.foo('bar');
+                }).then(function() {
+                    window.xprops.rateLimitedProp();
+                });
+            `
+        }, document.body);
+    });
+
+    it('should reject calls from the child beyond the rate limit', done => {
+
+        let calls = 0;
+
+        testComponent_propCalls.renderIframe({
+
+            rateLimitedProp() {
+                calls += 1;
+            },
+
+            foo(message) {
+                assert.equal(calls, 2);
+                assert.isTrue(message.indexOf('can not be called more than 2 times') !== -1, `Unexpected error: ${ message }`);
+
+                let rejected = propCalls.filter(item => item.key === 'rateLimitedProp' && item.error);
+                assert.equal(rejected.length, 1);
+                done();
+            },
+
+            run: `
+                window.xchild.init().then(function() {
+                    return window.xprops.rateLimitedProp();
+                }).then(function() {
+                    return window.xprops.rateLimitedProp();
+                }).then(function() {
+                    return window.xprops.rateLimitedProp();
+                }).catch(function(err) {
+                    window.xprops.foo(err.message);
+                });
+            `
+        }, document.body);
+    });
+
+    it('should keep rate limiting calls from the child after the props are updated', done => {
+
+        let calls = 0;
+
+        let rateLimitedProp = () => {
+            calls += 1;
+        };
+
+        testComponent_propCalls.renderIframe({
+
+            rateLimitedProp,
+
+            foo(message) : ?ZalgoPromise<void> {
+                if (message === 'update') {
+                    return this.updateProps({ rateLimitedProp });
+                }
+
+                assert.equal(calls, 2);
+                assert.isTrue(message.indexOf('can not be called more than 2 times') !== -1, `Unexpected error: ${ message }`);
+                done();
+            },
+
+            run: `
+                window.xchild.init().then(function() {
+                    return window.xprops.rateLimitedProp();
+                }).then(function() {
+                    return window.xprops.rateLimitedProp();
+                }).then(function() {
+                    return window.xprops.foo('update');
+                }).then(function() {
+                    return window.xprops.rateLimitedProp();
+                }).catch(function(err) {
+                    window.xprops.foo(err.message);
+                });
+            `
+        }, document.body);
+    });
+
+    it('should not rate limit calls made directly from the parent window', () => {
+
+        let calls = 0;
+
+        let instance = testComponent_propCalls.init({
+            rateLimitedProp() {
+                calls += 1;
+            }
+        }, 'iframe', document.body);
+
+        // $FlowFixMe
+        instance.props.rateLimitedProp();
+        // $FlowFixMe
+        instance.props.rateLimitedProp();
+        // $FlowFixMe
+        instance.props.rateLimitedProp();
+
+        assert.equal(calls, 3);
+        assert.equal(propCalls.filter(item => item.key === 'rateLimitedProp').length, 3);
+    });
+
+    it('should not allow rateLimit without a positive calls and perMs', () => {
+
+        let error;
+
+        try {
+            zoid.create({
+                tag:   'test-component-prop-calls-invalid',
+                url:   '/base/test/child.htm?devenv=true',
+                props: {
+                    fooProp: {
+                        type:      'function',
+                        rateLimit: { calls: 0, perMs: 1000 }
+                    }
+                }
+            });
+        } catch (err) {
+            error = err;
+        }
+
+        assert.ok(error, 'Expected an error to be thrown');
+    });
+});
@@ -0,0 +1,96 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import zoid from '../../src';
+import { testComponent } from '../component';
+
+describe('zoid prop allowed domains', () => {
+
+    it('should allow a function prop to be called from an allowed domain', done => {
+
+        testComponent.renderIframe({
+
+            allowedDomainFunctionProp(value) {
+                assert.equal(value, 'called');
+                done();
+            },
+
+            run: `
+                window.xchild.init().then(function() {
+                    window.xprops.allowedDomainFunctionProp('called');
+                });
+            `
+        }, document.body);
+    });
+
+    it('should reject calls to a function prop from a domain which is not allowed, and call onError', done => {
+
+        let onErrorCalled = false;
+
+        testComponent.renderIframe({
+
+            otherDomainFunctionProp() {
+                done(new Error('Expected otherDomainFunctionProp not to be called'));
+            },
+
+            onError(err) {
+                // $FlowFixMe
+                assert.isTrue(err.message.indexOf('can not be called from domain') !== -1, `Unexpected error: ${ err.message }`);
+                onErrorCalled = true;
+            },
+
+            foo(message) {
+                assert.isTrue(onErrorCalled, 'Expected onError to be called');
+                assert.isTrue(message.indexOf('can not be called from domain') !== -1, `Unexpected error: ${ message }`);
+                done();
+            },
+
+            run: `
+                window.xchild.init().then(function() {
+                    return window.xprops.otherDomainFunctionProp();
+                }).catch(function(err) {
+                    window.xprops.foo(err.message);
+                });
+            `
+        }, document.body);
+    });
+
+    it('should allow a function prop to be called directly from the parent window', () => {
+
+        let called = false;
+
+        let instance = testComponent.init({
+            otherDomainFunctionProp() {
+                called = true;
+            }
+        }, 'iframe', document.body);
+
+        // $FlowFixMe
+        instance.props.otherDomainFunctionProp();
+
+        assert.isTrue(called, 'Expected otherDomainFunctionProp to be called');
+    });
+
+    it('should only allow allowedDomains to be set for function props', () => {
+
+        let error;
+
+        try {
+            zoid.create({
+                tag:   'test-component-prop-domains-invalid',
+                url:   '/base/test/child.htm?devenv=true',
+                props: {
+                    stringProp: {
+                        type:           'string',
+                        allowedDomains: 'http://www.somedomain.com'
+                    }
+                }
+            });
+        } catch (err) {
+            error = err;
+        }
+
+        assert.ok(error, 'Expected an error to be thrown');
+    });
+});
@@ -0,0 +1,130 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import zoid from '../../src';
+import { PropValidationError } from '../../src/error';
+import { testComponent } from '../component';
+
+describe('zoid prop validation', () => {
+
+    it('should report every invalid prop in a single prop validation error', () => {
+
+        try {
+            testComponent.init({
+                functionProp: 'foobar',
+                stringProp:   12345,
+                enumProp:     'huge'
+            });
+        } catch (err) {
+            assert.isTrue(err instanceof PropValidationError, 'Expected a PropValidationError');
+            assert.deepEqual(err.errors.map(({ key }) => key).sort(), [ 'enumProp', 'functionProp', 'stringProp' ]);
+
+            let functionPropError = err.errors.filter(({ key }) => key === 'functionProp')[0];
+            assert.equal(functionPropError.expected, 'function');
+            assert.equal(functionPropError.received, 'string');
+            return;
+        }
+
+        throw new Error(`Expected invalid props to throw an error`);
+    });
+
+    it('should reject updateProps with a prop validation error', done => {
+
+        let instance = testComponent.init({});
+
+        instance.updateProps({
+            stringProp: 12345,
+            numberProp: 'foobar'
+        }).then(() => {
+            done(new Error(`Expected updateProps to be rejected`));
+        }, err => {
+            if (!(err instanceof PropValidationError)) {
+                return done(new Error(`Expected a PropValidationError`));
+            }
+
+            assert.equal(err.errors.length, 2);
+            done();
+        });
+    });
+
+    it('should map a deprecated prop to its replacement and warn once', () => {
+
+        let component = zoid.create({
+            tag:     'test-component-deprecated-prop',
+            url:     '/base/test/child.htm',
+            version: '2.0.0',
+            props:   {
+                onComplete: {
+                    type:     'function',
+                    required: false
+                },
+
+                onDone: {
+                    type:       'function',
+                    required:   false,
+                    deprecated: {
+                        since:       '2.0.0',
+                        replacement: 'onComplete',
+                        removedIn:   '3.0.0'
+                    }
+                }
+            }
+        });
+
+        let warnings = [];
+
+        // $FlowFixMe
+        component.logWarning = (event) => {
+            warnings.push(event);
+        };
+
+        let onDone = () => { /* pass */ };
+
+        // $FlowFixMe
+        let instance = component.init({ onDone });
+        // $FlowFixMe
+        component.init({ onDone });
+
+        // $FlowFixMe
+        assert.isFunction(instance.props.onComplete, 'Expected onDone to be mapped to onComplete');
+        assert.isUndefined(instance.props.onDone, 'Expected onDone to be removed');
+        assert.deepEqual(warnings, [ 'deprecated_prop_onDone' ]);
+    });
+
+    it('should error when a removed prop is passed', () => {
+
+        let component = zoid.create({
+            tag:     'test-component-removed-prop',
+            url:     '/base/test/child.htm',
+            version: '3.1.0',
+            props:   {
+                onComplete: {
+                    type:     'function',
+                    required: false
+                },
+
+                onDone: {
+                    type:       'function',
+                    required:   false,
+                    deprecated: {
+                        replacement: 'onComplete',
+                        removedIn:   '3.0.0'
+                    }
+                }
+            }
+        });
+
+        try {
+            component.init({
+                onDone() { /* pass */ }
+            });
+        } catch (err) {
+            assert.isTrue(err instanceof PropValidationError, 'Expected a PropValidationError');
+            assert.equal(err.errors[0].key, 'onDone');
+            return;
+        }
+
+        throw new Error(`Expected removed prop to throw an error`);
+    });
+});
@@ -0,0 +1,60 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import { parseQuery } from '../../src/lib';
+import { testComponent_queryParams } from '../component';
+
+describe('zoid query params', () => {
+
+    it('should pass a date prop as an iso string query param', done => {
+
+        testComponent_queryParams.renderIframe({
+
+            dateProp: new Date(Date.UTC(2018, 0, 1)),
+
+            sendUrl(search) {
+                assert.equal(parseQuery(search.slice(1)).dateProp, '2018-01-01T00:00:00.000Z');
+                done();
+            },
+
+            run: `
+                window.xprops.sendUrl(window.location.search);
+            `
+        }, document.body);
+    });
+
+    it('should pass an array prop as a comma separated query param', done => {
+
+        testComponent_queryParams.renderIframe({
+
+            arrayProp: [ 1, 2, 3 ],
+
+            sendUrl(search) {
+                assert.equal(parseQuery(search.slice(1)).arrayProp, '1,2,3');
+                done();
+            },
+
+            run: `
+                window.xprops.sendUrl(window.location.search);
+            `
+        }, document.body);
+    });
+
+    it('should pass an array prop with json serialization as a json query param', done => {
+
+        testComponent_queryParams.renderIframe({
+
+            jsonArrayProp: [ 'a', 'b' ],
+
+            sendUrl(search) {
+                assert.equal(parseQuery(search.slice(1)).jsonArrayProp, '["a","b"]');
+                done();
+            },
+
+            run: `
+                window.xprops.sendUrl(window.location.search);
+            `
+        }, document.body);
+    });
+});
@@ -0,0 +1,81 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import zoid from '../../src';
+import { testComponent_sandbox } from '../component';
+
+describe('zoid iframe sandbox', () => {
+
+    it('should render the iframe with the default sandbox flags and permissions policy', done => {
+
+        testComponent_sandbox.renderIframe({
+            onEnter() {
+                let sandbox = this.iframe.getAttribute('sandbox');
+
+                for (let token of [ 'allow-scripts', 'allow-same-origin', 'allow-popups', 'allow-forms' ]) {
+                    assert.isTrue(sandbox.split(' ').indexOf(token) !== -1, `Expected sandbox to include ${ token }, got ${ sandbox }`);
+                }
+
+                assert.equal(this.iframe.getAttribute('allow'), 'payment; fullscreen');
+
+                let prerenderFrame = document.querySelector('.zoid-prerender-frame');
+
+                if (prerenderFrame) {
+                    assert.equal(prerenderFrame.getAttribute('sandbox'), sandbox);
+                    assert.equal(prerenderFrame.getAttribute('allow'), 'payment; fullscreen');
+                }
+
+                done();
+            }
+        }, document.body);
+    });
+
+    it('should use the sandbox flags for the env being rendered', done => {
+
+        testComponent_sandbox.renderIframe({
+            env: 'sandbox',
+
+            onEnter() {
+                assert.equal(this.iframe.getAttribute('sandbox'), 'allow-scripts allow-same-origin');
+                done();
+            }
+        }, document.body);
+    });
+
+    it('should error when a component is created with sandbox flags which break zoid', () => {
+
+        assert.throws(() => {
+            zoid.create({
+                tag:     'test-component-sandbox-no-scripts',
+                url:     '/base/test/child.htm',
+                sandbox: 'allow-same-origin allow-forms'
+            });
+        }, /allow-scripts/);
+
+        assert.throws(() => {
+            zoid.create({
+                tag:     'test-component-sandbox-unknown-flag',
+                url:     '/base/test/child.htm',
+                sandbox: 'allow-scripts allow-same-origin allow-everything'
+            });
+        }, /Unknown sandbox flag/);
+
+        assert.throws(() => {
+            zoid.create({
+                tag:     'test-component-sandbox-escape-popups',
+                url:     '/base/test/child.htm',
+                sandbox: 'allow-scripts allow-same-origin allow-popups-to-escape-sandbox'
+            });
+        }, /allow-popups/);
+
+        assert.throws(() => {
+            zoid.create({
+                tag:        'test-component-sandbox-attributes',
+                url:        '/base/test/child.htm',
+                sandbox:    true,
+                attributes: { iframe: { sandbox: 'allow-scripts allow-same-origin' } }
+            });
+        }, /Can not pass both/);
+    });
+});
@@ -0,0 +1,145 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import zoid from '../../src';
+import { stringifyError, redactPayload } from '../../src/lib';
+import { testComponent, testComponent_csp } from '../component';
+
+describe('zoid sensitive props', () => {
+
+    it('should pass a sensitive prop to the child in the init handshake', done => {
+
+        testComponent.renderIframe({
+
+            sensitiveProp: 'sensitive-value-001',
+
+            foo(result) {
+                assert.equal(result, 'sensitive-value-001');
+                done();
+            },
+
+            run: `
+                window.xchild.init().then(function() {
+                    window.xprops.foo(window.xprops.sensitiveProp);
+                });
+            `
+        }, document.body);
+    });
+
+    it('should leave sensitive props out of the props passed in the window name', () => {
+
+        let instance = testComponent.init({
+            sensitiveProp: 'sensitive-value-002',
+            stringProp:    'not-sensitive'
+        }, 'iframe', document.body);
+
+        let props = instance.getPropsForChild({ sensitive: false });
+
+        assert.isUndefined(props.sensitiveProp, 'Expected sensitive prop to be excluded');
+        assert.equal(props.stringProp, 'not-sensitive');
+        assert.equal(instance.getPropsForChild().sensitiveProp, 'sensitive-value-002');
+    });
+
+    it('should redact sensitive prop values from log payloads until the instance is destroyed', () => {
+
+        let instance = testComponent.init({
+            sensitiveProp: 'sensitive-value-003'
+        }, 'iframe', document.body);
+
+        let payload = redactPayload({
+            error: stringifyError(new Error(`Request failed with token sensitive-value-003`))
+        }, testComponent.getSensitiveValues());
+
+        assert.isTrue(payload.error.indexOf('sensitive-value-003') === -1, `Expected value to be redacted, got ${ payload.error }`);
+        assert.isTrue(payload.error.indexOf('[redacted]') !== -1, `Expected redaction marker, got ${ payload.error }`);
+        assert.equal(testComponent_csp.getSensitiveValues().indexOf('sensitive-value-003'), -1, 'Expected values to be scoped to the component');
+
+        return instance.destroy().then(() => {
+            assert.equal(testComponent.getSensitiveValues().indexOf('sensitive-value-003'), -1, 'Expected values to be removed on destroy');
+        });
+    });
+
+    it('should redact sensitive prop values from the payloads logged by the component', () => {
+
+        let instance = testComponent.init({
+            sensitiveProp: 'sensitive-value-006'
+        }, 'iframe', document.body);
+
+        let consoleError = window.sinon.stub(window.console, 'error');
+
+        try {
+            testComponent.logError(`sensitive_test_error`, {
+                error: stringifyError(new Error(`Request failed with token sensitive-value-006`))
+            });
+        } finally {
+            consoleError.restore();
+        }
+
+        let call = consoleError.getCalls().filter(({ args }) => String(args[0]).indexOf('sensitive_test_error') !== -1)[0];
+
+        if (!call) {
+            throw new Error(`Expected the error to be logged`);
+        }
+
+        let payload = call.args[1];
+
+        assert.isTrue(payload.error.indexOf('sensitive-value-006') === -1, `Expected value to be redacted, got ${ payload.error }`);
+        assert.isTrue(payload.error.indexOf('[redacted]') !== -1, `Expected redaction marker, got ${ payload.error }`);
+
+        return instance.destroy();
+    });
+
+    it('should redact sensitive prop values nested in log payloads', () => {
+
+        let instance = testComponent.init({
+            sensitiveProp: 'sensitive-value-005'
+        }, 'iframe', document.body);
+
+        let payload = redactPayload({
+            request: { headers: [ 'Authorization: sensitive-value-005' ] },
+            error:   new Error(`Request failed with token sensitive-value-005`)
+        }, testComponent.getSensitiveValues());
+
+        assert.deepEqual(payload.request, { headers: [ 'Authorization: [redacted]' ] });
+        assert.isTrue(payload.error.indexOf('sensitive-value-005') === -1, `Expected error to be redacted, got ${ payload.error }`);
+
+        return instance.destroy();
+    });
+
+    it('should redact short sensitive prop values', () => {
+
+        let instance = testComponent.init({
+            sensitiveProp: '123'
+        }, 'iframe', document.body);
+
+        let payload = redactPayload({ message: 'cvv 123' }, testComponent.getSensitiveValues());
+
+        assert.equal(payload.message, 'cvv [redacted]');
+
+        return instance.destroy();
+    });
+
+    it('should not allow a sensitive prop to be passed as a query param', () => {
+
+        let error;
+
+        try {
+            zoid.create({
+                tag:   'test-component-sensitive-query-param',
+                url:   '/base/test/child.htm',
+                props: {
+                    token: {
+                        type:       'string',
+                        sensitive:  true,
+                        queryParam: true
+                    }
+                }
+            });
+        } catch (err) {
+            error = err;
+        }
+
+        assert.isOk(error, 'Expected sensitive query param prop to throw an error');
+    });
+});
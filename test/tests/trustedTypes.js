@@ -0,0 +1,64 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import zoid from '../../src';
+import { testComponent_trustedTypes } from '../component';
+
+describe('zoid trusted types', () => {
+
+    afterEach(() => {
+        zoid.setTrustedTypesPolicy(null);
+    });
+
+    it('should pass html written by templates through the trusted types policy', done => {
+
+        let htmlStrings = [];
+
+        zoid.setTrustedTypesPolicy({
+            createHTML(html : string) : string {
+                htmlStrings.push(html);
+                return html;
+            }
+        });
+
+        testComponent_trustedTypes.renderIframe({
+            onEnter() {
+                assert.include(htmlStrings, '<span>trusted</span>');
+
+                let el = document.querySelector(`#zoid-test-component-trusted-types-${ this.props.uid } .trusted-html`);
+                assert.ok(el, `Expected container template to be rendered`);
+                // $FlowFixMe
+                assert.equal(el.innerHTML, '<span>trusted</span>');
+                done();
+            }
+        }, document.body);
+    });
+
+    it('should not create a trusted types policy of its own', done => {
+
+        let trustedTypes = window.trustedTypes;
+
+        if (!trustedTypes || !trustedTypes.createPolicy) {
+            return done();
+        }
+
+        let createPolicy = window.sinon.spy(trustedTypes, 'createPolicy');
+
+        testComponent_trustedTypes.renderIframe({
+            onEnter() {
+                createPolicy.restore();
+                window.sinon.assert.notCalled(createPolicy);
+                done();
+            }
+        }, document.body);
+    });
+
+    it('should error when a policy without createHTML is set', () => {
+
+        assert.throws(() => {
+            // $FlowFixMe
+            zoid.setTrustedTypesPolicy({});
+        }, /createHTML/);
+    });
+});
@@ -3,6 +3,7 @@
 import { assert } from 'chai';
 
 import zoid from '../../src';
+import { RenderError } from '../../src/error';
 import { testComponent, testComponent5 } from '../component';
 
 describe('zoid validation errors', () => {
@@ -317,6 +318,85 @@ describe('zoid validation errors', () => {
         });
     });
 
+    it('should throw validation errors when an enum prop is defined without values', () => {
+
+        expectError('Enum prop without values', () => {
+            zoid.create({
+                tag:   'my-component-enum-no-values',
+                props: {
+                    size: {
+                        type: 'enum'
+                    }
+                }
+            });
+        });
+    });
+
+    it('should throw a render error listing unknown props in strict props mode', () => {
+
+        let component = zoid.create({
+            tag:         'test-component-strict-props',
+            url:         '/base/test/child.htm',
+            strictProps: true,
+            props:       {
+                onCancel: {
+                    type:     'function',
+                    required: false
+                }
+            }
+        });
+
+        try {
+            component.init({
+                onCancle() { /* pass */ }
+            });
+        } catch (err) {
+            assert.isTrue(err instanceof RenderError, 'Expected a RenderError');
+            assert.isTrue(err.message.indexOf('onCancle (did you mean onCancel?)') !== -1, `Expected suggestion in error, got ${ err.message }`);
+            return;
+        }
+
+        throw new Error(`Expected unknown prop to throw an error`);
+    });
+
+    it('should only warn about unknown props in strict props warn mode', () => {
+
+        let component = zoid.create({
+            tag:         'test-component-strict-props-warn',
+            url:         '/base/test/child.htm',
+            strictProps: 'warn',
+            props:       {
+                onCancel: {
+                    type:     'function',
+                    required: false
+                }
+            }
+        });
+
+        let logWarning = window.sinon.stub(component, 'logWarning');
+
+        try {
+            component.init({
+                onCancle() { /* pass */ }
+            });
+        } finally {
+            logWarning.restore();
+        }
+
+        window.sinon.assert.calledWith(logWarning, 'unknown_props', { props: 'onCancle (did you mean onCancel?)' });
+    });
+
+    it('should throw validation errors when a component is created with an invalid strictProps option', () => {
+
+        expectError('Invalid strictProps', () => {
+            zoid.create({
+                tag:         'my-component-invalid-strict-props',
+                // $FlowFixMe
+                strictProps: 'always'
+            });
+        });
+    });
+
     it('should throw validation errors when a component is inited without the correct options', () => {
 
         expectError('String passed for function prop', () => {
@@ -337,6 +417,54 @@ describe('zoid validation errors', () => {
             });
         });
 
+        expectError('Object passed for array prop', () => {
+            testComponent.init({
+                arrayProp: { foo: 'bar' }
+            });
+        });
+
+        expectError('Wrong item type passed for array prop', () => {
+            testComponent.init({
+                arrayProp: [ 1, 'two' ]
+            });
+        });
+
+        expectError('Too many items passed for array prop', () => {
+            testComponent.init({
+                arrayProp: [ 1, 2, 3, 4, 5, 6 ]
+            });
+        });
+
+        expectError('String passed for date prop', () => {
+            testComponent.init({
+                dateProp: '2018-01-01'
+            });
+        });
+
+        expectError('Invalid date passed for date prop', () => {
+            testComponent.init({
+                dateProp: new Date('foobar')
+            });
+        });
+
+        expectError('Unknown value passed for enum prop', () => {
+            testComponent.init({
+                enumProp: 'huge'
+            });
+        });
+
+        expectError('Missing required key in object prop', () => {
+            testComponent.init({
+                schemaObjectProp: { age: 20 }
+            });
+        });
+
+        expectError('Out of range value in object prop', () => {
+            testComponent.init({
+                schemaObjectProp: { name: 'foo', age: -1 }
+            });
+        });
+
         expectError('Unserializable object passed for object prop', () => {
             let obj = {};
             obj.obj = obj;
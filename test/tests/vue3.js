@@ -0,0 +1,179 @@
+/* @flow */
+
+import { assert } from 'chai';
+import { ZalgoPromise } from 'zalgo-promise/src';
+
+import { vue3 } from './../../src/drivers/vue3';
+
+const sinon = window.sinon;
+
+let initializedZoid = {
+    render:      sinon.spy(),
+    updateProps: sinon.spy(),
+    on:          sinon.spy(),
+    close:       sinon.spy(() => ZalgoPromise.resolve()),
+    destroy:     sinon.spy(),
+    component:   { logWarning: sinon.spy() }
+};
+
+let unInitializedZoid = {
+    log:          () => { /* pass */ },
+    logWarning:   () => { /* pass */ },
+    tag:          'my-log-in',
+    events:       [ 'logged-in' ],
+    getPropNames: () => [ 'prefilledEmail', 'onLogin', 'onClose', 'onError' ],
+    init:         sinon.spy(() => initializedZoid)
+};
+
+let VueCore = {
+    defineComponent: sinon.spy(options => options),
+    h:               sinon.spy(() => 'vnode value')
+};
+
+// $FlowFixMe
+const registerDriver = () => vue3.register(unInitializedZoid, VueCore);
+
+describe('vue 3 driver', () => {
+
+    let vueComponent;
+
+    beforeEach(() => {
+        VueCore.defineComponent.reset();
+        vueComponent = registerDriver();
+    });
+
+    afterEach(() => {
+        vueComponent = undefined;
+    });
+
+    it('should define a component', () => {
+        sinon.assert.calledOnce(VueCore.defineComponent);
+    });
+
+    it('should declare a prop for each zoid prop, except lifecycle callbacks', () => {
+        sinon.assert.calledWithMatch(VueCore.defineComponent, { props: [ 'prefilledEmail', 'onLogin' ] });
+    });
+
+    it('should declare an emit for each event, but not for lifecycle callbacks', () => {
+        sinon.assert.calledWithMatch(VueCore.defineComponent, { emits: [ 'logged-in' ] });
+    });
+
+    it('should render an empty div', () => {
+        // $FlowFixMe
+        assert.equal(vueComponent.render(), 'vnode value');
+        sinon.assert.calledWith(VueCore.h, 'div');
+    });
+
+    describe('component instance', () => {
+
+        let createInstance = (props : Object, listeners : Object = {}) : Object => {
+            let instance = Object.assign({
+                $el:    'el value',
+                $attrs: listeners,
+                $emit:  sinon.spy(),
+                $watch: sinon.spy()
+            }, props);
+
+            return Object.assign(instance, vueComponent);
+        };
+
+        beforeEach(() => {
+            unInitializedZoid.init.reset();
+            initializedZoid.render.reset();
+            initializedZoid.updateProps.reset();
+            initializedZoid.on.reset();
+            initializedZoid.close.reset();
+        });
+
+        describe('mounted', () => {
+
+            it('initializes zoid with the defined props and renders into the element', () => {
+                let instance = createInstance({ prefilledEmail: 'a@b.com', onLogin: undefined });
+                instance.mounted();
+                sinon.assert.calledWith(unInitializedZoid.init, { prefilledEmail: 'a@b.com' }, null, 'el value');
+                sinon.assert.calledWith(initializedZoid.render, 'el value');
+                assert.isTrue(instance.parent === initializedZoid);
+            });
+
+            it('does not pass lifecycle callbacks which have no listener', () => {
+                let instance = createInstance({});
+                instance.mounted();
+                const propsPassedToZoid = unInitializedZoid.init.lastCall.args[0];
+                assert.isUndefined(propsPassedToZoid.onClose);
+                assert.isUndefined(propsPassedToZoid.onError);
+            });
+
+            it('calls the listeners for lifecycle callbacks which have one', () => {
+                let onClose = sinon.spy();
+                let instance = createInstance({}, { onClose });
+                instance.mounted();
+                const propsPassedToZoid = unInitializedZoid.init.lastCall.args[0];
+                assert.isUndefined(propsPassedToZoid.onError);
+                propsPassedToZoid.onClose('reason');
+                sinon.assert.calledWith(onClose, 'reason');
+            });
+
+            it('emits custom events', () => {
+                let instance = createInstance({});
+                instance.mounted();
+                sinon.assert.calledWith(initializedZoid.on, 'logged-in');
+                initializedZoid.on.lastCall.args[1]({ foo: 'bar' });
+                sinon.assert.calledWith(instance.$emit, 'logged-in', { foo: 'bar' });
+            });
+
+            it('watches the props deeply and updates props in zoid when they change', () => {
+                let instance = createInstance({ prefilledEmail: 'a@b.com' });
+                instance.mounted();
+
+                let [ getter, callback, options ] = instance.$watch.lastCall.args;
+                assert.deepEqual(options, { deep: true });
+
+                instance.prefilledEmail = 'b@b.com';
+                callback(getter());
+                sinon.assert.calledWith(initializedZoid.updateProps, { prefilledEmail: 'b@b.com' });
+            });
+
+            it('does not update props in zoid once the component is unmounted', () => {
+                let instance = createInstance({ prefilledEmail: 'a@b.com' });
+                instance.mounted();
+
+                let [ getter, callback ] = instance.$watch.lastCall.args;
+
+                instance.beforeUnmount();
+                callback(getter());
+                sinon.assert.notCalled(initializedZoid.updateProps);
+            });
+        });
+
+        describe('beforeUnmount', () => {
+
+            it('closes the zoid component', () => {
+                let instance = createInstance({});
+                instance.mounted();
+                instance.beforeUnmount();
+                sinon.assert.calledOnce(initializedZoid.close);
+                assert.isUndefined(instance.parent);
+            });
+
+            it('destroys the zoid component if closing it fails', () => {
+                let close = initializedZoid.close;
+                initializedZoid.close = sinon.spy(() => ZalgoPromise.reject(new Error('close failed')));
+                initializedZoid.destroy.reset();
+
+                let instance = createInstance({});
+                instance.mounted();
+                instance.beforeUnmount();
+
+                initializedZoid.close = close;
+                sinon.assert.calledWith(initializedZoid.component.logWarning, 'vue3_close_error');
+                sinon.assert.calledOnce(initializedZoid.destroy);
+            });
+
+            it('does nothing if the component was never mounted', () => {
+                let instance = createInstance({});
+                instance.beforeUnmount();
+                sinon.assert.notCalled(initializedZoid.close);
+            });
+        });
+    });
+});
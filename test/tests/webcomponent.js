@@ -0,0 +1,132 @@
+/* @flow */
+
+import { assert } from 'chai';
+
+import { testComponent_webcomponent } from '../component';
+
+describe('zoid webcomponent driver', () => {
+
+    testComponent_webcomponent.driver('webcomponent');
+
+    function createElement() : Object {
+        return document.createElement('test-component-webcomponent');
+    }
+
+    function append(el : Object) {
+        if (!document.body) {
+            throw new Error(`Expected document.body to be present`);
+        }
+
+        document.body.appendChild(el);
+    }
+
+    it('should render a component from attributes and properties, and coerce attributes to the prop type', done => {
+
+        let el = createElement();
+
+        el.setAttribute('count', '5');
+
+        el.foo = function foo(count) {
+            assert.equal(count, 5);
+            el.parentNode.removeChild(el);
+        };
+
+        el.run = `
+            window.xprops.foo(window.xprops.count);
+        `;
+
+        el.addEventListener('close', () => done());
+
+        append(el);
+    });
+
+    it('should coerce date and enum attributes, and treat an empty number attribute as unset', done => {
+
+        let el = createElement();
+
+        el.setAttribute('count', '');
+        el.setAttribute('start-date', '2020-01-02T00:00:00.000Z');
+        el.setAttribute('size', '1');
+
+        el.addEventListener('enter', () => {
+            let props = el.parent.props;
+
+            assert.isUndefined(props.count);
+            assert.instanceOf(props.startDate, Date);
+            assert.equal(props.startDate.toISOString(), '2020-01-02T00:00:00.000Z');
+            assert.strictEqual(props.size, 1);
+
+            el.parentNode.removeChild(el);
+        });
+
+        el.addEventListener('close', () => done());
+
+        append(el);
+    });
+
+    it('should reject invalid number, date and enum attributes', () => {
+
+        let el = createElement();
+
+        assert.throws(() => el.attributeChangedCallback('count', null, 'abc'), /count attribute to be a valid number/);
+        assert.throws(() => el.attributeChangedCallback('start-date', null, 'not a date'), /start-date attribute to be a valid date/);
+        assert.throws(() => el.attributeChangedCallback('size', null, 'small'), /size attribute to be one of 1, large/);
+    });
+
+    it('should dispatch custom events emitted by the child', done => {
+
+        let el = createElement();
+
+        el.run = `
+            window.xchild.emit('test-event', { foo: 'bar' });
+        `;
+
+        el.addEventListener('test-event', event => {
+            assert.deepEqual(event.detail, { foo: 'bar' });
+            el.parentNode.removeChild(el);
+        });
+
+        el.addEventListener('close', () => done());
+
+        append(el);
+    });
+
+    it('should update props when an attribute changes', done => {
+
+        let el = createElement();
+
+        el.setAttribute('count', '1');
+
+        el.foo = function foo(count) {
+            assert.equal(count, 2);
+            el.parentNode.removeChild(el);
+        };
+
+        el.run = `
+            window.xchild.onProps(function() {
+                window.xprops.foo(window.xprops.count);
+            });
+        `;
+
+        el.addEventListener('enter', () => {
+            el.setAttribute('count', '2');
+        });
+
+        el.addEventListener('close', () => done());
+
+        append(el);
+    });
+
+    it('should close the component when the element is removed', done => {
+
+        let el = createElement();
+
+        el.addEventListener('enter', () => {
+            el.parentNode.removeChild(el);
+        });
+
+        el.addEventListener('close', () => done());
+
+        append(el);
+    });
+});